@@ -1,5 +1,32 @@
 //app.js//
 // Imagify - Image Compression Application
+
+// Labels for the per-channel PSNR breakdown, grouped by color space
+const PSNR_CHANNEL_GROUPS = {
+    ycbcr: { y: 'Y', cb: 'Cb', cr: 'Cr' },
+    rgb: { r: 'R', g: 'G', b: 'B' }
+};
+
+// Qualities sampled for the quality-vs-size chart
+const QUALITY_CURVE_SAMPLES = [1, 5, 10, 15, 20, 25, 30, 35, 40, 45, 50, 55, 60, 65, 70, 75, 80, 85, 90, 95, 98, 100];
+
+// Output encoders offered in the format selector: ImagifyCore.OUTPUT_FORMATS (see there for the fields)
+// with labels that spell out the lossless and palette PNG variants
+const FORMAT_LABELS = { png: 'PNG (lossless)', png8: 'PNG-8 (palette)' };
+const OUTPUT_FORMATS = Object.fromEntries(Object.entries(ImagifyCore.OUTPUT_FORMATS)
+    .map(([key, format]) => [key, { ...format, label: FORMAT_LABELS[key] || format.label }]));
+
+// PNG-8 options for settings without palette controls (the batch queue)
+const DEFAULT_PALETTE = { colors: OUTPUT_FORMATS.png8.colors, dither: OUTPUT_FORMATS.png8.dither };
+
+// Imagify JPEG options likewise (quantTables: null means the standard tables)
+const DEFAULT_JPEG = {
+    subsampling: OUTPUT_FORMATS.jpegjs.subsampling,
+    progressive: OUTPUT_FORMATS.jpegjs.progressive,
+    optimizeHuffman: OUTPUT_FORMATS.jpegjs.optimizeHuffman,
+    quantTables: OUTPUT_FORMATS.jpegjs.quantTables
+};
+
 class Imagify {
     constructor() {
         // DOM element references
@@ -15,21 +42,211 @@ class Imagify {
         this.originalImage = null;
         this.originalFile = null;
         this.currentQuality = 100; // Start at 100% quality
+        this.outputFormat = 'jpeg'; // Key into OUTPUT_FORMATS
+        this.supportedFormats = this.detectSupportedFormats();
         this.originalSize = 0;
+        this.metadata = null; // ImageMetadata.parse() result for the editor image
+        this.sourceHasAlpha = false; // Whether the editor image has transparent pixels (reported by the engine)
         this.compressedBlob = null; // Stores the blob currently displayed in the preview
-        this.isProcessing = false; // Global processing flag
-        this.debounceTimer = null;
-        // **** FIX: Separate timer for dimension changes ****
-        this.dimensionDebounceTimer = null;
+        this.previewSettings = null; // getCurrentSettings() the preview blob was made with
+        this.lastMetrics = null; // { psnr, psnrChannels, ssim, msssim, dssim, deltaE } of the preview, re-rendered when a variant changes
+        this.lastHeatMap = null; // { mode, width, height, values } on screen, recolored when the threshold moves
+        this.customQuantTables = null; // { luma, chroma } parsed from the custom tables field, null while it is invalid
         this.dragCounter = 0;
 
+        // Encoding and metrics run in a worker; jobs on the same channel cancel stale ones,
+        // so slider and dimension changes are sent straight through without debouncing
+        this.engine = new ImagifyEngineClient('imagify-worker.js');
+        this.sourceId = null; // Engine-side handle for the editor image
+        this.sourceCounter = 0;
+
+        // Quality-vs-size chart; clicking a sample moves the slider there
+        this.curveChart = new QualityCurveChart(document.getElementById('qualityCurveCanvas'), {
+            onSelectQuality: quality => {
+                this.setQuality(quality);
+                this.compressImage();
+            }
+        });
+
+        // Full-resolution before/after view; the zoom label follows every redraw
+        this.compareView = new CompareView(document.getElementById('compareCanvas'), {
+            onChange: view => {
+                document.getElementById('compareZoomLabel').textContent = view.original ? `${Math.round(view.scale * 100)}%` : '-';
+            }
+        });
+
+        // Crop box and region-of-interest painting on the original preview; a finished drag re-runs
+        // everything that depends on the size, a finished stroke just the preview
+        this.cropBox = new CropBox(this.originalCanvas, {
+            onChange: () => {
+                this.renderCropReadout();
+                this.refreshPreview();
+            },
+            onRoiChange: () => {
+                this.renderRoiReadout();
+                this.compressImage();
+            }
+        });
+
+        // Responsive image set from the last "Generate Set": { baseName, quality, entries }
+        this.responsiveSet = null;
+
+        // Pinned snapshots, oldest first; kept in IndexedDB together with the editor session
+        this.snapshotStore = new SnapshotStore();
+        this.snapshots = [];
+        this.snapshotSelection = { a: null, b: null }; // Snapshot ids picked in the table
+        this.snapshotPair = null; // { a, b } snapshots shown in the image panels instead of the live preview
+
+        // Named presets (kept in localStorage), and the settings of the link the page was opened
+        // with, which "Reset Settings" and each new image start from
+        this.presets = this.loadPresets();
+        this.linkSettings = SettingsPresets.fromQuery(window.location.search);
+        this.defaultSettings = this.linkSettings || SettingsPresets.DEFAULTS;
+
+        // Batch mode state
+        this.batchItems = []; // { id, file, path, overrides, status, version, result, error }
+        this.batchRunId = 0; // Incremented to abandon a running queue pass
+
+        this.populateFormatSelect(document.getElementById('formatSelect'));
+        this.populateFormatSelect(document.getElementById('batchFormatSelect'));
+        this.populateResponsiveFormats();
         this.initializeEventListeners();
+        this.renderPresets();
+        this.renderHeatMapLegend();
+        if (this.linkSettings) this.applySettings(this.linkSettings);
+        this.restoreSession();
+    }
+
+    // Browsers silently fall back to PNG for encoders they lack, so probe each MIME type once
+    detectSupportedFormats() {
+        const probe = document.createElement('canvas');
+        probe.width = 1;
+        probe.height = 1;
+        const supported = new Set();
+        for (const [key, format] of Object.entries(OUTPUT_FORMATS)) {
+            // Palette PNGs are written in JavaScript and only need a deflate implementation
+            if (format.palette) {
+                if (typeof CompressionStream !== 'undefined') supported.add(key);
+                continue;
+            }
+            if (format.scripted) {
+                supported.add(key);
+                continue;
+            }
+            try {
+                if (probe.toDataURL(format.mime).startsWith(`data:${format.mime}`)) {
+                    supported.add(key);
+                }
+            } catch (error) {
+                console.warn(`Encoder probe failed for ${format.mime}:`, error);
+            }
+        }
+        return supported;
+    }
+
+    populateFormatSelect(formatSelect) {
+        formatSelect.innerHTML = '';
+        for (const [key, format] of Object.entries(OUTPUT_FORMATS)) {
+            const option = document.createElement('option');
+            option.value = key;
+            const isSupported = this.supportedFormats.has(key);
+            option.textContent = isSupported ? format.label : `${format.label} (not supported by this browser)`;
+            option.disabled = !isSupported;
+            formatSelect.appendChild(option);
+        }
+        formatSelect.value = this.outputFormat;
+    }
+
+    // Format checkboxes for the responsive set; WebP and JPEG start checked
+    populateResponsiveFormats() {
+        const container = document.getElementById('responsiveFormats');
+        container.innerHTML = '';
+        for (const [key, format] of Object.entries(OUTPUT_FORMATS)) {
+            // PNG-8 and the Imagify JPEG would share PNG's and JPEG's MIME types and file names
+            if (format.palette || format.scripted) continue;
+            const label = document.createElement('label');
+            label.className = 'checkbox-label';
+            const input = document.createElement('input');
+            input.type = 'checkbox';
+            input.className = 'responsive-format';
+            input.value = key;
+            input.disabled = !this.supportedFormats.has(key);
+            input.checked = !input.disabled && (key === 'webp' || key === 'jpeg');
+            label.append(input, ` ${format.label.split(' ')[0]}`);
+            container.appendChild(label);
+        }
+    }
+
+    getOutputFormat() {
+        return this.resolveFormat(this.outputFormat, this.getPaletteOptions(), this.getJpegOptions());
+    }
+
+    // OUTPUT_FORMATS entry for `key`, carrying the palette options when it is PNG-8 and the encoder
+    // options when it is the Imagify JPEG
+    resolveFormat(key, palette = DEFAULT_PALETTE, jpeg = DEFAULT_JPEG) {
+        const format = OUTPUT_FORMATS[key];
+        if (format.palette) return { ...format, ...palette };
+        if (format.scripted) return { ...format, ...jpeg };
+        return format;
+    }
+
+    getPaletteOptions() {
+        return {
+            colors: parseInt(document.getElementById('paletteColors').value),
+            dither: document.getElementById('paletteDither').checked
+        };
+    }
+
+    // Custom tables only count once they parse; until then the standard ones are used
+    getJpegOptions() {
+        const custom = document.getElementById('jpegQuantTables').value === 'custom';
+        return {
+            subsampling: document.getElementById('jpegSubsampling').value,
+            progressive: document.getElementById('jpegProgressive').checked,
+            optimizeHuffman: document.getElementById('jpegOptimizeHuffman').checked,
+            quantTables: custom ? this.customQuantTables : null
+        };
+    }
+
+    // Parses the custom tables field and says whether they are in use
+    onCustomTablesInput() {
+        const status = document.getElementById('jpegTablesStatus');
+        const custom = document.getElementById('jpegQuantTables').value === 'custom';
+        document.getElementById('jpegCustomTables').style.display = custom ? 'block' : 'none';
+        this.customQuantTables = null;
+        if (!custom) {
+            status.textContent = 'Encoded in JavaScript, so every browser writes the same file. Quality scales the tables; at 50 they are used as given.';
+            return;
+        }
+        try {
+            this.customQuantTables = ImagifyJpeg.parseTables(document.getElementById('jpegCustomTables').value);
+            status.textContent = 'Using the custom tables, scaled by quality (as given at 50).';
+        } catch (error) {
+            status.textContent = `${error.message} Using the standard tables until then.`;
+        }
+    }
+
+    setOutputFormat(key) {
+        if (!OUTPUT_FORMATS[key] || !this.supportedFormats.has(key)) {
+            this.showError(`${OUTPUT_FORMATS[key] ? OUTPUT_FORMATS[key].label : key} encoding is not supported by this browser.`);
+            key = 'jpeg';
+        }
+        this.outputFormat = key;
+        document.getElementById('formatSelect').value = key;
+        // Lossless encoders ignore quality, so the slider would only mislead
+        const qualitySlider = document.getElementById('qualitySlider');
+        qualitySlider.disabled = !OUTPUT_FORMATS[key].lossy;
+        qualitySlider.closest('.control-group').classList.toggle('is-disabled', qualitySlider.disabled);
+        document.getElementById('paletteControls').style.display = OUTPUT_FORMATS[key].palette ? 'block' : 'none';
+        document.getElementById('jpegControls').style.display = OUTPUT_FORMATS[key].scripted ? 'block' : 'none';
     }
 
     initializeEventListeners() {
         const uploadArea = document.getElementById('uploadArea');
         const fileInput = document.getElementById('fileInput');
         const fileSelectBtn = document.getElementById('fileSelectBtn');
+        const folderInput = document.getElementById('folderInput');
+        const folderSelectBtn = document.getElementById('folderSelectBtn');
 
         // Centralized drag-and-drop event handling
         ['dragenter', 'dragover', 'dragleave', 'drop'].forEach(eventName => {
@@ -51,12 +268,17 @@ class Imagify {
             }
         });
 
-        uploadArea.addEventListener('drop', e => {
+        uploadArea.addEventListener('drop', async e => {
             this.dragCounter = 0;
             uploadArea.classList.remove('dragover');
-            const files = e.dataTransfer.files;
-            if (files.length > 0) {
-                this.handleFileSelect(files[0]);
+            try {
+                const files = await this.collectDroppedFiles(e.dataTransfer);
+                if (files.length > 0) {
+                    this.handleFiles(files);
+                }
+            } catch (error) {
+                console.error('Error reading dropped files:', error);
+                this.showError('Failed to read the dropped files.');
             }
         });
 
@@ -65,68 +287,252 @@ class Imagify {
             fileInput.click();
         });
 
-        fileInput.addEventListener('change', e => {
-            if (e.target.files?.length) {
-                this.handleFileSelect(e.target.files[0]);
-            }
+        folderSelectBtn.addEventListener('click', () => {
+            folderInput.value = '';
+            folderInput.click();
+        });
+
+        [fileInput, folderInput].forEach(input => {
+            input.addEventListener('change', e => {
+                if (e.target.files?.length) {
+                    // webkitRelativePath keeps the folder structure for the ZIP
+                    this.handleFiles([...e.target.files].map(file => ({ file, path: file.webkitRelativePath || file.name })));
+                }
+            });
         });
 
         // Compression controls
         document.getElementById('qualitySlider').addEventListener('input', e => {
-            this.currentQuality = parseInt(e.target.value);
-            document.getElementById('qualityValue').textContent = this.currentQuality;
-            // Only need to debounce compression for quality slider
-            this.debounceCompression();
+            this.setQuality(parseInt(e.target.value));
+            this.compressImage();
+        });
+
+        // Format changes affect the dead zone as well, so they take the same path as dimensions
+        document.getElementById('formatSelect').addEventListener('change', e => {
+            this.setOutputFormat(e.target.value);
+            this.renderMetadataNote();
+            this.renderAlphaNote();
+            this.refreshPreview();
+        });
+        document.getElementById('backgroundColor').addEventListener('input', () => this.refreshPreview());
+        document.getElementById('paletteColors').addEventListener('input', e => {
+            document.getElementById('paletteColorsValue').textContent = e.target.value;
+            this.refreshPreview();
+        });
+        document.getElementById('paletteDither').addEventListener('change', () => this.refreshPreview());
+        ['jpegSubsampling', 'jpegProgressive', 'jpegOptimizeHuffman'].forEach(id => {
+            document.getElementById(id).addEventListener('change', () => this.refreshPreview());
+        });
+        document.getElementById('jpegQuantTables').addEventListener('change', () => {
+            this.onCustomTablesInput();
+            this.refreshPreview();
+        });
+        document.getElementById('jpegCustomTables').addEventListener('input', () => {
+            const previous = JSON.stringify(this.customQuantTables);
+            this.onCustomTablesInput();
+            if (JSON.stringify(this.customQuantTables) !== previous) this.refreshPreview();
+        });
+
+        // Automatic quality modes
+        document.getElementById('modeSelect').addEventListener('change', e => this.setQualityMode(e.target.value));
+        document.getElementById('targetMetric').addEventListener('change', e => {
+            // Swap in a sensible default when the current value belongs to the other metric's scale
+            const valueInput = document.getElementById('targetQualityValue');
+            const value = parseFloat(valueInput.value);
+            if (e.target.value === 'psnr' && !(value > 1)) valueInput.value = 40;
+            if (e.target.value === 'ssim' && !(value <= 1)) valueInput.value = 0.95;
+        });
+        document.getElementById('findQualityBtn').addEventListener('click', () => this.runTargetSearch());
+        document.getElementById('plotCurveBtn').addEventListener('click', () => this.plotQualityCurve());
+        window.addEventListener('resize', () => {
+            this.curveChart.render();
+            this.compareView.render();
+        });
+
+        // Dimension changes move the dead zone as well as the preview
+        document.getElementById('maxWidth').addEventListener('input', () => this.refreshPreview());
+        document.getElementById('maxHeight').addEventListener('input', () => this.refreshPreview());
+        document.getElementById('fitMode').addEventListener('change', () => this.refreshPreview());
+        document.getElementById('resampleFilter').addEventListener('change', () => this.refreshPreview());
+        document.getElementById('clearCropBtn').addEventListener('click', () => {
+            this.cropBox.setCrop(null);
+            this.renderCropReadout();
+            this.refreshPreview();
+        });
+        document.getElementById('exportVariantsBtn').addEventListener('click', () => this.downloadDensityVariants());
+
+        // Region of interest: the tool and brush size only change what a drag on the original paints
+        document.getElementById('roiTool').addEventListener('change', e => this.cropBox.setTool(e.target.value));
+        document.getElementById('roiBrushSize').addEventListener('input', e => {
+            this.cropBox.brushSize = parseInt(e.target.value);
+            document.getElementById('roiBrushSizeValue').textContent = e.target.value;
+        });
+        document.getElementById('roiBlur').addEventListener('input', e => {
+            document.getElementById('roiBlurValue').textContent = e.target.value;
+            if (!this.cropBox.roi.isEmpty()) this.compressImage();
+        });
+        document.getElementById('clearRoiBtn').addEventListener('click', () => {
+            this.cropBox.setRoi(null);
+            this.renderRoiReadout();
+            this.compressImage();
+        });
+
+        // Responsive image set; the markup follows the sizes and prefix fields without re-encoding
+        document.getElementById('generateResponsiveBtn').addEventListener('click', () => this.generateResponsiveSet());
+        document.getElementById('downloadResponsiveBtn').addEventListener('click', () => this.downloadResponsiveSet());
+        document.getElementById('copyResponsiveMarkupBtn').addEventListener('click', () => this.copyResponsiveMarkup());
+        ['responsiveSizes', 'responsivePrefix'].forEach(id => {
+            document.getElementById(id).addEventListener('input', () => this.renderResponsiveMarkup());
         });
 
-        // **** FIX: Use a new debounced function for dimension changes ****
-        document.getElementById('maxWidth').addEventListener('input', () => {
-            this.debounceRecalculationAndCompression();
+        // Presets and the settings link
+        const presetFileInput = document.getElementById('presetFileInput');
+        document.getElementById('presetSelect').addEventListener('change', e => this.applyPreset(e.target.value));
+        document.getElementById('savePresetBtn').addEventListener('click', () => this.savePreset());
+        document.getElementById('presetName').addEventListener('keydown', e => {
+            if (e.key === 'Enter') this.savePreset();
         });
-        document.getElementById('maxHeight').addEventListener('input', () => {
-            this.debounceRecalculationAndCompression();
+        document.getElementById('deletePresetBtn').addEventListener('click', () => this.deletePreset());
+        document.getElementById('exportPresetsBtn').addEventListener('click', () => this.exportPresets());
+        document.getElementById('importPresetsBtn').addEventListener('click', () => {
+            presetFileInput.value = '';
+            presetFileInput.click();
         });
+        presetFileInput.addEventListener('change', e => {
+            if (e.target.files?.length) this.importPresets(e.target.files[0]);
+        });
+        document.getElementById('copySettingsLinkBtn').addEventListener('click', () => this.copySettingsLink());
 
+        // Snapshots: pin the preview, show any two side by side, go back to the live preview
+        document.getElementById('snapshotBtn').addEventListener('click', () => this.pinSnapshot());
+        document.getElementById('compareSnapshotsBtn').addEventListener('click', () => this.showSnapshotPair());
+        document.getElementById('exitSnapshotCompareBtn').addEventListener('click', () => this.exitSnapshotPair());
+        document.getElementById('clearSnapshotsBtn').addEventListener('click', () => this.clearSnapshots());
 
         // Action buttons
         document.getElementById('resetBtn').addEventListener('click', () => this.resetToOriginal());
         document.getElementById('heatMapToggle').addEventListener('click', () => this.toggleHeatMap());
+
+        // Heat map: the type and resolution need a new map; threshold and opacity only change the drawing
+        document.getElementById('heatMapMode').addEventListener('change', () => {
+            this.renderHeatMapLegend();
+            this.updateHeatMap();
+        });
+        document.getElementById('heatMapFullSize').addEventListener('change', () => this.updateHeatMap());
+        document.getElementById('heatMapThreshold').addEventListener('input', e => {
+            document.getElementById('heatMapThresholdValue').textContent = e.target.value;
+            this.renderHeatMapLegend();
+            if (this.lastHeatMap) this.drawHeatMap(this.lastHeatMap);
+        });
+        document.getElementById('heatMapOpacity').addEventListener('input', e => {
+            document.getElementById('heatMapOpacityValue').textContent = e.target.value;
+            this.heatMapCanvas.style.opacity = e.target.value / 100;
+        });
+        document.getElementById('exportHeatMapBtn').addEventListener('click', () => this.exportHeatMap());
+
+        // Metadata options; keeping the ICC profile changes how the source is decoded
+        document.getElementById('keepCopyright').addEventListener('change', () => this.renderMetadataNote());
+        document.getElementById('keepIcc').addEventListener('change', () => this.onKeepIccChange());
+        document.getElementById('stripMetadataBtn').addEventListener('click', () => {
+            document.getElementById('keepCopyright').checked = false;
+            document.getElementById('keepIcc').checked = false;
+            this.onKeepIccChange();
+        });
+
+        // Comparison view
+        document.getElementById('compareToggle').addEventListener('click', () => this.toggleCompareView());
+        document.getElementById('compareSplitBtn').addEventListener('click', () => {
+            this.compareView.setMode('split');
+            this.updateCompareButtons();
+        });
+        document.getElementById('compareFlipBtn').addEventListener('click', () => {
+            this.compareView.flip();
+            this.updateCompareButtons();
+        });
+        document.getElementById('compareFitBtn').addEventListener('click', () => this.compareView.fit());
+        document.getElementById('compareActualBtn').addEventListener('click', () => this.compareView.actualSize());
+
+        // Metric variants only change what is displayed, so no new engine job is needed
+        ['psnrVariant', 'ssimVariant'].forEach(id => {
+            document.getElementById(id).addEventListener('change', () => this.renderQualityMetrics());
+        });
         document.getElementById('downloadBtn').addEventListener('click', () => this.downloadCompressed());
+
+        // Batch controls: shared settings re-run the whole queue
+        document.getElementById('batchQualitySlider').addEventListener('input', e => {
+            document.getElementById('batchQualityValue').textContent = e.target.value;
+            this.invalidateBatch();
+        });
+        ['batchFormatSelect', 'batchMaxWidth', 'batchMaxHeight', 'batchFitMode', 'batchResampleFilter', 'batchBackgroundColor'].forEach(id => {
+            document.getElementById(id).addEventListener('input', () => this.invalidateBatch());
+        });
+        document.getElementById('batchDownloadBtn').addEventListener('click', () => this.downloadBatchZip());
+        document.getElementById('batchClearBtn').addEventListener('click', () => this.clearBatch());
     }
 
-    // Debounce specifically for quality slider changes
-    debounceCompression() {
-        clearTimeout(this.debounceTimer);
-        this.debounceTimer = setTimeout(() => {
-            if (this.originalImage && !this.isProcessing) { // Check flag
-                this.compressImage();
-            }
-        }, 200); // Debounce time for responsiveness
+    // Recomputes the dead zone and the preview (and the curve, once plotted); all run as cancellable engine jobs
+    refreshPreview() {
+        if (!this.originalImage || !this.sourceId) return;
+        this.updateDeadZoneHighlight();
+        this.compressImage();
+        if (this.curveChart.points.length > 0) this.plotQualityCurve();
     }
 
-    // **** FIX: New debounced function for dimension changes ****
-    // This will update the dead zone *then* compress
-    debounceRecalculationAndCompression() {
-        clearTimeout(this.dimensionDebounceTimer);
-        this.dimensionDebounceTimer = setTimeout(async () => { // Make async
-            if (this.originalImage && !this.isProcessing) { // Check flag before starting
-                try {
-                   this.showLoading(true); // Show loader for the combined operation
-                   await this.updateDeadZoneHighlight(); // Wait for dead zone update
-                   this.compressImage(); // Now compress (will hide loader on completion/error)
-                } catch (error) {
-                    console.error("Error during debounced recalculation/compression:", error);
-                    this.showError("Failed to update image after dimension change.");
-                    this.showLoading(false); // Ensure loader hides on error here too
-                }
-            } else if (this.isProcessing) {
-                console.log("Skipping debounced recalculation: Already processing.");
+    // Moves the slider, its label and the chart marker together
+    setQuality(quality) {
+        this.currentQuality = quality;
+        document.getElementById('qualitySlider').value = quality;
+        document.getElementById('qualityValue').textContent = quality;
+        this.curveChart.setCurrentQuality(quality);
+    }
+
+    // Walks dropped folders via the entries API; falls back to the flat file list
+    async collectDroppedFiles(dataTransfer) {
+        const entries = [...(dataTransfer.items || [])]
+            .map(item => (item.webkitGetAsEntry ? item.webkitGetAsEntry() : null))
+            .filter(Boolean);
+        if (entries.length === 0) {
+            return [...dataTransfer.files].map(file => ({ file, path: file.name }));
+        }
+
+        const collected = [];
+        const walk = async entry => {
+            if (entry.isFile) {
+                const file = await new Promise((resolve, reject) => entry.file(resolve, reject));
+                collected.push({ file, path: entry.fullPath.replace(/^\//, '') });
+            } else if (entry.isDirectory) {
+                const reader = entry.createReader();
+                // readEntries returns results in chunks until it yields an empty array
+                let children;
+                do {
+                    children = await new Promise((resolve, reject) => reader.readEntries(resolve, reject));
+                    for (const child of children) await walk(child);
+                } while (children.length > 0);
             }
-        }, 300); // Slightly longer debounce for dimension changes
+        };
+        for (const entry of entries) await walk(entry);
+        return collected;
     }
 
+    // Entry point for every upload: one image opens the editor, several start batch mode
+    handleFiles(files) {
+        const images = files.filter(({ file }) => file.type.startsWith('image/'));
+        if (images.length === 0) {
+            this.showError('Please select a valid image file (JPG, PNG, WebP).');
+            return;
+        }
+        if (images.length === 1) {
+            this.handleFileSelect(images[0].file);
+            return;
+        }
+        if (images.length < files.length) {
+            this.showError(`Warning: Skipped ${files.length - images.length} non-image file(s).`);
+        }
+        this.startBatch(images);
+    }
 
-    async handleFileSelect(file) {
+    // `settings` (a restored session) replace the defaults the editor resets to
+    async handleFileSelect(file, settings = null) {
         // File validation
         if (!file) {
             this.showError('No file selected.');
@@ -145,109 +551,245 @@ class Imagify {
         this.originalSize = file.size;
         this.showLoading(true); // Show loader ONCE here for the entire initial load
         this.hideError();
-        this.isProcessing = true; // Set processing flag for the whole load
 
         const reader = new FileReader();
         reader.onload = e => {
             const img = new Image();
             img.onload = async () => {
                 try {
-                    this.originalImage = img;
+                    // Metadata first: orientation decides the editor image, the ICC profile how it is decoded
+                    this.metadata = await ImageMetadata.parse(await file.arrayBuffer());
+                    this.originalImage = await ImageMetadata.orientImage(img, this.metadata.orientation);
+                    this.renderMetadataPanel();
+                    await this.loadEngineSource(this.originalImage, file.type);
                     this.displayOriginalImage();
+                    this.renderCropReadout();
+                    this.renderRoiReadout();
                     this.showMainContent();
-                    // Reset UI
-                    document.getElementById('qualitySlider').value = 100;
-                    document.getElementById('qualityValue').textContent = '100';
-                    document.getElementById('maxWidth').value = '';
-                    document.getElementById('maxHeight').value = '';
-                    this.currentQuality = 100;
-                    // Update dead zone THEN trigger initial compression
-                    await this.updateDeadZoneHighlight(); // Wait for it
-                    this.compressImage(); // Start compression (will handle loader hiding)
+                    // Reset UI (to a settings link's values when the page was opened from one)
+                    document.getElementById('maxWidth').value = this.defaultSettings.maxWidth || '';
+                    document.getElementById('maxHeight').value = this.defaultSettings.maxHeight || '';
+                    this.setQuality(this.defaultSettings.quality);
+                    this.clearQualityCurve();
+                    this.clearResponsiveSet();
+                    this.compareView.clear();
+                    if (settings) this.applySettings(settings);
+                    this.snapshotStore.setSession('file', file).catch(error => console.warn('Could not save the session image:', error));
+                    // Dead zone and initial compression run side by side in the worker
+                    await Promise.all([this.updateDeadZoneHighlight(), this.compressImage()]);
                 } catch (loadError) {
                     console.error("Error during image load processing:", loadError);
                     this.showError('Failed to process image load. Please try again.');
-                    this.isProcessing = false; // Clear flag on error
-                    this.showLoading(false); // Hide loader on critical error
                 } finally {
-                     // **** NOTE: isProcessing is reset by processFinalBlob on success ****
+                    this.showLoading(false);
                 }
             };
             img.onerror = () => {
                 this.showError('Failed to load image. Please try another file.');
-                this.isProcessing = false; // Clear flag on error
                 this.showLoading(false);
             };
             img.src = e.target.result;
         };
         reader.onerror = () => {
             this.showError('Failed to read file. Please try again.');
-            this.isProcessing = false; // Clear flag on error
             this.showLoading(false);
         };
         reader.readAsDataURL(file);
     }
 
+    // Hands the editor image to the engine; jobs still running against the previous image are cancelled
+    async loadEngineSource(image, sourceType) {
+        // A kept ICC profile only describes the output if the pixels stay in that profile's space,
+        // so the browser's conversion to sRGB is skipped
+        const bitmap = await createImageBitmap(image, { colorSpaceConversion: this.keepsSourceProfile() ? 'none' : 'default' });
+        const previousSourceId = this.sourceId;
+        ['preview', 'deadZone', 'target', 'heatMap', 'heatMapExport', 'curve', 'compare', 'variants', 'responsive'].forEach(channel => this.engine.cancel(channel));
+
+        const sourceId = `editor-${++this.sourceCounter}`;
+        const { hasAlpha } = await this.engine.run('setSource', { sourceId, bitmap, sourceType }, { transfer: [bitmap] });
+        this.sourceId = sourceId;
+        this.sourceHasAlpha = hasAlpha;
+        this.renderAlphaNote();
+        if (previousSourceId) {
+            this.engine.run('releaseSource', { sourceId: previousSourceId }).catch(() => {});
+        }
+    }
+
+    // Explains what happens to the editor image's transparency with the chosen format
+    renderAlphaNote() {
+        const format = this.getOutputFormat();
+        document.getElementById('alphaNote').textContent = !this.sourceHasAlpha ? ''
+            : format.alpha ? `This image has transparency; ${format.label.split(' ')[0]} keeps it. The background is only used for formats without alpha.`
+                : `This image has transparency, which ${format.label} cannot store, so it is flattened onto the background color.`;
+    }
+
+    getBackgroundColor() {
+        return document.getElementById('backgroundColor').value;
+    }
+
+    keepsSourceProfile() {
+        return !!this.metadata?.icc && document.getElementById('keepIcc').checked;
+    }
+
+    async onKeepIccChange() {
+        this.renderMetadataNote();
+        if (!this.originalImage || !this.metadata?.icc) return;
+        try {
+            await this.loadEngineSource(this.originalImage, this.originalFile.type);
+            this.refreshPreview();
+        } catch (error) {
+            console.error('Error reloading image for color profile change:', error);
+            this.showError('Failed to apply the color profile setting.');
+        }
+    }
+
+    renderMetadataPanel() {
+        const metadata = this.metadata;
+        const list = document.getElementById('metadataList');
+        list.replaceChildren();
+        const rows = metadata ? ImageMetadata.describe(metadata) : [];
+        if (rows.length === 0) rows.push(['None', 'No EXIF, XMP or ICC data found']);
+        for (const [name, value] of rows) {
+            const dt = document.createElement('dt');
+            const dd = document.createElement('dd');
+            dt.textContent = name;
+            dd.textContent = name === 'Orientation' ? `${value} (applied)` : value;
+            list.append(dt, dd);
+        }
+
+        const keepCopyright = document.getElementById('keepCopyright');
+        const keepIcc = document.getElementById('keepIcc');
+        keepCopyright.disabled = !metadata?.author && !metadata?.copyright;
+        keepIcc.disabled = !metadata?.icc;
+        this.renderMetadataNote();
+    }
+
+    renderMetadataNote() {
+        const note = document.getElementById('metadataNote');
+        const kept = this.getKeptMetadata(false);
+        if (!this.metadata) {
+            note.textContent = '';
+        } else if (this.outputFormat === 'avif' && (kept.exif || kept.icc)) {
+            note.textContent = 'AVIF downloads are saved without metadata; pick JPEG, WebP or PNG to keep it.';
+        } else if (kept.icc) {
+            note.textContent = 'Previews and metrics use the image\'s own color values so the kept profile still matches them.';
+        } else {
+            note.textContent = kept.exif ? '' : 'Downloads will carry no metadata.';
+        }
+    }
+
+    // Metadata to write into a download. Re-encoded pixels are already upright, but an original
+    // that is passed through still needs its orientation tag, and its profile: its pixels were never
+    // converted, so dropping the profile would change its colors.
+    getKeptMetadata(isOriginal) {
+        const metadata = this.metadata;
+        if (!metadata) return {};
+        const keepCopyright = document.getElementById('keepCopyright').checked;
+        const author = keepCopyright ? metadata.author : null;
+        const copyright = keepCopyright ? metadata.copyright : null;
+        return {
+            exif: ImageMetadata.buildExif({ orientation: isOriginal ? metadata.orientation : 1, artist: author, copyright }),
+            xmp: ImageMetadata.buildXmp({ creator: author, rights: copyright }),
+            icc: this.keepsSourceProfile() || isOriginal ? metadata.icc : null
+        };
+    }
+
     async findDeadZoneThreshold() {
-        if (!this.originalImage || !this.originalFile || this.originalSize === 0) {
+        if (!this.originalImage || !this.originalFile || this.originalSize === 0 || !this.sourceId) {
              console.log("Skipping dead zone calculation: Missing image, file, or size.");
             return 101;
         }
-        const { width, height } = this.calculateCompressionSize();
-        if (width === 0 || height === 0) {
+        const resize = this.calculateCompressionSize();
+        if (resize.width === 0 || resize.height === 0) {
             console.warn("Skipping dead zone calculation: Target dimensions are zero.");
             return 101;
         }
 
-        const testQualities = [99, 98, 97, 96, 95, 94, 93, 92, 91, 90, 88, 85, 80, 75, 70];
-        let thresholdQuality = 101;
+        // The 15-step probing loop runs in the engine; a newer request cancels this one
+        return this.engine.run('deadZone', {
+            sourceId: this.sourceId,
+            resize,
+            format: this.getOutputFormat(),
+            background: this.getBackgroundColor(),
+            originalSize: this.originalSize
+        }, { channel: 'deadZone' });
+    }
 
-        const tempCanvas = document.createElement('canvas');
-        tempCanvas.width = width;
-        tempCanvas.height = height;
-        const ctx = tempCanvas.getContext('2d');
+    setQualityMode(mode) {
+        document.getElementById('modeSelect').value = mode;
+        document.getElementById('targetSizeControls').style.display = mode === 'size' ? 'flex' : 'none';
+        document.getElementById('targetQualityControls').style.display = mode === 'quality' ? 'flex' : 'none';
+        document.getElementById('findQualityBtn').style.display = mode === 'manual' ? 'none' : 'inline-flex';
+        document.getElementById('targetResult').textContent = '';
+    }
 
-        if (this.originalFile.type === 'image/png') {
-            ctx.fillStyle = '#FFFFFF';
-            ctx.fillRect(0, 0, width, height);
+    // Reads the target inputs for the active mode; returns null (after showing an error) when invalid
+    getTargetFromInputs(mode) {
+        if (mode === 'size') {
+            const value = parseFloat(document.getElementById('targetSizeValue').value);
+            const unit = parseInt(document.getElementById('targetSizeUnit').value);
+            if (!(value > 0)) {
+                this.showError('Please enter a target file size greater than zero.');
+                return null;
+            }
+            return { bytes: Math.round(value * unit) };
         }
-        ctx.drawImage(this.originalImage, 0, 0, width, height);
+        const metric = document.getElementById('targetMetric').value;
+        const value = parseFloat(document.getElementById('targetQualityValue').value);
+        if (!Number.isFinite(value) || value <= 0 || (metric === 'ssim' && value > 1)) {
+            this.showError(metric === 'ssim' ? 'Target SSIM must be between 0 and 1.' : 'Please enter a target PSNR in dB.');
+            return null;
+        }
+        return { metric, value };
+    }
 
-        for (const quality of testQualities) {
-            try {
-                const blob = await new Promise((resolve) => {
-                    tempCanvas.toBlob(blob => resolve(blob), 'image/jpeg', quality / 100);
-                });
+    async runTargetSearch() {
+        const mode = document.getElementById('modeSelect').value;
+        if (mode === 'manual' || !this.originalImage || !this.sourceId) return;
+        const target = this.getTargetFromInputs(mode);
+        if (!target) return;
 
-                if (blob && blob.size > this.originalSize) {
-                    thresholdQuality = quality;
-                    console.log(`(DZ Check) Quality ${quality}: Size ${blob.size} > Original ${this.originalSize}. Threshold might be here or lower.`);
-                } else {
-                    thresholdQuality = quality + 1;
-                    console.log(`(DZ Check) Quality ${quality}: Size ${blob ? blob.size : 'N/A'} <= Original ${this.originalSize}. Dead zone starts at ${thresholdQuality}.`);
-                    break;
-                }
-            } catch (error) {
-                console.error(`Error checking blob size at quality ${quality}:`, error);
-                thresholdQuality = quality + 1;
-                break;
-            }
+        const format = this.getOutputFormat();
+        if (!format.lossy) {
+            this.showError(`${format.label} is lossless, so there is no quality to search. Pick a lossy format.`);
+            return;
+        }
+        const resize = this.calculateCompressionSize();
+
+        this.showLoading(true);
+        const resultText = document.getElementById('targetResult');
+        try {
+            // Binary search over encoder quality, run in the engine with the dead-zone probing approach
+            const result = await this.engine.run('targetSearch', {
+                sourceId: this.sourceId, resize, format, background: this.getBackgroundColor(), mode, target
+            }, { channel: 'target' });
+            const targetLabel = mode === 'size'
+                ? `≤ ${this.formatFileSize(target.bytes)}`
+                : `${target.metric.toUpperCase()} ≥ ${target.value}`;
+            const achieved = mode === 'size'
+                ? this.formatFileSize(result.size)
+                : `${target.metric.toUpperCase()} ${target.metric === 'ssim' ? result.ssim.toFixed(4) : result.psnr.toFixed(2)}`;
+            resultText.textContent = result.reached
+                ? `Picked quality ${result.quality}% (${achieved}) for ${targetLabel} in ${result.tries} tries.`
+                : `Target ${targetLabel} is out of reach; closest is quality ${result.quality}% (${achieved}) after ${result.tries} tries.`;
+            resultText.classList.toggle('is-warning', !result.reached);
+
+            this.setQuality(result.quality);
+            await this.compressImage();
+        } catch (error) {
+            if (ImagifyEngine.isAbortError(error)) return;
+            console.error("Error during target search:", error);
+            this.showError(`Target search failed: ${error.message}`);
+            resultText.textContent = '';
+        } finally {
+            this.showLoading(false);
         }
-        thresholdQuality = Math.max(1, Math.min(thresholdQuality, 101));
-        console.log(`Final dead zone threshold determined to start at quality: ${thresholdQuality}`);
-        return thresholdQuality;
     }
 
-    // **** FIX: Simplified isProcessing management ****
     async updateDeadZoneHighlight() {
-        // Prevent calculation if no image (allow if isProcessing, let the caller manage)
         if (!this.originalImage) return;
 
         console.log("Updating dead zone highlight...");
-        // Use a local processing flag specific to this function's async operation
-        let dzIsProcessing = true;
-        // this.showLoading(true); // Loader managed by caller
-
         try {
             const threshold = await this.findDeadZoneThreshold();
             let deadZoneWidth = 0;
@@ -256,24 +798,87 @@ class Imagify {
             }
             document.documentElement.style.setProperty('--deadzone-width', `${deadZoneWidth}%`);
             console.log(`Set CSS --deadzone-width to: ${deadZoneWidth}%`);
+            this.curveChart.setDeadZone(threshold);
         } catch(error) {
+            if (ImagifyEngine.isAbortError(error)) return; // A newer calculation owns the highlight
             console.error("Error updating dead zone highlight:", error);
             document.documentElement.style.setProperty('--deadzone-width', `0%`);
+            this.curveChart.setDeadZone(101);
+        }
+    }
+
+    // Samples size, PSNR and SSIM across QUALITY_CURVE_SAMPLES for the current format and dimensions
+    async plotQualityCurve() {
+        if (!this.originalImage || !this.sourceId) return;
+        const format = this.getOutputFormat();
+        const resize = this.calculateCompressionSize();
+        const { width, height } = resize;
+        const status = document.getElementById('curveStatus');
+        const plotBtn = document.getElementById('plotCurveBtn');
+
+        status.textContent = format.lossy
+            ? `Sampling ${QUALITY_CURVE_SAMPLES.length} qualities at ${width}×${height}...`
+            : `${format.label} ignores quality; measuring a single encode...`;
+        plotBtn.disabled = true;
+        try {
+            const { points, kneeQuality } = await this.engine.run('qualityCurve', {
+                sourceId: this.sourceId, resize, format, background: this.getBackgroundColor(), qualities: QUALITY_CURVE_SAMPLES
+            }, { channel: 'curve' });
+            this.curveChart.setPoints(points, kneeQuality);
+            this.curveChart.setCurrentQuality(this.currentQuality);
+
+            const ssimValues = points.map(point => point.ssim);
+            document.getElementById('curveSsimRange').textContent =
+                `${Math.min(...ssimValues).toFixed(3)}–${Math.max(...ssimValues).toFixed(3)}`;
+            status.textContent = kneeQuality
+                ? `${format.label} at ${width}×${height}. Past quality ${kneeQuality}, each step costs noticeably more bytes. Click a point to use it.`
+                : `${format.label} at ${width}×${height}. Click a point to use it.`;
+        } catch (error) {
+            if (ImagifyEngine.isAbortError(error)) return; // Superseded by a newer plot
+            console.error("Error plotting quality curve:", error);
+            status.textContent = `Could not plot the curve: ${error.message}`;
         } finally {
-            dzIsProcessing = false; // Release local flag
-            // this.showLoading(false); // Loader managed by caller
+            plotBtn.disabled = false;
         }
     }
 
+    clearQualityCurve() {
+        this.engine.cancel('curve');
+        this.curveChart.clear();
+        document.getElementById('curveStatus').textContent = '';
+        document.getElementById('curveSsimRange').textContent = '-';
+    }
 
+    // Also resets the crop, which belongs to the previous image
     displayOriginalImage() {
         const { width, height } = this.calculateDisplaySize(this.originalImage.width, this.originalImage.height, 400, 400);
-        this.originalCanvas.width = width;
-        this.originalCanvas.height = height;
-        this.originalCtx.drawImage(this.originalImage, 0, 0, width, height);
+        this.cropBox.setImage(this.originalImage, width, height);
         document.getElementById('originalSize').textContent = this.formatFileSize(this.originalSize);
     }
 
+    renderCropReadout() {
+        const crop = this.cropBox.crop;
+        document.getElementById('cropReadout').textContent = crop
+            ? `${crop.width}×${crop.height} at ${crop.x}, ${crop.y}`
+            : 'Drag on the original image to crop it.';
+        document.getElementById('clearCropBtn').disabled = !crop;
+    }
+
+    renderRoiReadout() {
+        const roi = this.cropBox.roi;
+        const share = roi.marked / (roi.data.length || 1);
+        document.getElementById('roiReadout').textContent = roi.isEmpty()
+            ? 'Pick the brush or rectangle, then paint on the original image what must stay crisp.'
+            : `${share < 0.01 ? '<1' : Math.round(share * 100)}% of the image marked; the rest is smoothed before encoding.`;
+        document.getElementById('clearRoiBtn').disabled = roi.isEmpty();
+    }
+
+    // The painted region and how hard to smooth the rest, or null when nothing is painted
+    getRoiSettings() {
+        const mask = this.cropBox.roi.toSettings();
+        return mask ? { mask, blur: parseInt(document.getElementById('roiBlur').value) } : null;
+    }
+
     calculateDisplaySize(originalWidth, originalHeight, maxWidth, maxHeight) {
       if (!originalWidth || !originalHeight) return { width: 0, height: 0};
         const ratio = Math.min(maxWidth / originalWidth, maxHeight / originalHeight, 1);
@@ -283,341 +888,381 @@ class Imagify {
         };
     }
 
+    // Resize plan (output size plus the source and target rectangles) for the editor settings
     calculateCompressionSize() {
       if (!this.originalImage) return { width: 0, height: 0};
-        const maxWidth = parseInt(document.getElementById('maxWidth').value) || this.originalImage.naturalWidth;
-        const maxHeight = parseInt(document.getElementById('maxHeight').value) || this.originalImage.naturalHeight;
-        const ratio = Math.min(maxWidth / this.originalImage.naturalWidth, maxHeight / this.originalImage.naturalHeight, 1);
+        return this.planResize(this.originalImage.naturalWidth, this.originalImage.naturalHeight, this.getCurrentSettings());
+    }
+
+    // Crop, then fit into the max bounds (times the pixel density) with the chosen mode and filter;
+    // see ImagifyCore.planResize(). Empty bounds mean "original".
+    planResize(naturalWidth, naturalHeight, settings) {
+        return ImagifyCore.planResize(naturalWidth, naturalHeight, settings);
+    }
+
+    // Snapshot of the editor controls, in the same shape the batch queue uses per file
+    getCurrentSettings() {
         return {
-            width: Math.max(1, Math.round(this.originalImage.naturalWidth * ratio)),
-            height: Math.max(1, Math.round(this.originalImage.naturalHeight * ratio))
+            quality: this.currentQuality,
+            maxWidth: parseInt(document.getElementById('maxWidth').value) || null,
+            maxHeight: parseInt(document.getElementById('maxHeight').value) || null,
+            fit: document.getElementById('fitMode').value,
+            filter: document.getElementById('resampleFilter').value,
+            crop: this.cropBox.crop,
+            roi: this.getRoiSettings(),
+            scale: 1,
+            format: this.outputFormat,
+            palette: this.getPaletteOptions(),
+            jpeg: this.getJpegOptions(),
+            background: this.getBackgroundColor()
         };
     }
 
+    // Puts saved settings (a restored session or a snapshot's) back into the editor controls
+    applySettings(settings) {
+        document.getElementById('maxWidth').value = settings.maxWidth || '';
+        document.getElementById('maxHeight').value = settings.maxHeight || '';
+        document.getElementById('fitMode').value = settings.fit;
+        document.getElementById('resampleFilter').value = settings.filter;
+        document.getElementById('backgroundColor').value = settings.background;
+        if (settings.palette) {
+            document.getElementById('paletteColors').value = settings.palette.colors;
+            document.getElementById('paletteColorsValue').textContent = settings.palette.colors;
+            document.getElementById('paletteDither').checked = settings.palette.dither;
+        }
+        if (settings.jpeg) {
+            const { subsampling, progressive, optimizeHuffman, quantTables } = settings.jpeg;
+            document.getElementById('jpegSubsampling').value = subsampling;
+            document.getElementById('jpegProgressive').checked = progressive;
+            document.getElementById('jpegOptimizeHuffman').checked = optimizeHuffman;
+            document.getElementById('jpegQuantTables').value = quantTables ? 'custom' : 'standard';
+            // One row of the table per line, luma first
+            if (quantTables) {
+                document.getElementById('jpegCustomTables').value = [...quantTables.luma, ...quantTables.chroma]
+                    .map((value, i) => (i % 8 === 7 ? `${value}\n` : `${value} `)).join('').trim();
+            }
+            this.onCustomTablesInput();
+        }
+        this.cropBox.setCrop(settings.crop || null);
+        this.renderCropReadout();
+        this.cropBox.setRoi(settings.roi ? settings.roi.mask : null);
+        if (settings.roi) {
+            document.getElementById('roiBlur').value = settings.roi.blur;
+            document.getElementById('roiBlurValue').textContent = settings.roi.blur;
+        }
+        this.renderRoiReadout();
+        this.setQuality(settings.quality);
+        this.setOutputFormat(settings.format);
+        this.renderMetadataNote();
+        this.renderAlphaNote();
+    }
 
-    compressImage() {
-        // **** FIX: Check global flag ****
-        if (!this.originalImage) return; // Allow if isProcessing, means it was called intentionally
-        if (this.isProcessing && !this.originalImage) return; // Prevent if called while another op runs initially
+    // Sends one compression job to the engine. The untouched original is passed through as the
+    // "encoded" blob when re-encoding is pointless, so metrics and the preview still run on it;
+    // `passThrough: false` always encodes, for outputs that must really be in the chosen format.
+    async runCompressionJob(sourceId, file, naturalWidth, naturalHeight, settings, { channel = null, metrics = true, preview = false, heatMap = false, fullSize = false, passThrough = true } = {}) {
+        const format = this.resolveFormat(settings.format, settings.palette, settings.jpeg);
+        const resize = this.planResize(naturalWidth, naturalHeight, settings);
+        const { width, height } = resize;
+        if (width === 0 || height === 0) {
+            throw new Error("Calculated compression dimensions are zero.");
+        }
+        const isResized = !ImagifyCore.isIdentityResize(resize, naturalWidth, naturalHeight);
+        // The original only stands in for output already in its format (at quality 100 for lossy formats);
+        // a palette, like region-of-interest smoothing, is a real change even at quality 100
+        const keepsOriginal = !format.palette && !settings.roi && file.type === format.mime && (!format.lossy || settings.quality === 100);
+        const usesOriginal = passThrough && keepsOriginal && !isResized;
+
+        const result = await this.engine.run('compress', {
+            sourceId,
+            resize,
+            format,
+            background: settings.background,
+            quality: settings.quality,
+            blob: usesOriginal ? file : null,
+            metrics,
+            preview: preview || heatMap,
+            heatMap,
+            heatMapMode: this.getHeatMapMode(),
+            heatMapFullSize: heatMap && this.isHeatMapFullSize(),
+            display: this.calculateDisplaySize(width, height, 400, 400),
+            fullSize,
+            roi: settings.roi
+        }, { channel });
+        // Structured cloning copies the File, so restore identity for the "Using Original" checks
+        if (usesOriginal) result.blob = file;
+        return result;
+    }
 
+    async compressImage() {
+        if (!this.originalImage || !this.sourceId) return;
+        if (this.snapshotPair) this.leaveSnapshotPair(); // Any edit brings the live preview back
 
         console.log("Starting compressImage...");
-        this.isProcessing = true; // Set global flag
-        this.showLoading(true); // Show loader specifically for compression
-
+        this.setPreviewUpdating(true);
         try {
-            const { width, height } = this.calculateCompressionSize();
-            if (width === 0 || height === 0) {
-                 throw new Error("Calculated compression dimensions are zero.");
-            }
-            const isResized = width !== this.originalImage.naturalWidth || height !== this.originalImage.naturalHeight;
-
-            if (this.currentQuality === 100 && !isResized) {
-                console.log("Quality 100% and no resize, using original file for preview.");
-                // Still need to go through processFinalBlob to update metrics/UI correctly
-                this.processFinalBlob(this.originalFile);
-                return; // processFinalBlob will handle flags and loader
-            }
-
-            const tempCanvas = document.createElement('canvas');
-            tempCanvas.width = width;
-            tempCanvas.height = height;
-            const ctx = tempCanvas.getContext('2d');
-
-            if (this.originalFile && this.originalFile.type === 'image/png') {
-                ctx.fillStyle = '#FFFFFF';
-                ctx.fillRect(0, 0, width, height);
-            }
-            ctx.drawImage(this.originalImage, 0, 0, width, height);
-
-            tempCanvas.toBlob(blob => {
-                if (!blob) {
-                    this.showError('Failed to compress image.');
-                    this.isProcessing = false; // Clear flag on blob error
-                    this.showLoading(false); // Hide loader on blob error
-                    return;
-                }
-                this.processFinalBlob(blob); // Pass control
-            }, 'image/jpeg', this.currentQuality / 100);
-
+            const settings = this.getCurrentSettings();
+            const result = await this.runCompressionJob(
+                this.sourceId, this.originalFile, this.originalImage.naturalWidth, this.originalImage.naturalHeight,
+                settings,
+                { channel: 'preview', metrics: true, preview: true, heatMap: this.isHeatMapVisible(), fullSize: this.isCompareVisible() }
+            );
+            this.processFinalBlob(result);
+            this.previewSettings = settings;
+            this.snapshotStore.setSession('settings', settings).catch(error => console.warn('Could not save the session settings:', error));
+            this.updateSettingsLink(settings);
         } catch (error) {
+            if (ImagifyEngine.isAbortError(error)) return; // A newer slider position took over
             this.showError(`Compression error: ${error.message}`);
-            this.isProcessing = false; // Clear flag on compression error
-            this.showLoading(false); // Hide loader on compression error
+            this.resetMetricsUI();
         }
+        this.setPreviewUpdating(false);
+    }
+
+    // Dims the compressed preview while a job for it is in flight
+    setPreviewUpdating(isUpdating) {
+        this.compressedCanvas.closest('.image-container').classList.toggle('is-updating', isUpdating);
     }
 
-    processFinalBlob(blob) {
-        this.compressedBlob = blob; // Store the current preview blob
-        const isUsingOriginal = blob === this.originalFile;
+    processFinalBlob(result) {
+        this.compressedBlob = result.blob; // Store the current preview blob
+        const isUsingOriginal = result.blob === this.originalFile;
         this.bestQualityBadge.style.display = isUsingOriginal ? 'inline-block' : 'none';
 
-        const img = new Image();
-        img.onload = () => {
-            try { // Wrap in try...finally for safety
-                // 1. DISPLAY LOGIC
-                const { width: displayWidth, height: displayHeight } = this.calculateDisplaySize(img.naturalWidth, img.naturalHeight, 400, 400);
-                this.compressedCanvas.width = displayWidth;
-                this.compressedCanvas.height = displayHeight;
-                this.compressedCtx.drawImage(img, 0, 0, displayWidth, displayHeight);
-
-                // 2. METRICS CALCULATION LOGIC
-                const metricsCanvas = document.createElement('canvas');
-                const metricsWidth = img.naturalWidth;
-                const metricsHeight = img.naturalHeight;
-
-                if (metricsWidth === 0 || metricsHeight === 0) {
-                    console.error("Cannot calculate metrics: Image blob has zero dimensions.");
-                    this.resetMetricsUI();
-                } else {
-                    metricsCanvas.width = metricsWidth;
-                    metricsCanvas.height = metricsHeight;
-                    const ctx = metricsCanvas.getContext('2d');
-                    if (this.originalFile && this.originalFile.type === 'image/png') {
-                        ctx.fillStyle = '#FFFFFF';
-                        ctx.fillRect(0, 0, metricsWidth, metricsHeight);
-                    }
-                    ctx.drawImage(img, 0, 0);
-                    this.calculateMetrics(metricsCanvas, blob);
-                }
+        try {
+            // 1. DISPLAY LOGIC: the engine already scaled the decoded image to display size
+            if (result.preview) {
+                this.compressedCanvas.width = result.preview.width;
+                this.compressedCanvas.height = result.preview.height;
+                this.compressedCtx.drawImage(result.preview, 0, 0);
+                result.preview.close();
+            }
+
+            // 2. METRICS
+            if (result.width === 0 || result.height === 0) {
+                console.error("Cannot calculate metrics: Image blob has zero dimensions.");
+                this.resetMetricsUI();
+            } else {
+                this.calculateMetrics(result);
+            }
 
-                // 3. UPDATE HEATMAP
-                this.updateHeatMap();
+            // 3. HEATMAP
+            if (result.heatMap) {
+                this.drawHeatMap(result.heatMap);
+            }
 
-            } catch(processError) {
-                 console.error("Error during blob processing (display/metrics/heatmap):", processError);
-                 this.showError("Failed to process compressed image data.");
-                 this.resetMetricsUI(); // Reset metrics if processing fails
-            } finally {
-                 // 4. CLEANUP (ALWAYS RUNS)
-                URL.revokeObjectURL(img.src);
-                this.isProcessing = false; // **** FIX: Clear global flag HERE ****
-                this.showLoading(false); // **** FIX: Hide loader HERE ****
-                console.log("processFinalBlob finished.");
+            // 4. FULL-SIZE COMPARISON
+            if (result.fullSize) {
+                this.compareView.setImages(result.fullSize.original, result.fullSize.compressed);
             }
-        };
-        img.onerror = () => {
-            this.showError('Failed to display compressed image.');
-            this.isProcessing = false; // Clear flag on display error
-            this.showLoading(false); // Hide loader on display error
-            this.resetMetricsUI();
-        };
-        img.src = URL.createObjectURL(blob);
+        } catch(processError) {
+             console.error("Error during blob processing (display/metrics/heatmap):", processError);
+             this.showError("Failed to process compressed image data.");
+             this.resetMetricsUI(); // Reset metrics if processing fails
+        }
+        console.log("processFinalBlob finished.");
     }
 
     resetMetricsUI() {
-        document.getElementById('psnrValue').textContent = '-';
-        document.getElementById('ssimValue').textContent = '-';
+        this.lastMetrics = null;
+        this.renderQualityMetrics();
         document.getElementById('compressionRatio').textContent = '-';
         document.getElementById('sizeReduction').textContent = '-';
         document.getElementById('compressedSize').textContent = '-';
     }
 
-
-    calculateMetrics(compressedImageCanvas, compressedBlob) {
+    // PSNR/SSIM arrive from the engine; ratio and reduction are derived from the sizes here
+    calculateMetrics(result) {
        if (!this.originalImage || !this.originalFile) {
          console.warn("Cannot calculate metrics: Original image or file missing.");
          this.resetMetricsUI();
          return;
        }
-        try {
-            const compWidth = compressedImageCanvas.width;
-            const compHeight = compressedImageCanvas.height;
-
-            if (compWidth === 0 || compHeight === 0) {
-                 console.warn("Cannot calculate metrics: Compressed canvas has zero dimensions.");
-                 this.resetMetricsUI();
-                 return;
-            }
-
-            const originalResizedCanvas = document.createElement('canvas');
-            originalResizedCanvas.width = compWidth;
-            originalResizedCanvas.height = compHeight;
-            const origCtx = originalResizedCanvas.getContext('2d');
-
-            if (this.originalFile.type === 'image/png') {
-                 origCtx.fillStyle = '#FFFFFF';
-                 origCtx.fillRect(0, 0, compWidth, compHeight);
-            }
-            origCtx.drawImage(this.originalImage, 0, 0, compWidth, compHeight);
-
-            const originalData = origCtx.getImageData(0, 0, compWidth, compHeight);
-            const compressedData = compressedImageCanvas.getContext('2d').getImageData(0, 0, compWidth, compHeight);
-
-            const psnr = this.calculatePSNR(originalData, compressedData);
-            const ssim = this.calculateSSIM(originalData, compressedData);
-
-            const currentSize = compressedBlob.size;
-            const compressionRatio = this.originalSize > 0 && currentSize > 0 ? this.originalSize / currentSize : 1;
-            const sizeReduction = this.originalSize > 0 ? Math.max(0, ((this.originalSize - currentSize) / this.originalSize) * 100) : 0;
+        const currentSize = result.size;
+        const { compressionRatio, sizeReduction } = ImagifyCore.sizeStats(this.originalSize, currentSize);
 
-            document.getElementById('psnrValue').textContent = psnr.toFixed(2);
-            document.getElementById('ssimValue').textContent = ssim.toFixed(4);
-            document.getElementById('compressionRatio').textContent = compressionRatio.toFixed(1);
-            document.getElementById('sizeReduction').textContent = sizeReduction.toFixed(1);
-            document.getElementById('compressedSize').textContent = this.formatFileSize(currentSize);
-        } catch (error) {
-            console.error('Error calculating metrics:', error);
-            this.resetMetricsUI();
-        }
+        this.lastMetrics = {
+            psnr: result.psnr, psnrChannels: result.psnrChannels, ssim: result.ssim, msssim: result.msssim,
+            dssim: result.dssim, deltaE: result.deltaE, regions: result.regions
+        };
+        this.renderQualityMetrics();
+        document.getElementById('compressionRatio').textContent = compressionRatio.toFixed(1);
+        document.getElementById('sizeReduction').textContent = sizeReduction.toFixed(1);
+        document.getElementById('compressedSize').textContent = this.formatFileSize(currentSize);
     }
 
-    calculatePSNR(originalData, compressedData) {
-        const d1 = originalData.data, d2 = compressedData.data;
-        let mse = 0;
-        let pixelCount = 0;
-        for (let i = 0; i < d1.length; i += 4) {
-            if (d1[i+3] < 255) continue;
-            mse += (d1[i] - d2[i]) ** 2 + (d1[i + 1] - d2[i + 1]) ** 2 + (d1[i + 2] - d2[i + 2]) ** 2;
-            pixelCount++;
+    // Shows the selected PSNR/SSIM variants; the unit line names the variant so screenshots stay unambiguous
+    renderQualityMetrics() {
+        const metrics = this.lastMetrics;
+        const psnrSelect = document.getElementById('psnrVariant');
+        const ssimSelect = document.getElementById('ssimVariant');
+        const psnrVariant = psnrSelect.value;
+
+        document.getElementById('psnrUnit').textContent = `dB, ${psnrSelect.selectedOptions[0].textContent}`;
+        document.getElementById('ssimUnit').textContent = `index (0-1), ${ssimSelect.selectedOptions[0].textContent}`;
+
+        const psnr = !metrics ? null : psnrVariant === 'combined' ? metrics.psnr : metrics.psnrChannels?.[psnrVariant];
+        const ssim = metrics?.[ssimSelect.value];
+        document.getElementById('psnrValue').textContent = psnr == null ? '-' : psnr.toFixed(2);
+        document.getElementById('ssimValue').textContent = ssim == null ? '-' : ssim.toFixed(4);
+        document.getElementById('dssimValue').textContent = metrics?.dssim == null ? '-' : metrics.dssim.toFixed(4);
+        document.getElementById('deltaEMeanValue').textContent = metrics?.deltaE ? metrics.deltaE.mean.toFixed(2) : '-';
+        document.getElementById('deltaEP95Value').textContent = metrics?.deltaE ? metrics.deltaE.p95.toFixed(2) : '-';
+
+        // The breakdown lists the color space of the selected variant; "combined" is an RGB figure
+        const channels = psnrVariant in PSNR_CHANNEL_GROUPS.ycbcr ? PSNR_CHANNEL_GROUPS.ycbcr : PSNR_CHANNEL_GROUPS.rgb;
+        document.getElementById('psnrChannels').textContent = metrics?.psnrChannels
+            ? Object.entries(channels).map(([key, label]) => `${label} ${metrics.psnrChannels[key].toFixed(2)}`).join(' · ')
+            : '';
+
+        // Inside vs. outside the region of interest, when one was painted
+        const regions = metrics?.regions;
+        document.getElementById('roiMetricsCard').style.display = regions ? 'block' : 'none';
+        if (regions) {
+            const fixed = (value, digits) => (value == null ? '-' : value.toFixed(digits));
+            document.getElementById('roiPsnrValue').textContent = fixed(regions.roi.psnr, 2);
+            document.getElementById('roiBreakdown').textContent =
+                `Region SSIM ${fixed(regions.roi.ssim, 4)} · Background ${fixed(regions.background.psnr, 2)} dB, SSIM ${fixed(regions.background.ssim, 4)}`;
         }
-        if (pixelCount === 0) return 100;
-        mse /= (pixelCount * 3);
-        if (mse < 1e-10) return 100;
-        return Math.max(0, 10 * Math.log10(255 ** 2 / mse));
     }
 
-    calculateSSIM(img1, img2) {
-        const K1 = 0.01, K2 = 0.03, L = 255;
-        const C1 = (K1 * L) ** 2, C2 = (K2 * L) ** 2;
-        const d1 = img1.data, d2 = img2.data;
-        const width = img1.width, height = img1.height;
-        const WINDOW_SIZE = 8;
-        let totalSsim = 0, windowCount = 0;
-
-        if (width < WINDOW_SIZE || height < WINDOW_SIZE) {
-            console.warn("Image too small for SSIM calculation.");
-            return 1;
-        }
-
-        for (let y = 0; y <= height - WINDOW_SIZE; y += WINDOW_SIZE) {
-            for (let x = 0; x <= width - WINDOW_SIZE; x += WINDOW_SIZE) {
-                let sumX = 0, sumY = 0, sumX2 = 0, sumY2 = 0, sumXY = 0;
-                let numPixels = 0;
-                let windowHasOpaquePixel = false;
-
-                for (let j = 0; j < WINDOW_SIZE; j++) {
-                    for (let i = 0; i < WINDOW_SIZE; i++) {
-                        const curX = x + i, curY = y + j;
-                        const index = (curY * width + curX) * 4;
-
-                        if (d1[index + 3] === 0) continue;
-                        windowHasOpaquePixel = true;
-
-                        const lumX = 0.299 * d1[index] + 0.587 * d1[index + 1] + 0.114 * d1[index + 2];
-                        const lumY = 0.299 * d2[index] + 0.587 * d2[index + 1] + 0.114 * d2[index + 2];
-
-                        sumX += lumX; sumY += lumY;
-                        sumX2 += lumX ** 2; sumY2 += lumY ** 2;
-                        sumXY += lumX * lumY;
-                        numPixels++;
-                    }
-                }
-
-                if (!windowHasOpaquePixel || numPixels === 0) continue;
+    // A key of ImagifyMetrics.HEATMAP_MODES: 'rgb', 'deltaE', 'ssim', a channel, 'blockiness' or 'ringing'
+    getHeatMapMode() {
+        return document.getElementById('heatMapMode').value;
+    }
 
-                const meanX = sumX / numPixels;
-                const meanY = sumY / numPixels;
-                let varX = (sumX2 / numPixels) - (meanX ** 2);
-                let varY = (sumY2 / numPixels) - (meanY ** 2);
-                let covXY = (sumXY / numPixels) - (meanX * meanY);
+    isHeatMapFullSize() {
+        return document.getElementById('heatMapFullSize').checked;
+    }
 
-                varX = Math.max(0, varX);
-                varY = Math.max(0, varY);
+    // Fraction of the scale below which the map stays clear
+    getHeatMapThreshold() {
+        return parseInt(document.getElementById('heatMapThreshold').value) / 100;
+    }
 
-                const ssim = ((2 * meanX * meanY + C1) * (2 * covXY + C2)) / ((meanX ** 2 + meanY ** 2 + C1) * (varX + varY + C2));
-                totalSsim += ssim;
-                windowCount++;
-            }
+    // Color scale of the selected map type, faded below the threshold, with its range and unit
+    renderHeatMapLegend() {
+        const canvas = document.getElementById('heatMapLegend');
+        const ctx = canvas.getContext('2d');
+        const threshold = this.getHeatMapThreshold();
+        ctx.clearRect(0, 0, canvas.width, canvas.height);
+        for (let x = 0; x < canvas.width; x++) {
+            const intensity = x / (canvas.width - 1);
+            const { r, g, b } = ImagifyMetrics.getHeatMapColor(intensity);
+            ctx.fillStyle = `rgba(${r}, ${g}, ${b}, ${intensity < threshold ? 0.15 : 1})`;
+            ctx.fillRect(x, 0, 1, canvas.height);
         }
-        return windowCount > 0 ? Math.max(0, Math.min(1, totalSsim / windowCount)) : 1;
+        const { max, unit } = ImagifyMetrics.HEATMAP_MODES[this.getHeatMapMode()];
+        document.getElementById('heatMapLegendUnit').textContent = unit;
+        document.getElementById('heatMapLegendMax').textContent = `≥ ${max}`;
     }
 
-
-    updateHeatMap() {
+    isHeatMapVisible() {
         const heatMapOverlay = document.getElementById('heatMapOverlay');
-        if (!heatMapOverlay || !heatMapOverlay.checkVisibility() || !this.originalImage || !this.compressedCtx) {
+        return !!heatMapOverlay && heatMapOverlay.checkVisibility();
+    }
+
+    // Requests a heat map for the blob already on screen (e.g. when the overlay is switched on)
+    async updateHeatMap() {
+        if (!this.isHeatMapVisible() || !this.originalImage || !this.compressedBlob || !this.sourceId) {
              if(this.heatMapCanvas) {
                  this.heatMapCtx.clearRect(0, 0, this.heatMapCanvas.width, this.heatMapCanvas.height);
              }
+             this.lastHeatMap = null;
              return;
         }
+        if (this.snapshotPair) {
+            this.showSnapshotPair(); // A against B rather than the source against the preview
+            return;
+        }
 
         try {
             const displayWidth = this.compressedCanvas.width;
             const displayHeight = this.compressedCanvas.height;
-
-            if (this.heatMapCanvas.width !== displayWidth || this.heatMapCanvas.height !== displayHeight) {
-                this.heatMapCanvas.width = displayWidth;
-                this.heatMapCanvas.height = displayHeight;
-            }
-
             if (displayWidth === 0 || displayHeight === 0) {
                  console.warn("Skipping heatmap update: Display canvas has zero dimensions.");
                  return;
             }
-
-            const heatMapImageData = this.heatMapCtx.createImageData(displayWidth, displayHeight);
-            const heatMapData = heatMapImageData.data;
-
-            const tempOriginalCanvas = document.createElement('canvas');
-            tempOriginalCanvas.width = displayWidth;
-            tempOriginalCanvas.height = displayHeight;
-            const tempCtx = tempOriginalCanvas.getContext('2d');
-
-            if (this.originalFile && this.originalFile.type === 'image/png') {
-                tempCtx.fillStyle = '#FFFFFF';
-                tempCtx.fillRect(0, 0, displayWidth, displayHeight);
-            }
-            tempCtx.drawImage(this.originalImage, 0, 0, displayWidth, displayHeight);
-
-            const originalData = tempCtx.getImageData(0, 0, displayWidth, displayHeight).data;
-            const compressedPixelData = this.compressedCtx.getImageData(0, 0, displayWidth, displayHeight).data; // Read directly from display
-
-             if (!compressedPixelData) {
-                 console.error("Could not get image data from compressed canvas for heatmap.");
-                 return;
-             }
-
-            for (let i = 0; i < originalData.length; i += 4) {
-                 if (originalData[i+3] < 255) {
-                     heatMapData.set([0, 0, 0, 0], i);
-                     continue;
-                 }
-
-                 const diff = (Math.abs(originalData[i] - compressedPixelData[i]) +
-                                Math.abs(originalData[i + 1] - compressedPixelData[i + 1]) +
-                                Math.abs(originalData[i + 2] - compressedPixelData[i + 2])) / 3;
-                 const intensity = Math.min(1, diff / 255);
-                 const { r, g, b } = this.getHeatMapColor(intensity);
-                 const alpha = Math.max(30, intensity * 225);
-                 heatMapData.set([r, g, b, alpha], i);
-            }
-            this.heatMapCtx.putImageData(heatMapImageData, 0, 0);
+            const result = await this.engine.run('compress', {
+                sourceId: this.sourceId,
+                resize: this.calculateCompressionSize(),
+                format: this.getOutputFormat(),
+                background: this.getBackgroundColor(),
+                blob: this.compressedBlob,
+                metrics: false,
+                heatMap: true,
+                heatMapMode: this.getHeatMapMode(),
+                heatMapFullSize: this.isHeatMapFullSize(),
+                display: { width: displayWidth, height: displayHeight }
+            }, { channel: 'heatMap' });
+            this.drawHeatMap(result.heatMap);
         } catch (error) {
+            if (ImagifyEngine.isAbortError(error)) return;
             console.error('Error updating heat map:', error);
         }
     }
 
+    // Maps computed at full size are drawn at full size; CSS scales the overlay down to the preview
+    drawHeatMap(heatMap) {
+        const { mode, width, height, values } = heatMap;
+        this.lastHeatMap = heatMap;
+        if (this.heatMapCanvas.width !== width || this.heatMapCanvas.height !== height) {
+            this.heatMapCanvas.width = width;
+            this.heatMapCanvas.height = height;
+        }
+        const data = ImagifyMetrics.colorizeHeatMap(values, mode, { threshold: this.getHeatMapThreshold() });
+        this.heatMapCtx.putImageData(new ImageData(data, width, height), 0, 0);
+    }
 
-    getHeatMapColor(intensity) {
-        const colors = [
-            {r:0,   g:0,   b:255}, // Blue
-            {r:0,   g:255, b:255}, // Cyan
-            {r:0,   g:255, b:0},   // Green
-            {r:255, g:255, b:0},   // Yellow
-            {r:255, g:0,   b:0}    // Red
-        ];
-        intensity = Math.max(0, Math.min(1, intensity));
-        const p = intensity * (colors.length - 1);
-        const i = Math.floor(p);
-        const j = Math.min(i + 1, colors.length - 1);
-        const t = p - i;
-        return {
-            r: Math.round(colors[i].r * (1 - t) + colors[j].r * t),
-            g: Math.round(colors[i].g * (1 - t) + colors[j].g * t),
-            b: Math.round(colors[i].b * (1 - t) + colors[j].b * t),
-        };
+    // Computes the selected map at full resolution (for the snapshot pair while one is shown) and
+    // downloads it as a PNG, with the threshold applied
+    async exportHeatMap() {
+        if (!this.originalImage || !this.compressedBlob || !this.sourceId) {
+            this.showError('No heat map available to export.');
+            return;
+        }
+        const mode = this.getHeatMapMode();
+        const pair = this.snapshotPair;
+        this.showLoading(true);
+        try {
+            const { heatMap } = pair
+                ? await this.engine.run('compareSnapshots', {
+                    a: pair.a.blob,
+                    b: pair.b.blob,
+                    width: pair.b.width,
+                    height: pair.b.height,
+                    heatMap: true,
+                    heatMapMode: mode,
+                    heatMapFullSize: true
+                }, { channel: 'heatMapExport' })
+                : await this.engine.run('compress', {
+                    sourceId: this.sourceId,
+                    resize: this.calculateCompressionSize(),
+                    format: this.getOutputFormat(),
+                    background: this.getBackgroundColor(),
+                    blob: this.compressedBlob,
+                    metrics: false,
+                    heatMap: true,
+                    heatMapMode: mode,
+                    heatMapFullSize: true
+                }, { channel: 'heatMapExport' });
+
+            const canvas = document.createElement('canvas');
+            canvas.width = heatMap.width;
+            canvas.height = heatMap.height;
+            const data = ImagifyMetrics.colorizeHeatMap(heatMap.values, mode, { threshold: this.getHeatMapThreshold() });
+            canvas.getContext('2d').putImageData(new ImageData(data, heatMap.width, heatMap.height), 0, 0);
+            const blob = await new Promise(resolve => canvas.toBlob(resolve, 'image/png'));
+            if (!blob) throw new Error('The browser could not encode the PNG.');
+            const baseName = (pair ? pair.b.fileName : this.originalFile.name).replace(/\.[^.]+$/, '') || 'download';
+            this.saveBlob(blob, `${baseName}_heatmap_${mode}.png`);
+        } catch (error) {
+            if (ImagifyEngine.isAbortError(error)) return;
+            console.error('Error exporting heat map:', error);
+            this.showError(`Failed to export the heat map: ${error.message}`);
+        } finally {
+            this.showLoading(false);
+        }
     }
 
     toggleHeatMap() {
@@ -636,47 +1281,107 @@ class Imagify {
         }
     }
 
+    isCompareVisible() {
+        return document.getElementById('compareSection').style.display !== 'none';
+    }
+
+    toggleCompareView() {
+        const section = document.getElementById('compareSection');
+        const toggleBtn = document.getElementById('compareToggle');
+        const isCurrentlyHidden = !this.isCompareVisible();
+        section.style.display = isCurrentlyHidden ? 'block' : 'none';
+        toggleBtn.textContent = isCurrentlyHidden ? 'Hide Comparison' : 'Compare Full Size';
+        toggleBtn.classList.toggle('btn--secondary', isCurrentlyHidden);
+        toggleBtn.classList.toggle('btn--outline', !isCurrentlyHidden);
+
+        if (isCurrentlyHidden) {
+            this.updateCompareView();
+        } else {
+            // Full-size bitmaps can be large; don't hold on to them while hidden
+            this.engine.cancel('compare');
+            this.compareView.clear();
+        }
+    }
+
+    // Fetches full-resolution bitmaps for the blob already on screen (e.g. when the view is opened)
+    async updateCompareView() {
+        if (!this.isCompareVisible() || !this.originalImage || !this.compressedBlob || !this.sourceId) return;
+        if (this.snapshotPair) {
+            this.showSnapshotPair();
+            return;
+        }
+        try {
+            const result = await this.engine.run('compress', {
+                sourceId: this.sourceId,
+                resize: this.calculateCompressionSize(),
+                format: this.getOutputFormat(),
+                background: this.getBackgroundColor(),
+                blob: this.compressedBlob,
+                metrics: false,
+                fullSize: true
+            }, { channel: 'compare' });
+            this.compareView.setImages(result.fullSize.original, result.fullSize.compressed);
+        } catch (error) {
+            if (ImagifyEngine.isAbortError(error)) return;
+            console.error('Error updating comparison view:', error);
+        }
+    }
+
+    updateCompareButtons() {
+        const isSplit = this.compareView.mode === 'split';
+        document.getElementById('compareSplitBtn').className = `btn ${isSplit ? 'btn--secondary' : 'btn--outline'}`;
+        const flipBtn = document.getElementById('compareFlipBtn');
+        flipBtn.className = `btn ${isSplit ? 'btn--outline' : 'btn--secondary'}`;
+        flipBtn.textContent = isSplit ? 'Flip' : `Flip (showing ${this.compareView.showing})`;
+    }
 
     async resetToOriginal() {
         console.log("Resetting to original...");
-        if (this.isProcessing) {
-             console.log("Cannot reset while processing.");
-             return; // Don't reset if already busy
-        }
-        this.isProcessing = true; // Set flag for reset operation
         this.showLoading(true);   // Show loader for reset
 
         try {
-            document.getElementById('qualitySlider').value = 100;
-            document.getElementById('qualityValue').textContent = '100';
-            document.getElementById('maxWidth').value = '';
-            document.getElementById('maxHeight').value = '';
-            this.currentQuality = 100;
-
-            await this.updateDeadZoneHighlight(); // Recalculate DZ
+            // The defaults, or the settings of the link the page was opened with; never a crop or region
+            this.applySettings(this.defaultSettings);
+            this.setQualityMode('manual');
 
             if (this.originalImage) {
-                this.compressImage(); // Trigger compression (will hide loader)
+                if (this.curveChart.points.length > 0) this.plotQualityCurve();
+                await Promise.all([this.updateDeadZoneHighlight(), this.compressImage()]);
             } else {
                 // Clear UI if no image
                 this.originalCtx.clearRect(0, 0, this.originalCanvas.width, this.originalCanvas.height);
                 this.compressedCtx.clearRect(0, 0, this.compressedCanvas.width, this.compressedCanvas.height);
                 this.heatMapCtx.clearRect(0, 0, this.heatMapCanvas.width, this.heatMapCanvas.height);
+                this.lastHeatMap = null;
                 document.getElementById('originalSize').textContent = '-';
                 this.resetMetricsUI();
                 document.documentElement.style.setProperty('--deadzone-width', `0%`);
-                this.isProcessing = false; // Manually clear flag if no image
-                this.showLoading(false);  // Manually hide loader if no image
             }
         } catch (error) {
              console.error("Error during reset:", error);
              this.showError("Failed to reset settings.");
-             this.isProcessing = false; // Ensure flag is cleared on error
-             this.showLoading(false); // Ensure loader is hidden on error
+        } finally {
+             this.showLoading(false);
         }
     }
 
-    downloadCompressed() {
+    // Picks what to hand the user: never a re-encode that came out larger than the original
+    resolveDownload(originalFile, blob, quality, format) {
+        const originalNameParts = originalFile.name.split('.');
+        const originalExt = originalNameParts.length > 1 ? originalNameParts.pop() : 'file';
+        const originalBaseName = originalNameParts.join('.') || 'download';
+
+        if (blob === originalFile) {
+            return { blob: originalFile, fileName: `${originalBaseName}_original.${originalExt}`, reason: 'original' };
+        }
+        if (blob.size > originalFile.size && (quality !== 100 || !format.lossy || format.palette)) {
+            return { blob: originalFile, fileName: `${originalBaseName}_original.${originalExt}`, reason: 'larger' };
+        }
+        const suffix = format.lossy ? `q${quality}` : 'lossless';
+        return { blob, fileName: `${originalBaseName}_compressed_${suffix}.${format.ext}`, reason: 'compressed' };
+    }
+
+    async downloadCompressed() {
         if (!this.compressedBlob) {
             this.showError('No compressed image available for download.');
             return;
@@ -686,32 +1391,269 @@ class Imagify {
             return;
         }
 
-        let blobToDownload;
-        let fileName;
-        const originalNameParts = this.originalFile.name.split('.');
-        const originalExt = originalNameParts.length > 1 ? originalNameParts.pop() : 'file';
-        const originalBaseName = originalNameParts.join('.') || 'download';
+        const format = this.getOutputFormat();
+        const download = this.resolveDownload(this.originalFile, this.compressedBlob, this.currentQuality, format);
 
-        if (this.compressedBlob === this.originalFile) {
-            blobToDownload = this.originalFile;
-            fileName = `${originalBaseName}_original.${originalExt}`;
+        if (download.reason === 'original') {
             console.log("Download Case 1: Using original file directly.");
         }
-        else if (this.compressedBlob.size > this.originalFile.size && this.currentQuality !== 100) {
-            blobToDownload = this.originalFile;
-            fileName = `${originalBaseName}_original.${originalExt}`;
-            this.showError(`Warning: Quality ${this.currentQuality}% file is larger (${this.formatFileSize(this.compressedBlob.size)}) than original (${this.formatFileSize(this.originalFile.size)}). Downloading original.`);
+        else if (download.reason === 'larger') {
+            const variant = format.lossy ? `Quality ${this.currentQuality}% ${format.label}` : format.label;
+            this.showError(`Warning: ${variant} file is larger (${this.formatFileSize(this.compressedBlob.size)}) than original (${this.formatFileSize(this.originalFile.size)}). Downloading original.`);
             console.log("Download Case 2: Compressed file larger, downloading original.");
         }
         else {
-            blobToDownload = this.compressedBlob;
-            fileName = `${originalBaseName}_compressed_q${this.currentQuality}.jpg`;
             console.log("Download Case 3: Using compressed file.");
         }
 
+        try {
+            const blob = await ImageMetadata.write(download.blob, this.getKeptMetadata(download.reason !== 'compressed'));
+            this.saveBlob(blob, download.fileName);
+        } catch (error) {
+            console.error('Error writing metadata:', error);
+            this.showError('Warning: Could not apply the metadata options; downloading the file as is.');
+            this.saveBlob(download.blob, download.fileName);
+        }
+    }
+
+    // Compresses the editor image at every checked pixel density, with the max bounds as the 1x size,
+    // and downloads the set as one ZIP of name@1x.ext, name@2x.ext, ...
+    async downloadDensityVariants() {
+        if (!this.originalImage || !this.sourceId) return;
+        const settings = this.getCurrentSettings();
+        if (!settings.maxWidth && !settings.maxHeight) {
+            this.showError('Set a max width or height first; it is the 1x size of the variants.');
+            return;
+        }
+        const scales = [...document.querySelectorAll('.density-option:checked')].map(input => parseInt(input.value));
+        if (scales.length === 0) {
+            this.showError('Pick at least one pixel density.');
+            return;
+        }
+
+        const { naturalWidth, naturalHeight } = this.originalImage;
+        const oneX = this.planResize(naturalWidth, naturalHeight, settings);
+        const baseName = this.originalFile.name.replace(/\.[^.]+$/, '') || 'download';
+        const format = this.getOutputFormat();
+        const note = document.getElementById('variantsNote');
+        this.showLoading(true);
+        try {
+            const zip = new ZipWriter();
+            const described = [];
+            let metadataFailed = false;
+            for (const scale of scales) {
+                const result = await this.runCompressionJob(this.sourceId, this.originalFile, naturalWidth, naturalHeight,
+                    { ...settings, scale }, { channel: 'variants', metrics: false });
+                const isOriginal = result.blob === this.originalFile;
+                let blob = result.blob;
+                try {
+                    blob = await ImageMetadata.write(blob, this.getKeptMetadata(isOriginal));
+                } catch (error) {
+                    console.error('Error writing metadata:', error);
+                    metadataFailed = true;
+                }
+                const ext = isOriginal ? this.originalFile.name.split('.').pop() : format.ext;
+                await zip.addBlob(`${baseName}@${scale}x.${ext}`, blob);
+                // Contain never enlarges, so a high density can stop at the source size
+                const limited = Math.abs(result.width - oneX.width * scale) > 1;
+                described.push(`${scale}x ${result.width}×${result.height}${limited ? ' (source size)' : ''}`);
+            }
+            this.saveBlob(zip.toBlob(), `${baseName}_variants.zip`);
+            note.textContent = `Downloaded ${described.join(', ')}.`;
+            if (metadataFailed) {
+                this.showError('Warning: Could not apply the metadata options to every variant; those were saved as is.');
+            }
+        } catch (error) {
+            if (ImagifyEngine.isAbortError(error)) return; // A new image was loaded
+            console.error('Error creating density variants:', error);
+            this.showError(`Failed to create variants: ${error.message}`);
+        } finally {
+            this.showLoading(false);
+        }
+    }
+
+    // Encodes the editor image at every breakpoint width in every checked format (the compressImage()
+    // pipeline, once per output) and lists the files with their sizes and metrics
+    async generateResponsiveSet() {
+        if (!this.originalImage || !this.sourceId) return;
+        const widths = ResponsiveSet.parseWidths(document.getElementById('responsiveWidths').value);
+        if (widths.length === 0) {
+            this.showError('Enter at least one breakpoint width, for example 320, 640, 1280.');
+            return;
+        }
+        const formats = [...document.querySelectorAll('.responsive-format:checked')].map(input => input.value);
+        if (formats.length === 0) {
+            this.showError('Pick at least one format for the responsive set.');
+            return;
+        }
+
+        this.clearResponsiveSet();
+        const settings = this.getCurrentSettings();
+        const { naturalWidth, naturalHeight } = this.originalImage;
+        const baseName = this.originalFile.name.replace(/\.[^.]+$/, '') || 'download';
+        const status = document.getElementById('responsiveStatus');
+        const generateBtn = document.getElementById('generateResponsiveBtn');
+        const set = { baseName, quality: settings.quality, entries: [] };
+
+        // Breakpoints are widths: the aspect ratio is kept, and widths past the source collapse into one file
+        const outputs = [];
+        const skipped = [];
+        for (const breakpoint of widths) {
+            const output = { ...settings, maxWidth: breakpoint, maxHeight: null, fit: 'contain' };
+            const { width } = this.planResize(naturalWidth, naturalHeight, output);
+            if (outputs.some(previous => previous.width === width)) {
+                skipped.push(breakpoint);
+                continue;
+            }
+            outputs.push({ breakpoint, width, settings: output });
+        }
+
+        generateBtn.disabled = true;
+        try {
+            let done = 0;
+            const total = outputs.length * formats.length;
+            for (const output of outputs) {
+                for (const formatKey of formats) {
+                    status.textContent = `Encoding ${++done} of ${total}...`;
+                    const format = OUTPUT_FORMATS[formatKey];
+                    const result = await this.runCompressionJob(this.sourceId, this.originalFile, naturalWidth, naturalHeight,
+                        { ...output.settings, format: formatKey }, { channel: 'responsive', passThrough: false });
+                    const entry = {
+                        breakpoint: output.breakpoint,
+                        format: formatKey,
+                        mime: format.mime,
+                        fileName: ResponsiveSet.fileName(baseName, result.width, format.ext),
+                        width: result.width,
+                        height: result.height,
+                        size: result.blob.size,
+                        psnr: result.psnr,
+                        ssim: result.ssim,
+                        blob: result.blob
+                    };
+                    set.entries.push(entry);
+                    this.appendResponsiveRow(entry);
+                }
+            }
+            this.responsiveSet = set;
+            this.renderResponsiveMarkup();
+            document.getElementById('downloadResponsiveBtn').disabled = false;
+
+            const totalSize = set.entries.reduce((sum, entry) => sum + entry.size, 0);
+            const qualityText = formats.some(key => OUTPUT_FORMATS[key].lossy) ? ` at quality ${settings.quality}` : '';
+            status.textContent = `${set.entries.length} files${qualityText}, ${this.formatFileSize(totalSize)} in total.` +
+                (skipped.length ? ` ${skipped.join(', ')} px ${skipped.length > 1 ? 'are' : 'is'} wider than the source and share${skipped.length > 1 ? '' : 's'} its ${outputs[outputs.length - 1].width} px files.` : '');
+        } catch (error) {
+            if (ImagifyEngine.isAbortError(error)) return; // A new image was loaded
+            console.error('Error generating responsive set:', error);
+            status.textContent = `Could not generate the set: ${error.message}`;
+        } finally {
+            generateBtn.disabled = false;
+        }
+    }
+
+    appendResponsiveRow(entry) {
+        const row = document.createElement('tr');
+        const saved = (1 - entry.size / this.originalSize) * 100;
+        const cells = [
+            `${entry.breakpoint} px`,
+            OUTPUT_FORMATS[entry.format].label,
+            `${entry.width}×${entry.height}`,
+            this.formatFileSize(entry.size),
+            `${saved.toFixed(1)}%`,
+            Number.isFinite(entry.psnr) ? entry.psnr.toFixed(2) : '∞',
+            entry.ssim.toFixed(4)
+        ];
+        cells.forEach((text, index) => {
+            const cell = document.createElement('td');
+            if (index >= 3) cell.className = 'batch-number';
+            cell.textContent = text;
+            row.appendChild(cell);
+        });
+        document.getElementById('responsiveTableBody').appendChild(row);
+    }
+
+    getResponsiveMarkupOptions() {
+        return {
+            sizes: document.getElementById('responsiveSizes').value.trim() || '100vw',
+            prefix: document.getElementById('responsivePrefix').value.trim()
+        };
+    }
+
+    renderResponsiveMarkup() {
+        const markup = this.responsiveSet
+            ? ResponsiveSet.buildMarkup(this.responsiveSet.entries, this.getResponsiveMarkupOptions())
+            : '';
+        document.getElementById('responsiveMarkup').value = markup;
+        document.getElementById('copyResponsiveMarkupBtn').disabled = !markup;
+    }
+
+    clearResponsiveSet() {
+        this.engine.cancel('responsive');
+        this.responsiveSet = null;
+        document.getElementById('responsiveTableBody').innerHTML = '';
+        document.getElementById('responsiveStatus').textContent = '';
+        document.getElementById('downloadResponsiveBtn').disabled = true;
+        this.renderResponsiveMarkup();
+    }
+
+    async copyResponsiveMarkup() {
+        const markup = document.getElementById('responsiveMarkup');
+        try {
+            await navigator.clipboard.writeText(markup.value);
+            document.getElementById('responsiveStatus').textContent = 'Markup copied to the clipboard.';
+        } catch (error) {
+            // Clipboard access can be refused; leave the text selected for a manual copy
+            markup.select();
+        }
+    }
+
+    // Downloads the generated files with the kept metadata (as downloadCompressed() does for one file),
+    // plus the markup and a manifest listing the final file sizes
+    async downloadResponsiveSet() {
+        const set = this.responsiveSet;
+        if (!set) return;
+        this.showLoading(true);
+        try {
+            const zip = new ZipWriter();
+            const entries = [];
+            let metadataFailed = false;
+            for (const entry of set.entries) {
+                let blob = entry.blob;
+                try {
+                    blob = await ImageMetadata.write(blob, this.getKeptMetadata(false));
+                } catch (error) {
+                    console.error('Error writing metadata:', error);
+                    metadataFailed = true;
+                }
+                await zip.addBlob(entry.fileName, blob);
+                entries.push({ ...entry, size: blob.size });
+            }
+
+            const options = this.getResponsiveMarkupOptions();
+            const encoder = new TextEncoder();
+            zip.addFile(`${set.baseName}.html`, encoder.encode(ResponsiveSet.buildMarkup(entries, options) + '\n'));
+            const manifest = ResponsiveSet.buildManifest(entries, {
+                source: { name: this.originalFile.name, width: this.originalImage.naturalWidth, height: this.originalImage.naturalHeight },
+                quality: set.quality,
+                ...options
+            });
+            zip.addFile('manifest.json', encoder.encode(JSON.stringify(manifest, null, 2) + '\n'));
+            this.saveBlob(zip.toBlob(), `${set.baseName}_responsive.zip`);
+            if (metadataFailed) {
+                this.showError('Warning: Could not apply the metadata options to every file; those were saved as is.');
+            }
+        } catch (error) {
+            console.error('Error creating responsive set archive:', error);
+            this.showError(`Failed to create the archive: ${error.message}`);
+        } finally {
+            this.showLoading(false);
+        }
+    }
+
+    saveBlob(blob, fileName) {
         try {
             const link = document.createElement('a');
-            const objectUrl = URL.createObjectURL(blobToDownload);
+            const objectUrl = URL.createObjectURL(blob);
             link.href = objectUrl;
             link.download = fileName;
             document.body.appendChild(link);
@@ -724,6 +1666,643 @@ class Imagify {
         }
     }
 
+    // ---------- Presets ----------
+
+    // Presets saved by an earlier visit; a missing, blocked or damaged store just means none
+    loadPresets() {
+        try {
+            const stored = window.localStorage.getItem(SettingsPresets.STORAGE_KEY);
+            return stored ? SettingsPresets.parse(stored) : [];
+        } catch (error) {
+            console.warn('Could not load the saved presets:', error);
+            return [];
+        }
+    }
+
+    storePresets() {
+        try {
+            window.localStorage.setItem(SettingsPresets.STORAGE_KEY, SettingsPresets.serialize(this.presets));
+        } catch (error) {
+            console.warn('Could not store the presets:', error);
+            this.showError('Warning: This browser did not keep the presets; export them to save them.');
+        }
+    }
+
+    renderPresets(selectedName = '') {
+        const select = document.getElementById('presetSelect');
+        select.length = 1; // Keep the "Choose a preset" placeholder
+        for (const preset of this.presets) select.add(new Option(preset.name, preset.name));
+        select.value = selectedName;
+        document.getElementById('deletePresetBtn').disabled = !selectedName;
+        document.getElementById('exportPresetsBtn').disabled = this.presets.length === 0;
+    }
+
+    // Loads a preset into the controls; the crop and region of interest stay, since they belong to the image
+    applyPreset(name) {
+        const preset = this.presets.find(other => other.name === name);
+        document.getElementById('deletePresetBtn').disabled = !preset;
+        if (!preset) return;
+        document.getElementById('presetName').value = preset.name;
+        this.applySettings({ ...preset.settings, crop: this.cropBox.crop, roi: this.getRoiSettings() });
+        this.refreshPreview();
+    }
+
+    // Saves the current settings under the typed name, replacing a preset of that name
+    savePreset() {
+        const name = document.getElementById('presetName').value.trim();
+        if (!name) {
+            this.showError('Enter a name for the preset.');
+            return;
+        }
+        this.presets = SettingsPresets.merge(this.presets, [{ name, settings: SettingsPresets.normalize(this.getCurrentSettings()) }]);
+        this.storePresets();
+        this.renderPresets(name);
+        document.getElementById('presetStatus').textContent = `Saved "${name}".`;
+    }
+
+    deletePreset() {
+        const name = document.getElementById('presetSelect').value;
+        if (!name) return;
+        this.presets = this.presets.filter(preset => preset.name !== name);
+        this.storePresets();
+        this.renderPresets();
+        document.getElementById('presetStatus').textContent = `Deleted "${name}".`;
+    }
+
+    exportPresets() {
+        const json = SettingsPresets.serialize(this.presets) + '\n';
+        this.saveBlob(new Blob([json], { type: 'application/json' }), 'imagify-presets.json');
+    }
+
+    // Adds the presets in a file exported here (or written by hand); same names are replaced
+    async importPresets(file) {
+        try {
+            const imported = SettingsPresets.parse(await file.text());
+            this.presets = SettingsPresets.merge(this.presets, imported);
+            this.storePresets();
+            this.renderPresets();
+            document.getElementById('presetStatus').textContent = `Imported ${imported.length} preset${imported.length === 1 ? '' : 's'}.`;
+        } catch (error) {
+            console.error('Error importing presets:', error);
+            this.showError(`Could not import presets: ${error.message}`);
+        }
+    }
+
+    // Keeps the address bar a link to the preview's settings, without adding history entries
+    updateSettingsLink(settings) {
+        const { pathname, search, hash } = window.location;
+        const query = SettingsPresets.updateQuery(search, settings);
+        window.history.replaceState(window.history.state, '', `${pathname}${query ? `?${query}` : ''}${hash}`);
+    }
+
+    async copySettingsLink() {
+        this.updateSettingsLink(this.getCurrentSettings());
+        try {
+            await navigator.clipboard.writeText(window.location.href);
+            document.getElementById('presetStatus').textContent = 'Link copied to the clipboard.';
+        } catch (error) {
+            // Clipboard access can be refused; the address bar has the same link
+            document.getElementById('presetStatus').textContent = 'Copy the link from the address bar.';
+        }
+    }
+
+    // ---------- Snapshots ----------
+
+    // Reloads the snapshots and the last editor image with its settings; without IndexedDB the page
+    // simply starts empty
+    async restoreSession() {
+        try {
+            this.snapshots = await this.snapshotStore.list();
+            if (this.snapshots.length >= 2) {
+                this.snapshotSelection = { a: this.snapshots.at(-2).id, b: this.snapshots.at(-1).id };
+            }
+            this.renderSnapshots();
+            const file = await this.snapshotStore.getSession('file');
+            // A file picked while this was loading wins, and so do a settings link's values
+            if (file && !this.originalFile) {
+                this.handleFileSelect(file, this.linkSettings ? null : await this.snapshotStore.getSession('settings'));
+            }
+        } catch (error) {
+            console.warn('Could not restore the previous session:', error);
+            this.renderSnapshots();
+        }
+    }
+
+    // Identifies the editor image well enough to tell whether a snapshot was made from it
+    getSourceKey(file) {
+        return `${file.name}:${file.size}:${file.lastModified}`;
+    }
+
+    // e.g. "WebP q60", "PNG-8 q80, 64 colors" or "PNG"
+    describeSettings(settings) {
+        const format = OUTPUT_FORMATS[settings.format];
+        let label = format.label.split(' ')[0];
+        if (format.lossy) label += ` q${settings.quality}`;
+        if (format.palette) label += `, ${settings.palette.colors} colors`;
+        if (format.scripted) label += `, Imagify ${settings.jpeg.subsampling}${settings.jpeg.progressive ? ' progressive' : ''}`;
+        if (settings.roi) label += ', ROI';
+        return label;
+    }
+
+    // Pins the preview on screen with the settings and metrics it was made with. The newest pin
+    // becomes B, compared against the previous B (or the first pin) as A.
+    async pinSnapshot() {
+        if (this.snapshotPair) {
+            this.showError('Go back to the live preview to pin a snapshot.');
+            return;
+        }
+        if (!this.compressedBlob || !this.previewSettings || !this.lastMetrics) {
+            this.showError('No compressed image available to pin.');
+            return;
+        }
+        const settings = this.previewSettings;
+        const { width, height } = this.planResize(this.originalImage.naturalWidth, this.originalImage.naturalHeight, settings);
+        const usedOriginal = this.compressedBlob === this.originalFile;
+        const snapshot = {
+            createdAt: Date.now(),
+            sourceKey: this.getSourceKey(this.originalFile),
+            fileName: this.originalFile.name,
+            label: usedOriginal ? 'Original' : this.describeSettings(settings),
+            settings,
+            blob: this.compressedBlob,
+            size: this.compressedBlob.size,
+            width,
+            height,
+            usedOriginal,
+            originalSize: this.originalSize,
+            metrics: this.lastMetrics
+        };
+        try {
+            snapshot.id = await this.snapshotStore.add(snapshot);
+        } catch (error) {
+            // Still usable until the page is closed
+            console.warn('Could not save the snapshot:', error);
+            snapshot.id = `unsaved-${snapshot.createdAt}`;
+        }
+        this.snapshots.push(snapshot);
+        this.snapshotSelection = { a: this.snapshotSelection.b ?? this.snapshots[0].id, b: snapshot.id };
+        this.renderSnapshots();
+    }
+
+    renderSnapshots() {
+        const tbody = document.getElementById('snapshotTableBody');
+        tbody.innerHTML = '';
+        for (const snapshot of this.snapshots) {
+            const row = document.createElement('tr');
+            for (const side of ['a', 'b']) {
+                const cell = document.createElement('td');
+                const radio = document.createElement('input');
+                radio.type = 'radio';
+                radio.name = `snapshot-${side}`;
+                radio.checked = this.snapshotSelection[side] === snapshot.id;
+                radio.setAttribute('aria-label', `${side.toUpperCase()}: ${snapshot.label}`);
+                radio.addEventListener('change', () => {
+                    this.snapshotSelection[side] = snapshot.id;
+                    if (this.snapshotPair) this.showSnapshotPair();
+                });
+                cell.appendChild(radio);
+                row.appendChild(cell);
+            }
+
+            const { psnr, ssim } = snapshot.metrics;
+            const saved = (1 - snapshot.size / snapshot.originalSize) * 100;
+            const cells = [
+                snapshot.label,
+                snapshot.fileName,
+                `${snapshot.width}×${snapshot.height}`,
+                this.formatFileSize(snapshot.size),
+                `${saved.toFixed(1)}%`,
+                Number.isFinite(psnr) ? psnr.toFixed(2) : '∞',
+                ssim.toFixed(4)
+            ];
+            cells.forEach((text, index) => {
+                const cell = document.createElement('td');
+                if (index === 1) {
+                    cell.className = 'batch-name';
+                    cell.title = text;
+                } else if (index >= 3) {
+                    cell.className = 'batch-number';
+                }
+                cell.textContent = text;
+                row.appendChild(cell);
+            });
+
+            const actions = document.createElement('td');
+            const buttons = document.createElement('div');
+            buttons.className = 'snapshot-actions';
+            const addButton = (text, title, onClick) => {
+                const button = document.createElement('button');
+                button.className = 'btn btn--outline';
+                button.textContent = text;
+                button.title = title;
+                button.addEventListener('click', onClick);
+                buttons.appendChild(button);
+            };
+            addButton('Use', 'Load these settings into the editor', () => this.useSnapshotSettings(snapshot));
+            addButton('Export', 'Download this file', () => this.exportSnapshot(snapshot));
+            addButton('Delete', 'Remove this snapshot', () => this.deleteSnapshot(snapshot));
+            actions.appendChild(buttons);
+            row.appendChild(actions);
+            tbody.appendChild(row);
+        }
+
+        if (this.snapshots.length === 0) {
+            const row = document.createElement('tr');
+            const cell = document.createElement('td');
+            cell.colSpan = 10;
+            cell.textContent = 'No snapshots yet.';
+            row.appendChild(cell);
+            tbody.appendChild(row);
+        }
+        document.getElementById('compareSnapshotsBtn').disabled = this.snapshots.length < 2;
+        document.getElementById('clearSnapshotsBtn').disabled = this.snapshots.length === 0;
+        document.getElementById('exitSnapshotCompareBtn').disabled = !this.snapshotPair;
+    }
+
+    // A crop or region of interest only means something on the image it was drawn on
+    useSnapshotSettings(snapshot) {
+        const sameSource = !!this.originalFile && snapshot.sourceKey === this.getSourceKey(this.originalFile);
+        this.applySettings({
+            ...snapshot.settings,
+            crop: sameSource ? snapshot.settings.crop : null,
+            roi: sameSource ? snapshot.settings.roi : null
+        });
+        this.refreshPreview();
+    }
+
+    // Downloads the snapshot as pinned, named as downloadCompressed() would; the metadata options
+    // only apply to snapshots of the editor image, since the metadata comes from it
+    async exportSnapshot(snapshot) {
+        const nameParts = snapshot.fileName.split('.');
+        const originalExt = nameParts.length > 1 ? nameParts.pop() : 'file';
+        const baseName = nameParts.join('.') || 'download';
+        const format = OUTPUT_FORMATS[snapshot.settings.format];
+        const fileName = snapshot.usedOriginal
+            ? `${baseName}_original.${originalExt}`
+            : `${baseName}_compressed_${format.lossy ? `q${snapshot.settings.quality}` : 'lossless'}.${format.ext}`;
+
+        let blob = snapshot.blob;
+        if (this.originalFile && snapshot.sourceKey === this.getSourceKey(this.originalFile)) {
+            try {
+                blob = await ImageMetadata.write(blob, this.getKeptMetadata(snapshot.usedOriginal));
+            } catch (error) {
+                console.error('Error writing metadata:', error);
+                this.showError('Warning: Could not apply the metadata options; downloading the file as is.');
+            }
+        }
+        this.saveBlob(blob, fileName);
+    }
+
+    deleteSnapshot(snapshot) {
+        if (this.snapshotPair && (this.snapshotPair.a === snapshot || this.snapshotPair.b === snapshot)) {
+            this.exitSnapshotPair();
+        }
+        this.snapshots = this.snapshots.filter(other => other !== snapshot);
+        for (const side of ['a', 'b']) {
+            if (this.snapshotSelection[side] === snapshot.id) this.snapshotSelection[side] = null;
+        }
+        this.renderSnapshots();
+        this.snapshotStore.delete(snapshot.id).catch(error => console.warn('Could not delete the snapshot:', error));
+    }
+
+    clearSnapshots() {
+        if (this.snapshotPair) this.exitSnapshotPair();
+        this.snapshots = [];
+        this.snapshotSelection = { a: null, b: null };
+        this.renderSnapshots();
+        this.snapshotStore.clear().catch(error => console.warn('Could not delete the snapshots:', error));
+    }
+
+    // Shows snapshot A in the original panel and B in the compressed one, with the heat map and the
+    // full-size view comparing the two. The metrics panel keeps B's own scores against its source;
+    // B against A goes in the status line.
+    async showSnapshotPair() {
+        const find = id => this.snapshots.find(snapshot => snapshot.id === id);
+        const a = find(this.snapshotSelection.a);
+        const b = find(this.snapshotSelection.b);
+        if (!a || !b || a === b) {
+            this.showError('Pick two different snapshots as A and B.');
+            return;
+        }
+        this.snapshotPair = { a, b };
+        document.getElementById('exitSnapshotCompareBtn').disabled = false;
+        const status = document.getElementById('snapshotStatus');
+        status.textContent = 'Decoding snapshots…';
+        this.setPreviewUpdating(true);
+        try {
+            const result = await this.engine.run('compareSnapshots', {
+                a: a.blob,
+                b: b.blob,
+                width: b.width,
+                height: b.height,
+                heatMap: this.isHeatMapVisible(),
+                heatMapMode: this.getHeatMapMode(),
+                heatMapFullSize: this.isHeatMapFullSize(),
+                display: this.calculateDisplaySize(b.width, b.height, 400, 400),
+                fullSize: this.isCompareVisible()
+            }, { channel: 'snapshots' });
+
+            const previous = this.cropBox.override;
+            this.cropBox.setOverride(result.referencePreview);
+            if (previous) previous.close();
+            this.compressedCanvas.width = result.preview.width;
+            this.compressedCanvas.height = result.preview.height;
+            this.compressedCtx.drawImage(result.preview, 0, 0);
+            result.preview.close();
+            if (result.heatMap) this.drawHeatMap(result.heatMap);
+            if (result.fullSize) this.compareView.setImages(result.fullSize.original, result.fullSize.compressed);
+
+            document.getElementById('originalTitle').textContent = `Snapshot A: ${a.label}`;
+            document.getElementById('compressedTitle').textContent = `Snapshot B: ${b.label}`;
+            document.getElementById('originalSize').textContent = this.formatFileSize(a.size);
+            this.bestQualityBadge.style.display = 'none';
+            this.lastMetrics = b.metrics;
+            this.renderQualityMetrics();
+            const { compressionRatio, sizeReduction } = ImagifyCore.sizeStats(b.originalSize, b.size);
+            document.getElementById('compressionRatio').textContent = compressionRatio.toFixed(1);
+            document.getElementById('sizeReduction').textContent = sizeReduction.toFixed(1);
+            document.getElementById('compressedSize').textContent = this.formatFileSize(b.size);
+
+            const psnr = Number.isFinite(result.psnr) ? `${result.psnr.toFixed(2)} dB` : '∞';
+            const scaled = a.width !== b.width || a.height !== b.height ? ` A is scaled to ${b.width}×${b.height}.` : '';
+            status.textContent = `B against A: PSNR ${psnr}, SSIM ${result.ssim.toFixed(4)}.${scaled}`;
+        } catch (error) {
+            if (ImagifyEngine.isAbortError(error)) return;
+            console.error('Error comparing snapshots:', error);
+            this.showError(`Could not compare the snapshots: ${error.message}`);
+            this.exitSnapshotPair();
+            return;
+        }
+        this.setPreviewUpdating(false);
+    }
+
+    // Puts the source and the panel labels back; the caller brings the live preview back
+    leaveSnapshotPair() {
+        this.engine.cancel('snapshots');
+        this.snapshotPair = null;
+        const override = this.cropBox.override;
+        this.cropBox.setOverride(null);
+        if (override) override.close();
+        document.getElementById('originalTitle').textContent = 'Original Image';
+        document.getElementById('compressedTitle').textContent = 'Compressed Image';
+        document.getElementById('originalSize').textContent = this.formatFileSize(this.originalSize);
+        document.getElementById('snapshotStatus').textContent = '';
+        document.getElementById('exitSnapshotCompareBtn').disabled = true;
+    }
+
+    exitSnapshotPair() {
+        this.leaveSnapshotPair();
+        this.compressImage();
+    }
+
+    // ---------- Batch mode ----------
+
+    startBatch(entries) {
+        this.batchRunId++; // Abandon any queue pass from a previous batch
+        this.batchItems = entries.map(({ file, path }, index) => ({
+            id: index,
+            file,
+            path: path || file.name,
+            overrides: { quality: null, maxWidth: null, maxHeight: null },
+            status: 'pending',
+            version: 0,
+            result: null,
+            error: null,
+            rejected: false
+        }));
+
+        // Validate up front so oversized files show as failed rows instead of stalling the queue
+        for (const item of this.batchItems) {
+            if (item.file.size > 10 * 1024 * 1024) {
+                item.status = 'error';
+                item.error = 'File size must be less than 10MB.';
+                item.rejected = true;
+            }
+        }
+
+        document.getElementById('batchFormatSelect').value = this.outputFormat;
+        document.getElementById('uploadSection').style.display = 'none';
+        document.getElementById('mainContent').style.display = 'none';
+        document.getElementById('batchSection').style.display = 'block';
+        this.hideError();
+        this.renderBatchTable();
+        this.processBatchQueue();
+    }
+
+    clearBatch() {
+        this.batchRunId++;
+        this.batchItems = [];
+        this.engine.cancel('batch');
+        document.getElementById('batchTableBody').innerHTML = '';
+        document.getElementById('batchSection').style.display = 'none';
+        document.getElementById('uploadSection').style.display = 'block';
+    }
+
+    getBatchSharedSettings() {
+        const format = document.getElementById('batchFormatSelect').value;
+        return {
+            quality: parseInt(document.getElementById('batchQualitySlider').value),
+            maxWidth: parseInt(document.getElementById('batchMaxWidth').value) || null,
+            maxHeight: parseInt(document.getElementById('batchMaxHeight').value) || null,
+            fit: document.getElementById('batchFitMode').value,
+            filter: document.getElementById('batchResampleFilter').value,
+            format: this.supportedFormats.has(format) ? format : 'jpeg',
+            background: document.getElementById('batchBackgroundColor').value
+        };
+    }
+
+    // Per-file overrides win over the shared settings; empty override fields mean "use shared"
+    getBatchItemSettings(item) {
+        const shared = this.getBatchSharedSettings();
+        return {
+            quality: item.overrides.quality ?? shared.quality,
+            maxWidth: item.overrides.maxWidth ?? shared.maxWidth,
+            maxHeight: item.overrides.maxHeight ?? shared.maxHeight,
+            fit: shared.fit,
+            filter: shared.filter,
+            format: shared.format,
+            background: shared.background
+        };
+    }
+
+    // Marks items stale (all of them, or one) and restarts the queue; the new pass cancels the old one's job
+    invalidateBatch(item = null) {
+        const targets = item ? [item] : this.batchItems;
+        for (const target of targets) {
+            if (target.rejected) continue; // Settings cannot fix a failed validation
+            target.version++;
+            target.status = 'pending';
+            this.updateBatchRow(target);
+        }
+        this.updateBatchSummary();
+        this.processBatchQueue();
+    }
+
+    async processBatchQueue() {
+        const runId = ++this.batchRunId;
+        for (const item of this.batchItems) {
+            if (runId !== this.batchRunId) return; // A newer pass took over
+            if (item.status !== 'pending') continue;
+
+            const version = item.version;
+            item.status = 'processing';
+            this.updateBatchRow(item);
+
+            const sourceId = `batch-${item.id}`;
+            try {
+                const settings = this.getBatchItemSettings(item);
+                const bitmap = await createImageBitmap(item.file);
+                const { width, height } = bitmap; // Read before the transfer detaches it
+                await this.engine.run('setSource', { sourceId, bitmap, sourceType: item.file.type }, { transfer: [bitmap] });
+                const { blob, psnr, ssim } = await this.runCompressionJob(sourceId, item.file, width, height, settings, { channel: 'batch' });
+                if (version !== item.version) continue; // Settings changed mid-flight; result is stale
+                item.result = {
+                    blob,
+                    settings,
+                    psnr,
+                    ssim,
+                    download: this.resolveDownload(item.file, blob, settings.quality, OUTPUT_FORMATS[settings.format])
+                };
+                item.status = 'done';
+                item.error = null;
+            } catch (error) {
+                if (ImagifyEngine.isAbortError(error)) return; // A newer queue pass took over
+                if (version !== item.version) continue;
+                console.error(`Batch item "${item.path}" failed:`, error);
+                item.status = 'error';
+                item.error = error.message;
+                item.result = null;
+            } finally {
+                this.engine.run('releaseSource', { sourceId }).catch(() => {});
+            }
+            this.updateBatchRow(item);
+            this.updateBatchSummary();
+        }
+    }
+
+    renderBatchTable() {
+        const tbody = document.getElementById('batchTableBody');
+        tbody.innerHTML = '';
+        const shared = this.getBatchSharedSettings();
+
+        for (const item of this.batchItems) {
+            const row = document.createElement('tr');
+            row.dataset.batchId = item.id;
+
+            const nameCell = document.createElement('td');
+            nameCell.className = 'batch-name';
+            nameCell.textContent = item.path;
+            nameCell.title = item.path;
+            row.appendChild(nameCell);
+
+            for (const key of ['original', 'compressed', 'psnr', 'ssim']) {
+                const cell = document.createElement('td');
+                cell.dataset.field = key;
+                cell.className = 'batch-number';
+                row.appendChild(cell);
+            }
+
+            for (const key of ['quality', 'maxWidth', 'maxHeight']) {
+                const cell = document.createElement('td');
+                const input = document.createElement('input');
+                input.type = 'number';
+                input.className = 'form-control batch-override';
+                input.min = 1;
+                if (key === 'quality') input.max = 100;
+                input.placeholder = shared[key] ?? 'Orig.';
+                input.dataset.override = key;
+                input.addEventListener('input', () => {
+                    const value = parseInt(input.value);
+                    item.overrides[key] = Number.isFinite(value) && value > 0
+                        ? (key === 'quality' ? Math.min(100, value) : value)
+                        : null;
+                    this.invalidateBatch(item);
+                });
+                cell.appendChild(input);
+                row.appendChild(cell);
+            }
+
+            const statusCell = document.createElement('td');
+            statusCell.dataset.field = 'status';
+            row.appendChild(statusCell);
+
+            tbody.appendChild(row);
+            this.updateBatchRow(item);
+        }
+        this.updateBatchSummary();
+    }
+
+    updateBatchRow(item) {
+        const row = document.querySelector(`#batchTableBody tr[data-batch-id="${item.id}"]`);
+        if (!row) return;
+        const cell = field => row.querySelector(`[data-field="${field}"]`);
+        const result = item.status === 'done' ? item.result : null;
+
+        cell('original').textContent = this.formatFileSize(item.file.size);
+        cell('compressed').textContent = result ? this.formatFileSize(result.download.blob.size) : '-';
+        cell('psnr').textContent = result ? result.psnr.toFixed(2) : '-';
+        cell('ssim').textContent = result ? result.ssim.toFixed(4) : '-';
+
+        // Placeholders show the shared value each override would replace
+        const shared = this.getBatchSharedSettings();
+        row.querySelectorAll('[data-override]').forEach(input => {
+            input.placeholder = shared[input.dataset.override] ?? 'Orig.';
+        });
+
+        const statusCell = cell('status');
+        const labels = { pending: 'Queued', processing: 'Processing…', done: 'Done', error: 'Failed' };
+        statusCell.textContent = labels[item.status];
+        if (result && result.download.reason !== 'compressed') {
+            statusCell.textContent = 'Original kept';
+        }
+        statusCell.title = item.error || (result && result.download.reason === 'larger' ? 'The compressed version was larger than the original.' : '');
+        statusCell.className = `batch-status batch-status--${item.status}`;
+    }
+
+    updateBatchSummary() {
+        const done = this.batchItems.filter(item => item.status === 'done');
+        const failed = this.batchItems.filter(item => item.status === 'error').length;
+        const originalTotal = done.reduce((sum, item) => sum + item.file.size, 0);
+        const compressedTotal = done.reduce((sum, item) => sum + item.result.download.blob.size, 0);
+        const reduction = originalTotal > 0 ? ((originalTotal - compressedTotal) / originalTotal) * 100 : 0;
+
+        let summary = `${done.length}/${this.batchItems.length} done`;
+        if (failed) summary += ` • ${failed} failed`;
+        if (done.length) {
+            summary += ` • ${this.formatFileSize(originalTotal)} → ${this.formatFileSize(compressedTotal)} (${reduction.toFixed(1)}% smaller)`;
+        }
+        document.getElementById('batchSummary').textContent = summary;
+        document.getElementById('batchDownloadBtn').disabled = done.length === 0;
+    }
+
+    async downloadBatchZip() {
+        if (this.batchItems.some(item => item.status === 'pending' || item.status === 'processing')) {
+            this.showError('Warning: Some files are still processing. Please wait for the queue to finish.');
+            return;
+        }
+        const done = this.batchItems.filter(item => item.status === 'done');
+        if (done.length === 0) {
+            this.showError('No compressed images available for download.');
+            return;
+        }
+
+        this.showLoading(true);
+        try {
+            const zip = new ZipWriter();
+            for (const item of done) {
+                // Keep the dropped folder structure, swapping in the compressed file name
+                const folder = item.path.includes('/') ? item.path.slice(0, item.path.lastIndexOf('/') + 1) : '';
+                await zip.addBlob(folder + item.result.download.fileName, item.result.download.blob);
+            }
+            this.saveBlob(zip.toBlob(), `imagify_batch_${done.length}_files.zip`);
+        } catch (error) {
+            console.error('ZIP creation error:', error);
+            this.showError(`Failed to build ZIP archive: ${error.message}`);
+        } finally {
+            this.showLoading(false);
+        }
+    }
+
     formatFileSize(bytes) {
         if (!bytes || bytes <= 0) return '0 B';
         const k = 1024;
@@ -0,0 +1,224 @@
+//compare-view.js//
+// Before/after comparison on one canvas, drawn from full-resolution bitmaps.
+// Both images share a single view transform, so zoom and pan always stay in sync.
+// Modes: 'split' shows the original left of a draggable divider and the compressed image right of it;
+// 'flip' shows one whole image at a time and flip() swaps which one.
+const COMPARE_MAX_SCALE = 32; // Screen pixels per image pixel at the deepest zoom
+
+class CompareView {
+    constructor(canvas, { onChange } = {}) {
+        this.canvas = canvas;
+        this.ctx = canvas.getContext('2d');
+        this.onChange = onChange;
+        this.original = null;
+        this.compressed = null;
+        this.imageWidth = 0;
+        this.imageHeight = 0;
+        this.mode = 'split';
+        this.showing = 'compressed'; // Image shown in flip mode
+        this.split = 0.5; // Divider position as a fraction of the view width
+        this.scale = 1;
+        this.centerX = 0; // Image coordinates shown at the middle of the view
+        this.centerY = 0;
+        this.fitted = true; // Follows the view size until the user zooms or pans
+        this.drag = null;
+
+        canvas.addEventListener('wheel', e => {
+            if (!this.original) return;
+            e.preventDefault();
+            const { x, y } = this.toViewPoint(e);
+            this.zoomAt(e.deltaY < 0 ? 1.25 : 0.8, x, y);
+        }, { passive: false });
+
+        canvas.addEventListener('pointerdown', e => {
+            if (!this.original) return;
+            const { x, y } = this.toViewPoint(e);
+            const onDivider = this.mode === 'split' && Math.abs(x - this.split * this.getViewSize().width) <= 8;
+            this.drag = onDivider
+                ? { type: 'split' }
+                : { type: 'pan', x, y, centerX: this.centerX, centerY: this.centerY };
+            canvas.setPointerCapture(e.pointerId);
+        });
+        canvas.addEventListener('pointermove', e => {
+            const { x, y } = this.toViewPoint(e);
+            if (!this.drag) {
+                const onDivider = this.mode === 'split' && this.original && Math.abs(x - this.split * this.getViewSize().width) <= 8;
+                canvas.style.cursor = onDivider ? 'ew-resize' : 'grab';
+                return;
+            }
+            if (this.drag.type === 'split') {
+                this.split = Math.max(0, Math.min(1, x / this.getViewSize().width));
+            } else {
+                this.fitted = false;
+                this.centerX = this.drag.centerX - (x - this.drag.x) / this.scale;
+                this.centerY = this.drag.centerY - (y - this.drag.y) / this.scale;
+                this.clampCenter();
+            }
+            this.render();
+        });
+        const endDrag = () => { this.drag = null; };
+        canvas.addEventListener('pointerup', endDrag);
+        canvas.addEventListener('pointercancel', endDrag);
+    }
+
+    // Takes ownership of both bitmaps (they are closed when replaced). The view keeps its zoom
+    // and position unless the image dimensions changed.
+    setImages(original, compressed) {
+        const sameSize = this.original && original.width === this.imageWidth && original.height === this.imageHeight;
+        this.releaseImages();
+        this.original = original;
+        this.compressed = compressed;
+        this.imageWidth = original.width;
+        this.imageHeight = original.height;
+        if (!sameSize || this.fitted) {
+            this.fit();
+        } else {
+            this.render();
+        }
+    }
+
+    clear() {
+        this.releaseImages();
+        this.imageWidth = 0;
+        this.imageHeight = 0;
+        this.render();
+    }
+
+    releaseImages() {
+        this.original?.close?.();
+        this.compressed?.close?.();
+        this.original = null;
+        this.compressed = null;
+    }
+
+    setMode(mode) {
+        this.mode = mode;
+        this.render();
+    }
+
+    flip() {
+        this.mode = 'flip';
+        this.showing = this.showing === 'compressed' ? 'original' : 'compressed';
+        this.render();
+    }
+
+    getViewSize() {
+        return { width: this.canvas.clientWidth || this.canvas.width, height: this.canvas.clientHeight || this.canvas.height };
+    }
+
+    toViewPoint(e) {
+        const rect = this.canvas.getBoundingClientRect();
+        return { x: e.clientX - rect.left, y: e.clientY - rect.top };
+    }
+
+    // Whole image in view, never enlarged past 100%
+    getFitScale() {
+        const { width, height } = this.getViewSize();
+        if (!this.imageWidth || !this.imageHeight) return 1;
+        return Math.min(1, width / this.imageWidth, height / this.imageHeight);
+    }
+
+    fit() {
+        this.scale = this.getFitScale();
+        this.centerX = this.imageWidth / 2;
+        this.centerY = this.imageHeight / 2;
+        this.fitted = true;
+        this.render();
+    }
+
+    // 100%: one image pixel per CSS pixel, keeping the current center
+    actualSize() {
+        this.scale = 1;
+        this.fitted = false;
+        this.clampCenter();
+        this.render();
+    }
+
+    // Zooms by `factor` while keeping the image point under (viewX, viewY) fixed
+    zoomAt(factor, viewX, viewY) {
+        const { width, height } = this.getViewSize();
+        const minScale = Math.min(this.getFitScale(), 1);
+        const scale = Math.max(minScale, Math.min(COMPARE_MAX_SCALE, this.scale * factor));
+        const imageX = this.centerX + (viewX - width / 2) / this.scale;
+        const imageY = this.centerY + (viewY - height / 2) / this.scale;
+        this.scale = scale;
+        this.centerX = imageX - (viewX - width / 2) / scale;
+        this.centerY = imageY - (viewY - height / 2) / scale;
+        this.fitted = scale === this.getFitScale();
+        this.clampCenter();
+        this.render();
+    }
+
+    // Keeps at least the middle of the view on the image
+    clampCenter() {
+        this.centerX = Math.max(0, Math.min(this.imageWidth, this.centerX));
+        this.centerY = Math.max(0, Math.min(this.imageHeight, this.centerY));
+    }
+
+    render() {
+        const ratio = window.devicePixelRatio || 1;
+        const { width, height } = this.getViewSize();
+        if (this.canvas.width !== Math.round(width * ratio) || this.canvas.height !== Math.round(height * ratio)) {
+            this.canvas.width = Math.round(width * ratio);
+            this.canvas.height = Math.round(height * ratio);
+            if (this.fitted && this.original) this.scale = this.getFitScale();
+        }
+        const ctx = this.ctx;
+        ctx.setTransform(ratio, 0, 0, ratio, 0, 0);
+        ctx.clearRect(0, 0, width, height);
+
+        if (!this.original || !this.compressed) {
+            if (this.onChange) this.onChange(this);
+            return;
+        }
+
+        const offsetX = width / 2 - this.centerX * this.scale;
+        const offsetY = height / 2 - this.centerY * this.scale;
+        // Nearest-neighbor once zoomed in, so individual pixels and block edges stay crisp
+        ctx.imageSmoothingEnabled = this.scale < 1;
+        const drawImage = image => {
+            ctx.save();
+            ctx.setTransform(ratio * this.scale, 0, 0, ratio * this.scale, ratio * offsetX, ratio * offsetY);
+            ctx.drawImage(image, 0, 0);
+            ctx.restore();
+        };
+
+        if (this.mode === 'flip') {
+            drawImage(this.showing === 'original' ? this.original : this.compressed);
+            this.drawLabel(this.showing === 'original' ? 'Original' : 'Compressed', 8, 'left');
+        } else {
+            const splitX = this.split * width;
+            drawImage(this.compressed);
+            ctx.save();
+            ctx.beginPath();
+            ctx.rect(0, 0, splitX, height);
+            ctx.clip();
+            ctx.clearRect(0, 0, splitX, height); // Transparent areas must not show the compressed image
+            drawImage(this.original);
+            ctx.restore();
+
+            ctx.fillStyle = '#FFFFFF';
+            ctx.fillRect(splitX - 1, 0, 2, height);
+            ctx.beginPath();
+            ctx.arc(splitX, height / 2, 10, 0, Math.PI * 2);
+            ctx.fill();
+            this.drawLabel('Original', 8, 'left');
+            this.drawLabel('Compressed', width - 8, 'right');
+        }
+
+        if (this.onChange) this.onChange(this);
+    }
+
+    drawLabel(text, x, align) {
+        const ctx = this.ctx;
+        ctx.font = '12px sans-serif';
+        const textWidth = ctx.measureText(text).width;
+        const boxX = align === 'left' ? x : x - textWidth - 12;
+        ctx.fillStyle = 'rgba(0, 0, 0, 0.6)';
+        ctx.fillRect(boxX, 8, textWidth + 12, 22);
+        ctx.fillStyle = '#FFFFFF';
+        ctx.textAlign = 'left';
+        ctx.textBaseline = 'middle';
+        ctx.fillText(text, boxX + 6, 19);
+    }
+}
@@ -0,0 +1,250 @@
+//crop-box.js//
+// Interactive crop rectangle over the original-image preview. The preview is a scaled-down copy,
+// so the crop is kept in source pixels (the coordinates ImagifyCore.planResize() takes).
+// Drag on the image to draw a box, drag inside it to move it, and drag a corner to resize it.
+// The other tools paint the region-of-interest mask (a RoiMask) instead: 'brush' marks, 'erase'
+// unmarks and 'rect' marks the dragged rectangle.
+const CROP_HANDLE_SIZE = 8; // CSS pixels around a corner that grab it
+const CROP_BOX_TOOLS = ['crop', 'brush', 'erase', 'rect'];
+
+class CropBox {
+    constructor(canvas, { onChange, onRoiChange } = {}) {
+        this.canvas = canvas;
+        this.ctx = canvas.getContext('2d');
+        this.onChange = onChange;
+        this.onRoiChange = onRoiChange;
+        this.image = null;
+        this.imageWidth = 0;
+        this.imageHeight = 0;
+        this.displayWidth = 0;
+        this.displayHeight = 0;
+        this.crop = null; // { x, y, width, height } in source pixels, or null for the whole image
+        this.drag = null;
+        this.override = null; // Display-size image shown instead of the source (see setOverride())
+        this.roi = new RoiMask();
+        this.tool = 'crop'; // One of CROP_BOX_TOOLS
+        this.brushSize = 24; // Brush diameter in CSS pixels
+        this.hover = null; // Pointer position while a brush tool is over the canvas, for its outline
+
+        canvas.addEventListener('pointerdown', e => {
+            if (!this.image || this.override) return;
+            const point = this.toImagePoint(e);
+            canvas.setPointerCapture(e.pointerId);
+            if (this.tool !== 'crop') {
+                this.drag = { type: this.tool, anchor: point, last: point };
+                if (this.tool !== 'rect') this.roi.paintLine(point, point, this.getBrushRadius(), this.tool === 'brush');
+                this.render();
+                return;
+            }
+            const hit = this.hitTest(point);
+            if (hit === 'move') {
+                this.drag = { type: 'move', x: point.x, y: point.y, crop: { ...this.crop } };
+            } else {
+                // A corner drags from the opposite one; anywhere else starts a new box
+                const anchor = hit
+                    ? { x: hit.includes('w') ? this.crop.x + this.crop.width : this.crop.x, y: hit.includes('n') ? this.crop.y + this.crop.height : this.crop.y }
+                    : point;
+                this.drag = { type: 'resize', anchor, previous: this.crop };
+                if (!hit) this.crop = null;
+            }
+        });
+        canvas.addEventListener('pointermove', e => {
+            if (!this.image || this.override) return;
+            const point = this.toImagePoint(e);
+            if (this.tool !== 'crop') {
+                canvas.style.cursor = 'crosshair';
+                this.hover = point;
+                if (this.drag && this.drag.type !== 'rect') {
+                    this.roi.paintLine(this.drag.last, point, this.getBrushRadius(), this.drag.type === 'brush');
+                }
+                if (this.drag) this.drag.last = point;
+                this.render();
+                return;
+            }
+            if (!this.drag) {
+                const hit = this.hitTest(point);
+                canvas.style.cursor = hit === 'move' ? 'move' : hit ? `${hit}-resize` : 'crosshair';
+                return;
+            }
+            if (this.drag.type === 'move') {
+                const { crop } = this.drag;
+                this.crop = {
+                    ...crop,
+                    x: Math.max(0, Math.min(this.imageWidth - crop.width, crop.x + point.x - this.drag.x)),
+                    y: Math.max(0, Math.min(this.imageHeight - crop.height, crop.y + point.y - this.drag.y))
+                };
+            } else {
+                this.crop = CropBox.rectBetween(this.drag.anchor, point);
+            }
+            this.render();
+        });
+        const endDrag = () => {
+            if (!this.drag) return;
+            if (this.drag.type !== 'move' && this.drag.type !== 'resize') {
+                const { type, anchor, last } = this.drag;
+                this.drag = null;
+                const rect = CropBox.rectBetween(anchor, last);
+                if (type === 'rect' && rect.width > 0 && rect.height > 0) this.roi.fillRect(rect, true);
+                this.render();
+                if (this.onRoiChange) this.onRoiChange(this.roi);
+                return;
+            }
+            const { previous } = this.drag;
+            this.drag = null;
+            // A click (or a sliver) clears the crop rather than leaving a 1-pixel box
+            const minSize = 2 * this.getPixelsPerCssPixel();
+            if (this.crop && (this.crop.width < minSize || this.crop.height < minSize)) this.crop = null;
+            if (this.crop) {
+                this.crop = {
+                    x: Math.round(this.crop.x),
+                    y: Math.round(this.crop.y),
+                    width: Math.max(1, Math.round(this.crop.width)),
+                    height: Math.max(1, Math.round(this.crop.height))
+                };
+            }
+            this.render();
+            if (JSON.stringify(previous) !== JSON.stringify(this.crop) && this.onChange) this.onChange(this.crop);
+        };
+        canvas.addEventListener('pointerup', endDrag);
+        canvas.addEventListener('pointercancel', endDrag);
+        canvas.addEventListener('pointerleave', () => {
+            if (!this.hover) return;
+            this.hover = null;
+            this.render();
+        });
+    }
+
+    static rectBetween(a, b) {
+        return { x: Math.min(a.x, b.x), y: Math.min(a.y, b.y), width: Math.abs(b.x - a.x), height: Math.abs(b.y - a.y) };
+    }
+
+    // Shows `image` at displayWidth × displayHeight and drops any previous crop and region of interest
+    setImage(image, displayWidth, displayHeight) {
+        this.image = image;
+        this.imageWidth = image.naturalWidth || image.width;
+        this.imageHeight = image.naturalHeight || image.height;
+        this.displayWidth = displayWidth;
+        this.displayHeight = displayHeight;
+        this.crop = null;
+        this.override = null;
+        this.roi.reset(this.imageWidth, this.imageHeight);
+        this.canvas.width = displayWidth;
+        this.canvas.height = displayHeight;
+        this.render();
+    }
+
+    // Shows `image` (already at display size, e.g. a pinned snapshot) in place of the source, without
+    // the crop box and ignoring the pointer; null brings the source and its crop back
+    setOverride(image) {
+        this.override = image;
+        this.drag = null;
+        this.canvas.width = image ? image.width : this.displayWidth;
+        this.canvas.height = image ? image.height : this.displayHeight;
+        this.canvas.style.cursor = image ? 'default' : '';
+        this.render();
+    }
+
+    setCrop(crop) {
+        this.crop = crop;
+        this.render();
+    }
+
+    // `mask` as given by RoiMask.toSettings(), or null for no region of interest
+    setRoi(mask) {
+        this.roi.fromSettings(mask);
+        this.render();
+    }
+
+    setTool(tool) {
+        this.tool = CROP_BOX_TOOLS.includes(tool) ? tool : 'crop';
+        this.drag = null;
+        this.hover = null;
+        this.canvas.style.cursor = '';
+        this.render();
+    }
+
+    // Brush radius in source pixels
+    getBrushRadius() {
+        return (this.brushSize / 2) * this.getPixelsPerCssPixel();
+    }
+
+    // Source pixels per on-screen CSS pixel (the canvas may be shrunk further by CSS)
+    getPixelsPerCssPixel() {
+        const rect = this.canvas.getBoundingClientRect();
+        return this.imageWidth / (rect.width || this.canvas.width || 1);
+    }
+
+    toImagePoint(e) {
+        const rect = this.canvas.getBoundingClientRect();
+        const scale = this.getPixelsPerCssPixel();
+        return {
+            x: Math.max(0, Math.min(this.imageWidth, (e.clientX - rect.left) * scale)),
+            y: Math.max(0, Math.min(this.imageHeight, (e.clientY - rect.top) * scale))
+        };
+    }
+
+    // 'nw' | 'ne' | 'sw' | 'se' for a corner, 'move' inside the box, null elsewhere
+    hitTest({ x, y }) {
+        if (!this.crop) return null;
+        const reach = CROP_HANDLE_SIZE * this.getPixelsPerCssPixel();
+        const { x: left, y: top, width, height } = this.crop;
+        const nearLeft = Math.abs(x - left) <= reach, nearRight = Math.abs(x - left - width) <= reach;
+        const nearTop = Math.abs(y - top) <= reach, nearBottom = Math.abs(y - top - height) <= reach;
+        if ((nearLeft || nearRight) && (nearTop || nearBottom)) {
+            return `${nearTop ? 'n' : 's'}${nearLeft ? 'w' : 'e'}`;
+        }
+        return x > left && x < left + width && y > top && y < top + height ? 'move' : null;
+    }
+
+    render() {
+        const ctx = this.ctx;
+        const { width, height } = this.canvas;
+        ctx.clearRect(0, 0, width, height);
+        if (this.override) {
+            ctx.drawImage(this.override, 0, 0, width, height);
+            return;
+        }
+        if (!this.image) return;
+        ctx.drawImage(this.image, 0, 0, width, height);
+        const scale = width / this.imageWidth;
+        if (!this.roi.isEmpty()) ctx.drawImage(this.roi.overlay, 0, 0, width, height);
+        if (this.crop) this.renderCrop(scale);
+
+        // What the region tool would paint: the rectangle being dragged, or the brush outline
+        ctx.strokeStyle = '#FFFFFF';
+        ctx.lineWidth = 1;
+        if (this.drag && this.drag.type === 'rect') {
+            const rect = CropBox.rectBetween(this.drag.anchor, this.drag.last);
+            ctx.setLineDash([4, 3]);
+            ctx.strokeRect(rect.x * scale + 0.5, rect.y * scale + 0.5, rect.width * scale, rect.height * scale);
+            ctx.setLineDash([]);
+        } else if (this.hover && (this.tool === 'brush' || this.tool === 'erase')) {
+            ctx.beginPath();
+            ctx.arc(this.hover.x * scale, this.hover.y * scale, Math.max(1, this.getBrushRadius() * scale), 0, 2 * Math.PI);
+            ctx.stroke();
+        }
+    }
+
+    renderCrop(scale) {
+        const ctx = this.ctx;
+        const { width, height } = this.canvas;
+        const x = this.crop.x * scale, y = this.crop.y * scale;
+        const w = this.crop.width * scale, h = this.crop.height * scale;
+
+        // Dim everything outside the box
+        ctx.fillStyle = 'rgba(0, 0, 0, 0.55)';
+        ctx.beginPath();
+        ctx.rect(0, 0, width, height);
+        ctx.rect(x, y, w, h);
+        ctx.fill('evenodd');
+
+        ctx.strokeStyle = '#FFFFFF';
+        ctx.lineWidth = 1;
+        ctx.strokeRect(x + 0.5, y + 0.5, w - 1, h - 1);
+        ctx.fillStyle = '#FFFFFF';
+        const handle = 6;
+        [[x, y], [x + w, y], [x, y + h], [x + w, y + h]].forEach(([cx, cy]) => {
+            ctx.fillRect(cx - handle / 2, cy - handle / 2, handle, handle);
+        });
+    }
+}
@@ -0,0 +1,83 @@
+// Size-bounded LRU of transformed images on disk, behind the /img route. Each entry is one file,
+// <key>.<ext>, so the extension keeps the content type and the directory alone rebuilds the index
+// after a restart (least recently used first, by modification time, which hits refresh).
+const fs = require('fs/promises');
+const path = require('path');
+
+const ENTRY_PATTERN = /^([0-9a-f]+)\.([a-z0-9]+)$/;
+
+class ImageCache {
+  constructor({ dir, maxBytes }) {
+    this.dir = dir;
+    this.maxBytes = maxBytes;
+    this.entries = new Map(); // key -> { file, ext, size }, least recently used first
+    this.totalBytes = 0;
+  }
+
+  async init() {
+    await fs.mkdir(this.dir, { recursive: true });
+    const found = [];
+    for (const name of await fs.readdir(this.dir)) {
+      const match = ENTRY_PATTERN.exec(name);
+      const file = path.join(this.dir, name);
+      if (!match) {
+        if (name.endsWith('.tmp')) await fs.rm(file, { force: true }); // Write cut off by a restart
+        continue;
+      }
+      const { size, mtimeMs } = await fs.stat(file);
+      found.push({ key: match[1], file, ext: match[2], size, mtimeMs });
+    }
+    found.sort((a, b) => a.mtimeMs - b.mtimeMs);
+    for (const { key, file, ext, size } of found) this.add(key, { file, ext, size });
+    await this.evict();
+    return this.entries.size;
+  }
+
+  add(key, entry) {
+    this.entries.set(key, entry);
+    this.totalBytes += entry.size;
+  }
+
+  // The entry for `key` ({ file, ext, size }), now the most recently used, or null
+  get(key) {
+    const entry = this.entries.get(key);
+    if (!entry) return null;
+    this.entries.delete(key);
+    this.entries.set(key, entry);
+    const now = new Date();
+    fs.utimes(entry.file, now, now).catch(() => {}); // Keeps the order across restarts; best effort
+    return entry;
+  }
+
+  // Stores `data` under `key` and evicts the least recently used entries past maxBytes. Resolves with
+  // the entry, or null when `data` alone is over the budget (it is not stored then).
+  async set(key, ext, data) {
+    if (data.length > this.maxBytes) return null;
+    const file = path.join(this.dir, `${key}.${ext}`);
+    await fs.writeFile(`${file}.tmp`, data);
+    await fs.rename(`${file}.tmp`, file);
+    this.delete(key);
+    const entry = { file, ext, size: data.length };
+    this.add(key, entry);
+    await this.evict();
+    return entry;
+  }
+
+  // Drops `key` from the index; the caller has found its file missing, or is about to replace it
+  delete(key) {
+    const entry = this.entries.get(key);
+    if (!entry) return;
+    this.entries.delete(key);
+    this.totalBytes -= entry.size;
+  }
+
+  async evict() {
+    for (const [key, entry] of this.entries) {
+      if (this.totalBytes <= this.maxBytes) break;
+      this.delete(key);
+      await fs.rm(entry.file, { force: true });
+    }
+  }
+}
+
+module.exports = ImageCache;
@@ -0,0 +1,511 @@
+//image-metadata.js//
+// Reads and writes the metadata a canvas round-trip drops: EXIF, XMP and ICC profiles.
+// JPEG, PNG and WebP containers are supported; other formats (AVIF) pass through untouched.
+const ImageMetadata = {
+    ORIENTATIONS: {
+        1: 'Normal',
+        2: 'Mirrored horizontally',
+        3: 'Rotated 180°',
+        4: 'Mirrored vertically',
+        5: 'Mirrored and rotated 90° CCW',
+        6: 'Rotated 90° CW',
+        7: 'Mirrored and rotated 90° CW',
+        8: 'Rotated 90° CCW'
+    },
+
+    XMP_HEADER: 'http://ns.adobe.com/xap/1.0/\0',
+    ICC_HEADER: 'ICC_PROFILE\0',
+    ICC_CHUNK_SIZE: 65519, // Largest APP2 payload once the 14-byte ICC_PROFILE header is added
+
+    detectFormat(bytes) {
+        if (bytes[0] === 0xFF && bytes[1] === 0xD8) return 'jpeg';
+        if (bytes[0] === 0x89 && ImageMetadata.ascii(bytes, 1, 3) === 'PNG') return 'png';
+        if (ImageMetadata.ascii(bytes, 0, 4) === 'RIFF' && ImageMetadata.ascii(bytes, 8, 4) === 'WEBP') return 'webp';
+        return null;
+    },
+
+    ascii(bytes, start, length) {
+        let text = '';
+        for (let i = start; i < start + length && i < bytes.length; i++) text += String.fromCharCode(bytes[i]);
+        return text;
+    },
+
+    startsWith(bytes, start, text) {
+        return ImageMetadata.ascii(bytes, start, text.length) === text;
+    },
+
+    concat(parts) {
+        const out = new Uint8Array(parts.reduce((sum, part) => sum + part.length, 0));
+        let offset = 0;
+        for (const part of parts) {
+            out.set(part, offset);
+            offset += part.length;
+        }
+        return out;
+    },
+
+    // zlib streams as used by PNG iCCP chunks
+    async inflate(bytes) {
+        const stream = new Blob([bytes]).stream().pipeThrough(new DecompressionStream('deflate'));
+        return new Uint8Array(await new Response(stream).arrayBuffer());
+    },
+
+    async deflate(bytes) {
+        const stream = new Blob([bytes]).stream().pipeThrough(new CompressionStream('deflate'));
+        return new Uint8Array(await new Response(stream).arrayBuffer());
+    },
+
+    // Everything found in the file. `author`/`copyright` merge EXIF, XMP and PNG text sources.
+    async parse(buffer) {
+        const bytes = new Uint8Array(buffer);
+        const metadata = { format: ImageMetadata.detectFormat(bytes), orientation: 1, exif: null, xmp: null, icc: null, text: {} };
+        try {
+            if (metadata.format === 'jpeg') ImageMetadata.readJpeg(bytes, metadata);
+            else if (metadata.format === 'png') await ImageMetadata.readPng(bytes, metadata);
+            else if (metadata.format === 'webp') ImageMetadata.readWebp(bytes, metadata);
+        } catch (error) {
+            // Damaged metadata shouldn't stop the image from loading
+            console.warn('Could not fully parse image metadata:', error);
+        }
+
+        const xmpFields = metadata.xmp ? ImageMetadata.readXmpFields(metadata.xmp) : {};
+        metadata.author = metadata.exif?.artist || xmpFields.creator || metadata.text.Author || null;
+        metadata.copyright = metadata.exif?.copyright || xmpFields.rights || metadata.text.Copyright || null;
+        metadata.iccDescription = metadata.icc ? ImageMetadata.readIccDescription(metadata.icc) : null;
+        return metadata;
+    },
+
+    // Marker segments before the scan data; standalone markers have no length field
+    jpegSegments(bytes) {
+        const segments = [];
+        let offset = 2;
+        while (offset + 4 <= bytes.length && bytes[offset] === 0xFF) {
+            const marker = bytes[offset + 1];
+            if (marker === 0xFF) { offset++; continue; } // Fill byte
+            if (marker === 0xD8 || marker === 0x01 || (marker >= 0xD0 && marker <= 0xD7)) { offset += 2; continue; }
+            if (marker === 0xDA || marker === 0xD9) {
+                segments.push({ marker, start: offset, end: bytes.length, dataStart: offset + 4 });
+                break;
+            }
+            const length = (bytes[offset + 2] << 8) | bytes[offset + 3];
+            segments.push({ marker, start: offset, end: offset + 2 + length, dataStart: offset + 4 });
+            offset += 2 + length;
+        }
+        return segments;
+    },
+
+    readJpeg(bytes, metadata) {
+        const iccChunks = [];
+        for (const segment of ImageMetadata.jpegSegments(bytes)) {
+            if (segment.marker === 0xE1 && ImageMetadata.startsWith(bytes, segment.dataStart, 'Exif\0\0')) {
+                ImageMetadata.readExif(bytes.subarray(segment.dataStart + 6, segment.end), metadata);
+            } else if (segment.marker === 0xE1 && ImageMetadata.startsWith(bytes, segment.dataStart, ImageMetadata.XMP_HEADER)) {
+                metadata.xmp = new TextDecoder().decode(bytes.subarray(segment.dataStart + ImageMetadata.XMP_HEADER.length, segment.end));
+            } else if (segment.marker === 0xE2 && ImageMetadata.startsWith(bytes, segment.dataStart, ImageMetadata.ICC_HEADER)) {
+                const sequence = bytes[segment.dataStart + 12];
+                iccChunks[sequence - 1] = bytes.subarray(segment.dataStart + 14, segment.end);
+            }
+        }
+        if (iccChunks.length > 0 && iccChunks.every(Boolean)) {
+            metadata.icc = ImageMetadata.concat(iccChunks);
+        }
+    },
+
+    async readPng(bytes, metadata) {
+        const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+        let offset = 8;
+        while (offset + 12 <= bytes.length) {
+            const length = view.getUint32(offset);
+            const type = ImageMetadata.ascii(bytes, offset + 4, 4);
+            const data = bytes.subarray(offset + 8, offset + 8 + length);
+            if (type === 'eXIf') {
+                ImageMetadata.readExif(data, metadata);
+            } else if (type === 'iCCP') {
+                const nameEnd = data.indexOf(0);
+                metadata.icc = await ImageMetadata.inflate(data.subarray(nameEnd + 2));
+            } else if (type === 'iTXt') {
+                const keywordEnd = data.indexOf(0);
+                const keyword = ImageMetadata.ascii(data, 0, keywordEnd);
+                const compressed = data[keywordEnd + 1] === 1;
+                const languageEnd = data.indexOf(0, keywordEnd + 3);
+                const translatedEnd = data.indexOf(0, languageEnd + 1);
+                let text = data.subarray(translatedEnd + 1);
+                if (compressed) text = await ImageMetadata.inflate(text);
+                const value = new TextDecoder().decode(text);
+                if (keyword === 'XML:com.adobe.xmp') metadata.xmp = value;
+                else metadata.text[keyword] = value;
+            } else if (type === 'tEXt') {
+                const keywordEnd = data.indexOf(0);
+                metadata.text[ImageMetadata.ascii(data, 0, keywordEnd)] = ImageMetadata.ascii(data, keywordEnd + 1, data.length - keywordEnd - 1);
+            } else if (type === 'IDAT' || type === 'IEND') {
+                break; // Metadata chunks after the image data are rare and not worth scanning for
+            }
+            offset += 12 + length;
+        }
+    },
+
+    webpChunks(bytes) {
+        const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+        const chunks = [];
+        let offset = 12;
+        while (offset + 8 <= bytes.length) {
+            const size = view.getUint32(offset + 4, true);
+            chunks.push({ type: ImageMetadata.ascii(bytes, offset, 4), data: bytes.subarray(offset + 8, offset + 8 + size) });
+            offset += 8 + size + (size % 2);
+        }
+        return chunks;
+    },
+
+    readWebp(bytes, metadata) {
+        for (const { type, data } of ImageMetadata.webpChunks(bytes)) {
+            if (type === 'ICCP') metadata.icc = data.slice();
+            else if (type === 'XMP ') metadata.xmp = new TextDecoder().decode(data);
+            else if (type === 'EXIF') {
+                // Some writers keep the JPEG-style "Exif\0\0" prefix
+                ImageMetadata.readExif(ImageMetadata.startsWith(data, 0, 'Exif\0\0') ? data.subarray(6) : data, metadata);
+            }
+        }
+    },
+
+    // TIFF structure inside EXIF: IFD0 plus the Exif sub-IFD; GPS is only noted, never read
+    readExif(tiff, metadata) {
+        const view = new DataView(tiff.buffer, tiff.byteOffset, tiff.byteLength);
+        const little = ImageMetadata.ascii(tiff, 0, 2) === 'II';
+        const u16 = offset => view.getUint16(offset, little);
+        const u32 = offset => view.getUint32(offset, little);
+        const TYPE_SIZES = { 1: 1, 2: 1, 3: 2, 4: 4, 5: 8, 7: 1, 9: 4, 10: 8 };
+
+        const readIfd = offset => {
+            const entries = new Map();
+            if (offset + 2 > tiff.length) return entries;
+            const count = u16(offset);
+            for (let i = 0; i < count; i++) {
+                const entry = offset + 2 + i * 12;
+                if (entry + 12 > tiff.length) break;
+                const type = u16(entry + 2), valueCount = u32(entry + 4);
+                const size = (TYPE_SIZES[type] || 1) * valueCount;
+                entries.set(u16(entry), { type, count: valueCount, offset: size <= 4 ? entry + 8 : u32(entry + 8) });
+            }
+            return entries;
+        };
+        const value = (entries, tag) => {
+            const entry = entries.get(tag);
+            if (!entry || entry.offset >= tiff.length) return null;
+            switch (entry.type) {
+                case 2: return ImageMetadata.ascii(tiff, entry.offset, entry.count).replace(/\0+$/, '').trim() || null;
+                case 3: return u16(entry.offset);
+                case 4: return u32(entry.offset);
+                case 5: {
+                    const denominator = u32(entry.offset + 4);
+                    return denominator ? u32(entry.offset) / denominator : null;
+                }
+                default: return null;
+            }
+        };
+
+        const ifd0 = readIfd(u32(4));
+        const exifIfd = ifd0.has(0x8769) ? readIfd(value(ifd0, 0x8769)) : new Map();
+        metadata.orientation = value(ifd0, 0x0112) || 1;
+        metadata.exif = {
+            make: value(ifd0, 0x010F),
+            model: value(ifd0, 0x0110),
+            software: value(ifd0, 0x0131),
+            dateTime: value(exifIfd, 0x9003) || value(ifd0, 0x0132),
+            artist: value(ifd0, 0x013B),
+            copyright: value(ifd0, 0x8298),
+            exposureTime: value(exifIfd, 0x829A),
+            fNumber: value(exifIfd, 0x829D),
+            iso: value(exifIfd, 0x8827),
+            focalLength: value(exifIfd, 0x920A),
+            lensModel: value(exifIfd, 0xA434),
+            hasGps: ifd0.has(0x8825)
+        };
+    },
+
+    readXmpFields(xmp) {
+        const first = tag => {
+            const block = xmp.match(new RegExp(`<${tag}[^>]*>([\\s\\S]*?)</${tag}>`));
+            if (!block) return null;
+            const item = block[1].match(/<rdf:li[^>]*>([\s\S]*?)<\/rdf:li>/);
+            return ImageMetadata.unescapeXml((item ? item[1] : block[1]).trim()) || null;
+        };
+        return { creator: first('dc:creator'), rights: first('dc:rights') };
+    },
+
+    // Profile name from the 'desc' tag: ASCII in v2 profiles, UTF-16 'mluc' in v4
+    readIccDescription(icc) {
+        const view = new DataView(icc.buffer, icc.byteOffset, icc.byteLength);
+        if (icc.length < 132) return null;
+        const tagCount = view.getUint32(128);
+        for (let i = 0; i < tagCount; i++) {
+            const entry = 132 + i * 12;
+            if (entry + 12 > icc.length) break;
+            if (ImageMetadata.ascii(icc, entry, 4) !== 'desc') continue;
+            const offset = view.getUint32(entry + 4);
+            const type = ImageMetadata.ascii(icc, offset, 4);
+            if (type === 'desc') {
+                return ImageMetadata.ascii(icc, offset + 12, view.getUint32(offset + 8)).replace(/\0+$/, '');
+            }
+            if (type === 'mluc') {
+                const length = view.getUint32(offset + 20), start = offset + view.getUint32(offset + 24);
+                let text = '';
+                for (let j = 0; j + 1 < length; j += 2) text += String.fromCharCode(view.getUint16(start + j));
+                return text;
+            }
+        }
+        return null;
+    },
+
+    // Name/value rows for the metadata panel
+    describe(metadata) {
+        const rows = [];
+        const exif = metadata.exif || {};
+        if (metadata.orientation !== 1) rows.push(['Orientation', ImageMetadata.ORIENTATIONS[metadata.orientation] || `Unknown (${metadata.orientation})`]);
+        const camera = [exif.make, exif.model].filter(Boolean).join(' ');
+        if (camera) rows.push(['Camera', camera]);
+        if (exif.lensModel) rows.push(['Lens', exif.lensModel]);
+        const exposure = [
+            exif.exposureTime && (exif.exposureTime < 1 ? `1/${Math.round(1 / exif.exposureTime)} s` : `${exif.exposureTime} s`),
+            exif.fNumber && `f/${exif.fNumber.toFixed(1)}`,
+            exif.iso && `ISO ${exif.iso}`,
+            exif.focalLength && `${Math.round(exif.focalLength)} mm`
+        ].filter(Boolean).join(', ');
+        if (exposure) rows.push(['Exposure', exposure]);
+        if (exif.dateTime) rows.push(['Taken', exif.dateTime]);
+        if (exif.software) rows.push(['Software', exif.software]);
+        if (metadata.author) rows.push(['Author', metadata.author]);
+        if (metadata.copyright) rows.push(['Copyright', metadata.copyright]);
+        if (exif.hasGps) rows.push(['GPS', 'Location recorded (never written back)']);
+        if (metadata.icc) rows.push(['ICC profile', `${metadata.iccDescription || 'Unnamed'} (${(metadata.icc.length / 1024).toFixed(1)} KB)`]);
+        if (metadata.xmp) rows.push(['XMP', `${(metadata.xmp.length / 1024).toFixed(1)} KB packet`]);
+        return rows;
+    },
+
+    // Browsers that support `image-orientation` already apply EXIF orientation when decoding
+    browserAppliesOrientation() {
+        return typeof CSS !== 'undefined' && !!CSS.supports && CSS.supports('image-orientation', 'from-image');
+    },
+
+    // Returns an upright copy of `image` when the browser left EXIF orientation to us
+    async orientImage(image, orientation) {
+        if (orientation <= 1 || orientation > 8 || ImageMetadata.browserAppliesOrientation()) return image;
+        const width = image.naturalWidth, height = image.naturalHeight;
+        const swapsAxes = orientation >= 5;
+        const canvas = document.createElement('canvas');
+        canvas.width = swapsAxes ? height : width;
+        canvas.height = swapsAxes ? width : height;
+        const ctx = canvas.getContext('2d');
+        const transforms = {
+            2: [-1, 0, 0, 1, width, 0],
+            3: [-1, 0, 0, -1, width, height],
+            4: [1, 0, 0, -1, 0, height],
+            5: [0, 1, 1, 0, 0, 0],
+            6: [0, 1, -1, 0, height, 0],
+            7: [0, -1, -1, 0, height, width],
+            8: [0, -1, 1, 0, 0, width]
+        };
+        ctx.transform(...transforms[orientation]);
+        ctx.drawImage(image, 0, 0);
+
+        const blob = await new Promise(resolve => canvas.toBlob(resolve, 'image/png'));
+        const upright = new Image();
+        await new Promise((resolve, reject) => {
+            upright.onload = resolve;
+            upright.onerror = () => reject(new Error('Failed to apply EXIF orientation.'));
+            upright.src = URL.createObjectURL(blob);
+        });
+        URL.revokeObjectURL(upright.src);
+        return upright;
+    },
+
+    escapeXml(text) {
+        return text.replace(/[<>&"']/g, c => ({ '<': '&lt;', '>': '&gt;', '&': '&amp;', '"': '&quot;', "'": '&apos;' })[c]);
+    },
+
+    unescapeXml(text) {
+        return text.replace(/&(lt|gt|amp|quot|apos);/g, (_, name) => ({ lt: '<', gt: '>', amp: '&', quot: '"', apos: "'" })[name]);
+    },
+
+    // Minimal little-endian TIFF block with IFD0 only; null when there is nothing to say
+    buildExif({ orientation = 1, artist = null, copyright = null }) {
+        const entries = [];
+        if (orientation > 1) entries.push({ tag: 0x0112, type: 3, count: 1, value: orientation });
+        if (artist) entries.push({ tag: 0x013B, type: 2, bytes: new TextEncoder().encode(`${artist}\0`) });
+        if (copyright) entries.push({ tag: 0x8298, type: 2, bytes: new TextEncoder().encode(`${copyright}\0`) });
+        if (entries.length === 0) return null;
+        entries.sort((a, b) => a.tag - b.tag); // IFD entries must be in ascending tag order
+
+        const ifdSize = 2 + entries.length * 12 + 4;
+        let dataOffset = 8 + ifdSize;
+        const dataSize = entries.reduce((sum, entry) => sum + (entry.bytes && entry.bytes.length > 4 ? entry.bytes.length + (entry.bytes.length % 2) : 0), 0);
+        const tiff = new Uint8Array(dataOffset + dataSize);
+        const view = new DataView(tiff.buffer);
+        tiff.set([0x49, 0x49, 0x2A, 0x00]); // "II", 42
+        view.setUint32(4, 8, true);          // IFD0 follows the header
+        view.setUint16(8, entries.length, true);
+        entries.forEach((entry, i) => {
+            const at = 10 + i * 12;
+            view.setUint16(at, entry.tag, true);
+            view.setUint16(at + 2, entry.type, true);
+            if (entry.bytes) {
+                view.setUint32(at + 4, entry.bytes.length, true);
+                if (entry.bytes.length <= 4) {
+                    tiff.set(entry.bytes, at + 8);
+                } else {
+                    view.setUint32(at + 8, dataOffset, true);
+                    tiff.set(entry.bytes, dataOffset);
+                    dataOffset += entry.bytes.length + (entry.bytes.length % 2);
+                }
+            } else {
+                view.setUint32(at + 4, entry.count, true);
+                view.setUint16(at + 8, entry.value, true);
+            }
+        });
+        // Next-IFD offset stays zero
+        return tiff;
+    },
+
+    buildXmp({ creator = null, rights = null }) {
+        if (!creator && !rights) return null;
+        const fields = [
+            creator && `<dc:creator><rdf:Seq><rdf:li>${ImageMetadata.escapeXml(creator)}</rdf:li></rdf:Seq></dc:creator>`,
+            rights && `<dc:rights><rdf:Alt><rdf:li xml:lang="x-default">${ImageMetadata.escapeXml(rights)}</rdf:li></rdf:Alt></dc:rights>`
+        ].filter(Boolean).join('');
+        return '<?xpacket begin="﻿" id="W5M0MpCehiHzreSzNTczkc9d"?>'
+            + '<x:xmpmeta xmlns:x="adobe:ns:meta/"><rdf:RDF xmlns:rdf="http://www.w3.org/1999/02/22-rdf-syntax-ns#">'
+            + `<rdf:Description rdf:about="" xmlns:dc="http://purl.org/dc/elements/1.1/">${fields}</rdf:Description>`
+            + '</rdf:RDF></x:xmpmeta><?xpacket end="w"?>';
+    },
+
+    // Replaces all EXIF/XMP/ICC in `blob` with `kept` ({ exif: TIFF bytes, xmp: string, icc: bytes }, each optional)
+    async write(blob, kept) {
+        const bytes = new Uint8Array(await blob.arrayBuffer());
+        const format = ImageMetadata.detectFormat(bytes);
+        let output;
+        if (format === 'jpeg') output = ImageMetadata.writeJpeg(bytes, kept);
+        else if (format === 'png') output = await ImageMetadata.writePng(bytes, kept);
+        else if (format === 'webp') output = ImageMetadata.writeWebp(bytes, kept);
+        else return blob;
+        return new Blob([output], { type: blob.type });
+    },
+
+    jpegSegment(marker, payload) {
+        const segment = new Uint8Array(4 + payload.length);
+        segment.set([0xFF, marker, (payload.length + 2) >> 8, (payload.length + 2) & 0xFF]);
+        segment.set(payload, 4);
+        return segment;
+    },
+
+    writeJpeg(bytes, { exif, xmp, icc }) {
+        const encoder = new TextEncoder();
+        const added = [];
+        if (exif) added.push(ImageMetadata.jpegSegment(0xE1, ImageMetadata.concat([encoder.encode('Exif\0\0'), exif])));
+        if (xmp) added.push(ImageMetadata.jpegSegment(0xE1, ImageMetadata.concat([encoder.encode(ImageMetadata.XMP_HEADER), encoder.encode(xmp)])));
+        if (icc) {
+            const count = Math.ceil(icc.length / ImageMetadata.ICC_CHUNK_SIZE);
+            for (let i = 0; i < count; i++) {
+                const chunk = icc.subarray(i * ImageMetadata.ICC_CHUNK_SIZE, (i + 1) * ImageMetadata.ICC_CHUNK_SIZE);
+                added.push(ImageMetadata.jpegSegment(0xE2, ImageMetadata.concat([encoder.encode(ImageMetadata.ICC_HEADER), new Uint8Array([i + 1, count]), chunk])));
+            }
+        }
+
+        // Drop EXIF/XMP (APP1), ICC (APP2), Photoshop/IPTC (APP13) and comments; keep JFIF first
+        const parts = [bytes.subarray(0, 2)];
+        const rest = [];
+        for (const segment of ImageMetadata.jpegSegments(bytes)) {
+            if ([0xE1, 0xE2, 0xED, 0xFE].includes(segment.marker)) continue;
+            const data = bytes.subarray(segment.start, segment.end);
+            if (segment.marker === 0xE0 && parts.length === 1 && rest.length === 0) parts.push(data);
+            else rest.push(data);
+        }
+        return ImageMetadata.concat([...parts, ...added, ...rest]);
+    },
+
+    pngChunk(type, data) {
+        const chunk = new Uint8Array(12 + data.length);
+        const view = new DataView(chunk.buffer);
+        view.setUint32(0, data.length);
+        chunk.set(new TextEncoder().encode(type), 4);
+        chunk.set(data, 8);
+        // PNG uses the same CRC-32 as ZIP, computed over the type and data
+        view.setUint32(8 + data.length, ZipWriter.crc32(chunk.subarray(4, 8 + data.length)));
+        return chunk;
+    },
+
+    async writePng(bytes, { exif, xmp, icc }) {
+        const encoder = new TextEncoder();
+        const added = [];
+        if (icc) added.push(ImageMetadata.pngChunk('iCCP', ImageMetadata.concat([encoder.encode('ICC profile\0\0'), await ImageMetadata.deflate(icc)])));
+        if (exif) added.push(ImageMetadata.pngChunk('eXIf', exif));
+        if (xmp) added.push(ImageMetadata.pngChunk('iTXt', ImageMetadata.concat([encoder.encode('XML:com.adobe.xmp\0\0\0\0\0'), encoder.encode(xmp)])));
+
+        // Text and profile chunks are replaced; an embedded profile also supersedes sRGB
+        const dropped = ['eXIf', 'iCCP', 'iTXt', 'tEXt', 'zTXt', ...(icc ? ['sRGB'] : [])];
+        const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+        const parts = [bytes.subarray(0, 8)];
+        let offset = 8;
+        while (offset + 12 <= bytes.length) {
+            const length = view.getUint32(offset);
+            const type = ImageMetadata.ascii(bytes, offset + 4, 4);
+            if (!dropped.includes(type)) parts.push(bytes.subarray(offset, offset + 12 + length));
+            if (type === 'IHDR') parts.push(...added);
+            offset += 12 + length;
+        }
+        return ImageMetadata.concat(parts);
+    },
+
+    webpChunk(type, data) {
+        const chunk = new Uint8Array(8 + data.length + (data.length % 2));
+        chunk.set(new TextEncoder().encode(type));
+        new DataView(chunk.buffer).setUint32(4, data.length, true);
+        chunk.set(data, 8);
+        return chunk;
+    },
+
+    // Simple (VP8/VP8L) files are promoted to the extended format, since only VP8X can carry metadata
+    writeWebp(bytes, { exif, xmp, icc }) {
+        const chunks = ImageMetadata.webpChunks(bytes).filter(({ type }) => !['ICCP', 'EXIF', 'XMP '].includes(type));
+        const vp8x = chunks.find(({ type }) => type === 'VP8X');
+        let width, height, flags = 0;
+        if (vp8x) {
+            flags = vp8x.data[0] & ~(0x20 | 0x08 | 0x04);
+            width = 1 + (vp8x.data[4] | (vp8x.data[5] << 8) | (vp8x.data[6] << 16));
+            height = 1 + (vp8x.data[7] | (vp8x.data[8] << 8) | (vp8x.data[9] << 16));
+        } else {
+            const image = chunks.find(({ type }) => type === 'VP8 ' || type === 'VP8L');
+            if (!image) return bytes;
+            if (image.type === 'VP8L') {
+                const bits = image.data[1] | (image.data[2] << 8) | (image.data[3] << 16) | (image.data[4] << 24);
+                width = (bits & 0x3FFF) + 1;
+                height = ((bits >>> 14) & 0x3FFF) + 1;
+                if ((bits >>> 28) & 1) flags |= 0x10;
+            } else {
+                width = (image.data[6] | (image.data[7] << 8)) & 0x3FFF;
+                height = (image.data[8] | (image.data[9] << 8)) & 0x3FFF;
+            }
+            if (!exif && !xmp && !icc) return bytes; // Simple files carry no metadata to strip
+        }
+        if (icc) flags |= 0x20;
+        if (exif) flags |= 0x08;
+        if (xmp) flags |= 0x04;
+
+        const header = new Uint8Array(10);
+        header[0] = flags;
+        header.set([(width - 1) & 0xFF, ((width - 1) >> 8) & 0xFF, (width - 1) >> 16], 4);
+        header.set([(height - 1) & 0xFF, ((height - 1) >> 8) & 0xFF, (height - 1) >> 16], 7);
+
+        const body = [ImageMetadata.webpChunk('VP8X', header)];
+        if (icc) body.push(ImageMetadata.webpChunk('ICCP', icc));
+        for (const { type, data } of chunks) {
+            if (type !== 'VP8X') body.push(ImageMetadata.webpChunk(type, data));
+        }
+        if (exif) body.push(ImageMetadata.webpChunk('EXIF', exif));
+        if (xmp) body.push(ImageMetadata.webpChunk('XMP ', new TextEncoder().encode(xmp)));
+
+        const riff = new Uint8Array(12);
+        riff.set(new TextEncoder().encode('RIFF'));
+        new DataView(riff.buffer).setUint32(4, 4 + body.reduce((sum, chunk) => sum + chunk.length, 0), true);
+        riff.set(new TextEncoder().encode('WEBP'), 8);
+        return ImageMetadata.concat([riff, ...body]);
+    }
+};
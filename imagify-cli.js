@@ -0,0 +1,390 @@
+#!/usr/bin/env node
+// imagify CLI: compresses and scores images with sharp and the same core (and metric code) as the
+// web UI and index.js, for build scripts and CI.
+// Exit codes: 0 every file passed, 1 a file fell below --min-psnr/--min-ssim, 2 bad usage, clashing
+// outputs or a file failed.
+const fs = require('fs');
+const path = require('path');
+const { parseArgs } = require('util');
+const sharp = require('sharp');
+const ImagifyCore = require('./imagify-core.js');
+
+const { OUTPUT_FORMATS } = ImagifyCore;
+const encoder = ImagifyCore.createSharpEncoder(sharp);
+
+// Inputs a glob or directory may pick up
+const IMAGE_EXTENSIONS = new Set(['.jpg', '.jpeg', '.png', '.webp', '.avif', '.gif', '.tif', '.tiff']);
+
+const USAGE = `Usage: imagify [options] <file | directory | glob>...
+
+Compression
+  -q, --quality <1-100>     Encoder quality (default 80; ignored for png)
+  -f, --format <format>     jpeg, webp, avif, png, png8 or jpegjs (default jpeg)
+      --colors <2-256>      png8 palette size (default 256)
+      --no-dither           png8 without Floyd–Steinberg dithering
+  -w, --max-width <px>      Box to resize into; how depends on --fit
+  -H, --max-height <px>
+      --fit <mode>          contain (default): fit inside the box keeping the aspect ratio, never
+                            upscaled; cover: fill the box, cropping the overflow; fill: stretch
+                            to the box; exact: fit inside and letterbox to the box. With one bound,
+                            cover, fill and exact scale to it keeping the aspect ratio
+      --filter <name>       Resampling filter: lanczos3 (default), bicubic, bilinear or nearest
+      --background <color>  Hex color to flatten transparency onto for formats without alpha
+                            (jpeg; default #ffffff)
+      --target-size <size>  Highest quality that fits a size, e.g. 150KB or 1.2MB
+      --target-ssim <0-1>   Lowest quality that reaches an SSIM
+
+Output
+  -o, --out-dir <dir>       Write results here as <name>.<ext>, keeping each file's path below
+                            the directory or glob it came from (default: next to each input
+                            as <name>_compressed_q<quality>.<ext>)
+  -n, --no-write            Score only; write nothing
+      --json                Print JSON instead of a table
+
+Checks
+      --min-psnr <dB>       Exit with code 1 when a file scores below this PSNR
+      --min-ssim <0-1>      Exit with code 1 when a file scores below this SSIM
+
+  -h, --help                Show this help
+
+Globs support *, ?, ** and {a,b}; quote them so the shell leaves them alone.`;
+
+class UsageError extends Error {}
+
+// Parses an optional number option, enforcing its range
+function parseNumber(value, name, { min = -Infinity, max = Infinity, integer = false } = {}) {
+  if (value === undefined) return null;
+  const parsed = Number(value);
+  if (!Number.isFinite(parsed) || parsed < min || parsed > max || (integer && !Number.isInteger(parsed))) {
+    const range = max === Infinity ? `of at least ${min}` : `between ${min} and ${max}`;
+    throw new UsageError(`--${name} must be ${integer ? 'an integer' : 'a number'} ${range}.`);
+  }
+  return parsed;
+}
+
+// "150KB", "1.2 MB", "4096" -> bytes; units are binary like formatFileSize()
+function parseSize(value) {
+  if (value === undefined) return null;
+  const match = /^(\d+(?:\.\d+)?)\s*(b|kb|mb|gb)?$/i.exec(value.trim());
+  if (!match || Number(match[1]) <= 0) {
+    throw new UsageError('--target-size must be a size such as 150KB, 1.2MB or 4096.');
+  }
+  const units = { b: 1, kb: 1024, mb: 1024 ** 2, gb: 1024 ** 3 };
+  return Math.round(Number(match[1]) * units[(match[2] || 'b').toLowerCase()]);
+}
+
+function parseOptions(argv) {
+  const { values, positionals } = parseArgs({
+    args: argv,
+    allowPositionals: true,
+    options: {
+      quality: { type: 'string', short: 'q' },
+      format: { type: 'string', short: 'f', default: 'jpeg' },
+      'max-width': { type: 'string', short: 'w' },
+      'max-height': { type: 'string', short: 'H' },
+      fit: { type: 'string', default: ImagifyCore.FIT_MODES[0] },
+      filter: { type: 'string', default: ImagifyCore.RESAMPLING_FILTERS[0] },
+      background: { type: 'string', default: ImagifyCore.DEFAULT_BACKGROUND },
+      colors: { type: 'string' },
+      'no-dither': { type: 'boolean', default: false },
+      'target-size': { type: 'string' },
+      'target-ssim': { type: 'string' },
+      'out-dir': { type: 'string', short: 'o' },
+      'no-write': { type: 'boolean', short: 'n', default: false },
+      json: { type: 'boolean', default: false },
+      'min-psnr': { type: 'string' },
+      'min-ssim': { type: 'string' },
+      help: { type: 'boolean', short: 'h', default: false }
+    }
+  });
+  if (values.help) return { help: true };
+
+  const formatName = values.format.toLowerCase() === 'jpg' ? 'jpeg' : values.format.toLowerCase();
+  let format = OUTPUT_FORMATS[formatName];
+  if (!format) {
+    throw new UsageError(`Unsupported output format "${values.format}". Use one of: ${Object.keys(OUTPUT_FORMATS).join(', ')}.`);
+  }
+  const colors = parseNumber(values.colors, 'colors', { min: 2, max: 256, integer: true });
+  if (format.palette) {
+    format = { ...format, colors: colors ?? format.colors, dither: !values['no-dither'] };
+  }
+  if (!ImagifyCore.FIT_MODES.includes(values.fit)) {
+    throw new UsageError(`Unsupported fit mode "${values.fit}". Use one of: ${ImagifyCore.FIT_MODES.join(', ')}.`);
+  }
+  if (!ImagifyCore.RESAMPLING_FILTERS.includes(values.filter)) {
+    throw new UsageError(`Unsupported resampling filter "${values.filter}". Use one of: ${ImagifyCore.RESAMPLING_FILTERS.join(', ')}.`);
+  }
+  if (!ImagifyCore.parseColor(values.background)) {
+    throw new UsageError(`--background must be a hex color such as #ffffff or #fff, not "${values.background}".`);
+  }
+  const targetBytes = parseSize(values['target-size']);
+  const targetSsim = parseNumber(values['target-ssim'], 'target-ssim', { min: 0, max: 1 });
+  if (targetBytes !== null && targetSsim !== null) {
+    throw new UsageError('Use either --target-size or --target-ssim, not both.');
+  }
+  const target = targetBytes !== null
+    ? { mode: 'size', target: { bytes: targetBytes } }
+    : targetSsim !== null ? { mode: 'quality', target: { metric: 'ssim', value: targetSsim } } : null;
+  if (target && !format.lossy) {
+    throw new UsageError(`${format.label} is lossless, so there is no quality to search. Pick a lossy format.`);
+  }
+  if (positionals.length === 0) {
+    throw new UsageError('No input files given.');
+  }
+
+  return {
+    patterns: positionals,
+    formatName,
+    format,
+    quality: parseNumber(values.quality, 'quality', { min: 1, max: 100, integer: true }) ?? 80,
+    maxWidth: parseNumber(values['max-width'], 'max-width', { min: 1, integer: true }),
+    maxHeight: parseNumber(values['max-height'], 'max-height', { min: 1, integer: true }),
+    fit: values.fit,
+    filter: values.filter,
+    background: values.background,
+    target,
+    outDir: values['out-dir'] || null,
+    write: !values['no-write'],
+    json: values.json,
+    minPsnr: parseNumber(values['min-psnr'], 'min-psnr', { min: 0 }),
+    minSsim: parseNumber(values['min-ssim'], 'min-ssim', { min: 0, max: 1 })
+  };
+}
+
+// Glob -> RegExp over '/'-separated paths: ** spans directories, * and ? stay within one
+function globToRegExp(pattern) {
+  let source = '';
+  for (let i = 0; i < pattern.length; i++) {
+    const char = pattern[i];
+    if (char === '*' && pattern[i + 1] === '*') {
+      const slash = pattern[i + 2] === '/';
+      source += slash ? '(?:.*/)?' : '.*';
+      i += slash ? 2 : 1;
+    } else if (char === '*') {
+      source += '[^/]*';
+    } else if (char === '?') {
+      source += '[^/]';
+    } else if (char === '{') {
+      const end = pattern.indexOf('}', i);
+      if (end === -1) {
+        source += '\\{';
+        continue;
+      }
+      source += `(?:${pattern.slice(i + 1, end).split(',').map(globToRegExp).map(re => re.source.slice(1, -1)).join('|')})`;
+      i = end;
+    } else {
+      source += char.replace(/[.+^$()|[\]\\]/g, '\\$&');
+    }
+  }
+  return new RegExp(`^${source}$`);
+}
+
+function walk(dir, files = []) {
+  for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+    if (entry.name.startsWith('.') || entry.name === 'node_modules') continue;
+    const fullPath = path.join(dir, entry.name);
+    if (entry.isDirectory()) walk(fullPath, files);
+    else if (entry.isFile()) files.push(fullPath);
+  }
+  return files;
+}
+
+const isImage = file => IMAGE_EXTENSIONS.has(path.extname(file).toLowerCase());
+
+// Files, directories (every image below them) and globs -> unique { file, base } inputs, in argument order.
+// `base` is the directory the argument names (the part before the first wildcard for a glob, the parent
+// for a file); --out-dir keeps each file's path below it.
+function expandInputs(patterns) {
+  const inputs = new Map();
+  const add = (file, base) => {
+    const key = path.resolve(file);
+    if (!inputs.has(key)) inputs.set(key, { file, base });
+  };
+  for (const pattern of patterns) {
+    if (!/[*?{]/.test(pattern)) {
+      if (!fs.existsSync(pattern)) throw new UsageError(`No such file or directory: ${pattern}`);
+      if (fs.statSync(pattern).isDirectory()) walk(pattern).filter(isImage).sort().forEach(file => add(file, pattern));
+      else add(pattern, path.dirname(pattern));
+      continue;
+    }
+    const normalized = pattern.split(path.sep).join('/');
+    // Walk only from the part of the pattern before the first wildcard
+    const segments = normalized.split('/');
+    const firstMagic = segments.findIndex(segment => /[*?{]/.test(segment));
+    const base = segments.slice(0, firstMagic).join('/') || '.';
+    const matcher = globToRegExp(normalized.replace(/^\.\//, ''));
+    if (!fs.existsSync(base)) continue;
+    walk(base)
+      .map(file => file.split(path.sep).join('/'))
+      .filter(file => matcher.test(file.replace(/^\.\//, '')) && isImage(file))
+      .sort()
+      .forEach(file => add(file, base));
+  }
+  return [...inputs.values()];
+}
+
+function outputPath({ file, base }, quality, options) {
+  const { name } = path.parse(file);
+  const { ext } = options.format;
+  return options.outDir
+    ? path.join(options.outDir, path.relative(base, path.dirname(file)), `${name}.${ext}`)
+    : path.join(path.dirname(file), `${name}_compressed_q${quality}.${ext}`);
+}
+
+// Claims `output` for `file` in `claimed` (resolved output path -> input), refusing to overwrite the
+// input itself or another input's output
+function claimOutput(claimed, file, output) {
+  const resolved = path.resolve(output);
+  if (resolved === path.resolve(file)) {
+    throw new UsageError(`${file} would be overwritten by its own output.`);
+  }
+  const other = claimed.get(resolved);
+  if (other !== undefined && path.resolve(other) !== path.resolve(file)) {
+    throw new UsageError(`${file} and ${other} would both be written to ${output}.`);
+  }
+  claimed.set(resolved, file);
+}
+
+// Mirrors Imagify.compressImage(): resize, flatten transparency unless the format keeps it, then encode and score
+async function processFile({ file, base }, options, claimed) {
+  const input = fs.readFileSync(file);
+  const { width: originalWidth, height: originalHeight } = await encoder.uprightSize(input);
+  const plan = ImagifyCore.planResize(originalWidth, originalHeight, options);
+  const { width, height } = plan;
+  if (width === 0 || height === 0) {
+    throw new Error('Calculated compression dimensions are zero.');
+  }
+  const isResized = !ImagifyCore.isIdentityResize(plan, originalWidth, originalHeight);
+  const sourceHasAlpha = options.format.alpha && await encoder.hasAlpha(input);
+  const background = ImagifyCore.flattenColor(options.format, sourceHasAlpha, options.background);
+  const pixels = await encoder.toRGBA(input, { plan: isResized ? plan : null, background });
+  const coreOptions = { encoder, format: options.format, background };
+
+  let quality = options.quality;
+  let target = null;
+  if (options.target) {
+    const found = await ImagifyCore.findQualityForTarget(pixels, { ...coreOptions, ...options.target });
+    quality = found.quality;
+    target = { reached: found.reached, tries: found.tries };
+  }
+  const result = await ImagifyCore.compress(pixels, { ...coreOptions, quality, metrics: 'basic' });
+
+  let output = null;
+  if (options.write) {
+    output = outputPath({ file, base }, quality, options);
+    claimOutput(claimed, file, output);
+    fs.mkdirSync(path.dirname(output), { recursive: true });
+    fs.writeFileSync(output, result.encoded);
+  }
+
+  const failures = [];
+  if (options.minPsnr !== null && result.psnr < options.minPsnr) failures.push(`PSNR ${result.psnr.toFixed(2)} < ${options.minPsnr}`);
+  if (options.minSsim !== null && result.ssim < options.minSsim) failures.push(`SSIM ${result.ssim.toFixed(4)} < ${options.minSsim}`);
+  if (target && !target.reached) failures.push('target out of reach');
+
+  const { compressionRatio, sizeReduction } = ImagifyCore.sizeStats(input.length, result.size);
+  return {
+    file,
+    output,
+    format: options.formatName,
+    quality,
+    width,
+    height,
+    originalSize: input.length,
+    size: result.size,
+    compressionRatio: Number(compressionRatio.toFixed(2)),
+    sizeReduction: Number(sizeReduction.toFixed(1)),
+    psnr: Number(result.psnr.toFixed(2)),
+    ssim: Number(result.ssim.toFixed(4)),
+    target,
+    passed: failures.length === 0,
+    failures
+  };
+}
+
+// Same rounding as Imagify.formatFileSize()
+function formatFileSize(bytes) {
+  if (!bytes || bytes <= 0) return '0 B';
+  const k = 1024;
+  const sizes = ['B', 'KB', 'MB', 'GB'];
+  const i = Math.floor(Math.log(bytes) / Math.log(k));
+  return `${parseFloat((bytes / k ** i).toFixed(1))} ${sizes[i]}`;
+}
+
+function formatTable(results) {
+  const header = ['File', 'Quality', 'Original', 'Size', 'Ratio', 'PSNR', 'SSIM', 'Status'];
+  const rows = results.map(result => (result.error
+    ? [result.file, '-', '-', '-', '-', '-', '-', `ERROR ${result.error}`]
+    : [
+      result.file,
+      String(result.quality),
+      formatFileSize(result.originalSize),
+      formatFileSize(result.size),
+      `${result.compressionRatio.toFixed(1)}x`,
+      result.psnr >= 100 ? '∞' : result.psnr.toFixed(2),
+      result.ssim.toFixed(4),
+      result.passed ? 'ok' : `FAIL ${result.failures.join(', ')}`
+    ]));
+  const widths = header.map((title, column) => Math.max(title.length, ...rows.map(row => row[column].length)));
+  // Text columns align left, numbers right
+  const line = row => row.map((cell, column) => (column === 0 || column === row.length - 1
+    ? cell.padEnd(widths[column])
+    : cell.padStart(widths[column]))).join('  ').trimEnd();
+  return [line(header), widths.map(width => '-'.repeat(width)).join('  '), ...rows.map(line)].join('\n');
+}
+
+async function main(argv) {
+  let options;
+  try {
+    options = parseOptions(argv);
+  } catch (error) {
+    console.error(`imagify: ${error.message}\n\n${USAGE}`);
+    return 2;
+  }
+  if (options.help) {
+    process.stdout.write(`${USAGE}\n`);
+    return 0;
+  }
+
+  let inputs;
+  try {
+    inputs = expandInputs(options.patterns);
+  } catch (error) {
+    console.error(`imagify: ${error.message}`);
+    return 2;
+  }
+  if (inputs.length === 0) {
+    console.error('imagify: No images matched.');
+    return 2;
+  }
+  // Clashing outputs are caught before anything is written, unless a target search picks the quality in each name
+  if (options.write && (options.outDir || !options.target)) {
+    try {
+      const planned = new Map();
+      inputs.forEach(input => claimOutput(planned, input.file, outputPath(input, options.quality, options)));
+    } catch (error) {
+      console.error(`imagify: ${error.message}`);
+      return 2;
+    }
+  }
+
+  const claimed = new Map(); // Outputs written so far
+  const results = [];
+  for (const input of inputs) {
+    try {
+      results.push(await processFile(input, options, claimed));
+    } catch (error) {
+      results.push({ file: input.file, error: error.message });
+    }
+  }
+
+  process.stdout.write(`${options.json ? JSON.stringify(results, null, 2) : formatTable(results)}\n`);
+  if (results.some(result => result.error)) return 2;
+  return results.every(result => result.passed) ? 0 : 1;
+}
+
+if (require.main === module) {
+  main(process.argv.slice(2)).then(code => {
+    process.exitCode = code;
+  });
+}
@@ -0,0 +1,717 @@
+//imagify-core.js//
+// DOM-free core: compression, metrics and quality probing on plain RGBA buffers.
+// Used by the browser engine (with the canvas encoder) and by index.js (with the sharp encoder).
+//
+// RGBA buffers are ImageData-like objects: { data: RGBA bytes, width, height }.
+// Formats are { mime, lossy, alpha, label } as in OUTPUT_FORMATS; `alpha` formats can store transparency.
+// `palette` formats (PNG-8) also carry { colors, dither } and are encoded by ImagifyPalette on any encoder.
+// `scripted` formats (JPEG from imagify-jpeg.js) carry { subsampling, progressive, optimizeHuffman,
+// quantTables } and are encoded by ImagifyJpeg on any encoder, so every platform writes the same bytes.
+// Encoders implement:
+//   encode(rgba, format, quality) -> Promise<Blob | Buffer>
+//   decode(encoded, width, height, { background }) -> Promise<RGBA>, scaled to width × height and
+//     flattened onto `background` (a CSS color) when one is given
+// Long-running helpers take an optional `checkpoint()` that is called after every await;
+// throwing from it (e.g. ImagifyEngine's stale-job check) abandons the work.
+const ImagifyCore = (() => {
+    const Metrics = typeof ImagifyMetrics !== 'undefined' ? ImagifyMetrics : require('./imagify-metrics.js');
+    const Palette = typeof ImagifyPalette !== 'undefined' ? ImagifyPalette : require('./imagify-palette.js');
+    const Jpeg = typeof ImagifyJpeg !== 'undefined' ? ImagifyJpeg : require('./imagify-jpeg.js');
+
+    const noop = () => {};
+
+    // Bytes of a `scripted` format (see OUTPUT_FORMATS), which carries its encoder options
+    const encodeScriptedJpeg = (rgba, { subsampling, progressive, optimizeHuffman, quantTables }, quality) =>
+        Jpeg.encode(rgba, { quality, subsampling, progressive, optimizeHuffman, quantTables });
+    const sizeOf = encoded => (encoded.size !== undefined ? encoded.size : encoded.length);
+
+    const sinc = x => (x === 0 ? 1 : Math.sin(Math.PI * x) / (Math.PI * x));
+
+    // Resampling kernels by name; `support` is the kernel radius in source pixels at 1:1.
+    // Nearest has no kernel: it copies the source pixel under each output pixel's center.
+    const RESAMPLING_FILTERS = {
+        nearest: { support: 0, kernel: null },
+        bilinear: { support: 1, kernel: x => Math.max(0, 1 - Math.abs(x)) },
+        // Catmull-Rom (Keys, a = -0.5)
+        bicubic: {
+            support: 2,
+            kernel: x => {
+                x = Math.abs(x);
+                if (x < 1) return 1.5 * x ** 3 - 2.5 * x ** 2 + 1;
+                if (x < 2) return -0.5 * x ** 3 + 2.5 * x ** 2 - 4 * x + 2;
+                return 0;
+            }
+        },
+        lanczos3: { support: 3, kernel: x => (Math.abs(x) < 3 ? sinc(x) * sinc(x / 3) : 0) }
+    };
+
+    // Per-output-pixel taps along one axis for mapping [start, start + length) onto outLength pixels.
+    // When shrinking, the kernel is stretched by the scale factor so it also acts as the low-pass filter;
+    // taps outside the range are dropped (and the rest renormalized) so a crop never bleeds in neighbors.
+    function resampleWeights(start, length, outLength, filterName) {
+        const filter = RESAMPLING_FILTERS[filterName] || RESAMPLING_FILTERS.lanczos3;
+        const scale = length / outLength;
+        const filterScale = Math.max(1, scale);
+        const support = filter.support * filterScale;
+        const maxTaps = filter.kernel ? Math.ceil(support) * 2 + 2 : 1;
+        const first = new Int32Array(outLength);
+        const count = new Int32Array(outLength);
+        const weights = new Float32Array(outLength * maxTaps);
+        const end = start + length - 1;
+
+        for (let i = 0; i < outLength; i++) {
+            const center = start + (i + 0.5) * scale;
+            if (!filter.kernel) {
+                first[i] = Math.min(end, Math.max(start, Math.floor(center)));
+                count[i] = 1;
+                weights[i * maxTaps] = 1;
+                continue;
+            }
+            const low = Math.max(start, Math.floor(center - support));
+            const high = Math.min(end, Math.ceil(center + support));
+            let sum = 0;
+            for (let j = low; j <= high; j++) {
+                const weight = filter.kernel((j + 0.5 - center) / filterScale);
+                weights[i * maxTaps + j - low] = weight;
+                sum += weight;
+            }
+            first[i] = low;
+            count[i] = high - low + 1;
+            for (let k = 0; k < count[i]; k++) weights[i * maxTaps + k] /= sum || 1;
+        }
+        return { first, count, weights, maxTaps };
+    }
+
+    // Running-sum box blur of `values` (`channels` floats per pixel) along rows or columns, with the
+    // edge pixels repeated; three passes each way come close to a Gaussian
+    function boxBlurPass(values, width, height, channels, radius, horizontal) {
+        const output = new Float32Array(values.length);
+        const lines = horizontal ? height : width, length = horizontal ? width : height;
+        const step = (horizontal ? 1 : width) * channels, lineStep = (horizontal ? width : 1) * channels;
+        const span = 2 * radius + 1;
+        for (let line = 0; line < lines; line++) {
+            const start = line * lineStep;
+            const at = i => start + Math.min(length - 1, Math.max(0, i)) * step;
+            for (let c = 0; c < channels; c++) {
+                let sum = 0;
+                for (let i = -radius; i <= radius; i++) sum += values[at(i) + c];
+                for (let i = 0; i < length; i++) {
+                    output[start + i * step + c] = sum / span;
+                    sum += values[at(i + radius + 1) + c] - values[at(i - radius) + c];
+                }
+            }
+        }
+        return output;
+    }
+
+    function boxBlur(values, width, height, channels, radius) {
+        let blurred = values;
+        for (let pass = 0; pass < 3; pass++) {
+            blurred = boxBlurPass(blurred, width, height, channels, radius, true);
+            blurred = boxBlurPass(blurred, width, height, channels, radius, false);
+        }
+        return blurred;
+    }
+
+    const toColor = background => {
+        const color = ImagifyCore.parseColor(background);
+        if (!color) {
+            throw new Error(`Invalid background color "${background}". Use #rgb or #rrggbb.`);
+        }
+        return color;
+    };
+
+    const clampRect = ({ x, y, width, height }, maxWidth, maxHeight) => {
+        const left = Math.min(maxWidth - 1, Math.max(0, Math.round(x)));
+        const top = Math.min(maxHeight - 1, Math.max(0, Math.round(y)));
+        return {
+            x: left,
+            y: top,
+            width: Math.max(1, Math.min(maxWidth - left, Math.round(width))),
+            height: Math.max(1, Math.min(maxHeight - top, Math.round(height)))
+        };
+    };
+
+    return {
+        // Output formats of the web UI (which relabels a few), index.js and imagify-cli.js, keyed by the name users type
+        OUTPUT_FORMATS: {
+            jpeg: { mime: 'image/jpeg', ext: 'jpg', label: 'JPEG', lossy: true, alpha: false },
+            webp: { mime: 'image/webp', ext: 'webp', label: 'WebP', lossy: true, alpha: true },
+            avif: { mime: 'image/avif', ext: 'avif', label: 'AVIF', lossy: true, alpha: true },
+            png: { mime: 'image/png', ext: 'png', label: 'PNG', lossy: false, alpha: true },
+            png8: { mime: 'image/png', ext: 'png', label: 'PNG-8', lossy: true, alpha: true, palette: true, colors: 256, dither: true },
+            // JPEG written by imagify-jpeg.js rather than the platform encoder, with its options
+            jpegjs: {
+                mime: 'image/jpeg', ext: 'jpg', label: 'JPEG (Imagify encoder)', lossy: true, alpha: false,
+                scripted: true, subsampling: '4:2:0', progressive: true, optimizeHuffman: true, quantTables: null
+            }
+        },
+
+        // What transparent sources are flattened onto when the output format cannot keep their alpha
+        DEFAULT_BACKGROUND: '#ffffff',
+
+        // '#rgb' or '#rrggbb' -> [r, g, b]; null for anything else
+        parseColor(color) {
+            const match = /^#([0-9a-f]{3}|[0-9a-f]{6})$/i.exec(String(color).trim());
+            if (!match) return null;
+            const hex = match[1].length === 3 ? match[1].replace(/./g, digit => digit + digit) : match[1];
+            return [0, 2, 4].map(i => parseInt(hex.slice(i, i + 2), 16));
+        },
+
+        // True when any pixel is not fully opaque
+        hasAlpha({ data }) {
+            for (let i = 3; i < data.length; i += 4) {
+                if (data[i] !== 255) return true;
+            }
+            return false;
+        },
+
+        // MIME type of an image file from its leading bytes (see SNIFF_BYTES), or null for anything but
+        // JPEG, PNG, GIF, WebP and AVIF. The server checks uploads this way rather than trusting their declared type.
+        SNIFF_BYTES: 64,
+        sniffImageType(bytes) {
+            const ascii = (start, end) => String.fromCharCode(...bytes.subarray(start, Math.min(end, bytes.length)));
+            if (bytes[0] === 0xFF && bytes[1] === 0xD8 && bytes[2] === 0xFF) return 'image/jpeg';
+            if (ascii(0, 8) === '\x89PNG\r\n\x1a\n') return 'image/png';
+            if (ascii(0, 6) === 'GIF87a' || ascii(0, 6) === 'GIF89a') return 'image/gif';
+            if (ascii(0, 4) === 'RIFF' && ascii(8, 12) === 'WEBP') return 'image/webp';
+            if (ascii(4, 8) === 'ftyp') {
+                // ISO-BMFF 'ftyp' box: major brand, minor version, then compatible brands to the box end
+                const end = Math.min(bytes.length, ((bytes[0] << 24) | (bytes[1] << 16) | (bytes[2] << 8) | bytes[3]) >>> 0);
+                for (let offset = 8; offset + 4 <= end; offset += 4) {
+                    if (offset !== 12 && /^avi[fs]$/.test(ascii(offset, offset + 4))) return 'image/avif';
+                }
+            }
+            return null;
+        },
+
+        // Color to flatten the source onto for `format`, or null when the output keeps the source's alpha.
+        // Opaque sources get the color too: flattening leaves them unchanged, but it still fills letterboxing.
+        flattenColor(format, sourceHasAlpha, background = ImagifyCore.DEFAULT_BACKGROUND) {
+            return sourceHasAlpha && format.alpha ? null : background;
+        },
+
+        // Composites straight-alpha RGBA over an opaque `background` color; opaque input is returned as is
+        flatten(rgba, background) {
+            const color = toColor(background);
+            if (!ImagifyCore.hasAlpha(rgba)) return rgba;
+            const src = rgba.data;
+            const data = new Uint8ClampedArray(src.length);
+            for (let i = 0; i < src.length; i += 4) {
+                const alpha = src[i + 3] / 255;
+                data[i] = src[i] * alpha + color[0] * (1 - alpha);
+                data[i + 1] = src[i + 1] * alpha + color[1] * (1 - alpha);
+                data[i + 2] = src[i + 2] * alpha + color[2] * (1 - alpha);
+                data[i + 3] = 255;
+            }
+            return { data, width: rgba.width, height: rgba.height };
+        },
+
+        // The full upright source as one output sees it: resized by `plan`, then flattened onto `background`
+        // (see flattenColor()), or left transparent when it is null. Letterboxing takes the same color.
+        prepareSource(rgba, plan, background) {
+            if (!background) return ImagifyCore.resizePixels(rgba, plan, [0, 0, 0, 0]);
+            return ImagifyCore.flatten(ImagifyCore.resizePixels(rgba, plan, [...toColor(background), 255]), background);
+        },
+
+        // Aspect-preserving fit inside optional max dimensions; never upscales
+        fitWithin(width, height, maxWidth, maxHeight) {
+            if (!width || !height) return { width: 0, height: 0 };
+            const ratio = Math.min((maxWidth || width) / width, (maxHeight || height) / height, 1);
+            return {
+                width: Math.max(1, Math.round(width * ratio)),
+                height: Math.max(1, Math.round(height * ratio))
+            };
+        },
+
+        // Option lists for the UI and the Node tools; the first entry is the default
+        RESAMPLING_FILTERS: ['lanczos3', 'bicubic', 'bilinear', 'nearest'],
+        FIT_MODES: ['contain', 'cover', 'fill', 'exact'],
+
+        // Where the (upright) source goes in the output. The optional `crop` picks the source region first;
+        // maxWidth/maxHeight are the 1x box, multiplied by `scale` for 2x/3x variants. Fit modes:
+        //   contain  whole region inside the box, never enlarged (the original behavior)
+        //   cover    box filled exactly, overflow cropped around the center
+        //   fill     box filled exactly, aspect ratio ignored
+        //   exact    box size exactly, the whole region scaled to fit and letterboxed
+        // With one bound set, cover, fill and exact scale to it and keep the aspect ratio.
+        // Returns { width, height, source: rect, target: rect, filter }: `source` (in source pixels) is
+        // resampled into `target` (in output pixels); output outside `target` is padding.
+        planResize(sourceWidth, sourceHeight, { maxWidth = null, maxHeight = null, fit = 'contain', crop = null, scale = 1, filter = 'lanczos3' } = {}) {
+            if (!sourceWidth || !sourceHeight) return { width: 0, height: 0 };
+            const region = crop ? clampRect(crop, sourceWidth, sourceHeight) : { x: 0, y: 0, width: sourceWidth, height: sourceHeight };
+            const boxWidth = maxWidth ? Math.round(maxWidth * scale) : null;
+            const boxHeight = maxHeight ? Math.round(maxHeight * scale) : null;
+            const aspect = region.width / region.height;
+            let width, height, source = region, target = null;
+
+            if ((!boxWidth && !boxHeight) || fit === 'contain') {
+                ({ width, height } = ImagifyCore.fitWithin(region.width, region.height, boxWidth, boxHeight));
+            } else if (!boxWidth || !boxHeight) {
+                width = boxWidth || Math.max(1, Math.round(boxHeight * aspect));
+                height = boxHeight || Math.max(1, Math.round(boxWidth / aspect));
+            } else {
+                width = boxWidth;
+                height = boxHeight;
+                const boxAspect = boxWidth / boxHeight;
+                if (fit === 'cover' && aspect > boxAspect) {
+                    const cropWidth = Math.max(1, Math.round(region.height * boxAspect));
+                    source = { ...region, x: region.x + Math.floor((region.width - cropWidth) / 2), width: cropWidth };
+                } else if (fit === 'cover') {
+                    const cropHeight = Math.max(1, Math.round(region.width / boxAspect));
+                    source = { ...region, y: region.y + Math.floor((region.height - cropHeight) / 2), height: cropHeight };
+                } else if (fit === 'exact') {
+                    const ratio = Math.min(boxWidth / region.width, boxHeight / region.height);
+                    const targetWidth = Math.max(1, Math.round(region.width * ratio));
+                    const targetHeight = Math.max(1, Math.round(region.height * ratio));
+                    target = {
+                        x: Math.floor((boxWidth - targetWidth) / 2),
+                        y: Math.floor((boxHeight - targetHeight) / 2),
+                        width: targetWidth,
+                        height: targetHeight
+                    };
+                }
+            }
+            return { width, height, source, target: target || { x: 0, y: 0, width, height }, filter };
+        },
+
+        // True when a plan hands back the source unchanged
+        isIdentityResize(plan, sourceWidth, sourceHeight) {
+            const { source, target } = plan;
+            return plan.width === sourceWidth && plan.height === sourceHeight
+                && source.x === 0 && source.y === 0 && source.width === sourceWidth && source.height === sourceHeight
+                && target.x === 0 && target.y === 0 && target.width === plan.width && target.height === plan.height;
+        },
+
+        // Applies a planResize() plan to the full upright source. Separable resampling in premultiplied
+        // alpha (so transparent pixels don't darken their neighbors); padding is `background` RGBA.
+        resizePixels(rgba, plan, background = [255, 255, 255, 255]) {
+            if (ImagifyCore.isIdentityResize(plan, rgba.width, rgba.height)) return rgba;
+            const { source, target } = plan;
+            const src = rgba.data;
+            const horizontal = resampleWeights(source.x, source.width, target.width, plan.filter);
+            const vertical = resampleWeights(source.y, source.height, target.height, plan.filter);
+
+            // Horizontal pass: every source row of the region -> target.width premultiplied pixels
+            const rowLength = target.width * 4;
+            const temp = new Float32Array(rowLength * source.height);
+            for (let row = 0; row < source.height; row++) {
+                const srcRow = (source.y + row) * rgba.width * 4;
+                const tempRow = row * rowLength;
+                for (let x = 0; x < target.width; x++) {
+                    const taps = horizontal.count[x];
+                    const offset = x * horizontal.maxTaps;
+                    let r = 0, g = 0, b = 0, a = 0;
+                    let index = srcRow + horizontal.first[x] * 4;
+                    for (let k = 0; k < taps; k++, index += 4) {
+                        const weight = horizontal.weights[offset + k] * src[index + 3];
+                        r += src[index] * weight;
+                        g += src[index + 1] * weight;
+                        b += src[index + 2] * weight;
+                        a += weight;
+                    }
+                    const out = tempRow + x * 4;
+                    temp[out] = r;
+                    temp[out + 1] = g;
+                    temp[out + 2] = b;
+                    temp[out + 3] = a;
+                }
+            }
+
+            // Vertical pass straight into the output, un-premultiplying as it goes
+            const data = new Uint8ClampedArray(plan.width * plan.height * 4);
+            const hasPadding = target.width !== plan.width || target.height !== plan.height;
+            if (hasPadding) {
+                for (let i = 0; i < data.length; i += 4) data.set(background, i);
+            }
+            for (let y = 0; y < target.height; y++) {
+                const taps = vertical.count[y];
+                const offset = y * vertical.maxTaps;
+                const firstRow = vertical.first[y] - source.y;
+                const outRow = ((target.y + y) * plan.width + target.x) * 4;
+                for (let x = 0; x < rowLength; x += 4) {
+                    let r = 0, g = 0, b = 0, a = 0;
+                    let index = firstRow * rowLength + x;
+                    for (let k = 0; k < taps; k++, index += rowLength) {
+                        const weight = vertical.weights[offset + k];
+                        r += temp[index] * weight;
+                        g += temp[index + 1] * weight;
+                        b += temp[index + 2] * weight;
+                        a += temp[index + 3] * weight;
+                    }
+                    const out = outRow + x;
+                    if (a > 0) {
+                        data[out] = r / a;
+                        data[out + 1] = g / a;
+                        data[out + 2] = b / a;
+                    }
+                    data[out + 3] = a;
+                }
+            }
+            return { data, width: plan.width, height: plan.height };
+        },
+
+        // A region-of-interest mask ({ width, height, data: 0-255 per pixel }, stretched over the whole
+        // upright source) sampled onto the output of a planResize() plan: 0-255 per output pixel, with
+        // padding outside the region
+        roiMaskForPlan(mask, plan, sourceWidth, sourceHeight) {
+            const { source, target } = plan;
+            const output = new Uint8Array(plan.width * plan.height);
+            const scaleX = mask.width / sourceWidth, scaleY = mask.height / sourceHeight;
+            for (let y = 0; y < target.height; y++) {
+                const sourceY = source.y + ((y + 0.5) * source.height) / target.height;
+                const row = Math.min(mask.height - 1, Math.floor(sourceY * scaleY)) * mask.width;
+                const outRow = (target.y + y) * plan.width + target.x;
+                for (let x = 0; x < target.width; x++) {
+                    const sourceX = source.x + ((x + 0.5) * source.width) / target.width;
+                    output[outRow + x] = mask.data[row + Math.min(mask.width - 1, Math.floor(sourceX * scaleX))];
+                }
+            }
+            return output;
+        },
+
+        // `rgba` with everything outside the region of `mask` (see roiMaskForPlan()) blurred by about
+        // `radius` pixels, so the encoder spends fewer bytes there. The region itself is untouched and
+        // the blur fades in past its edge, so no seam shows. Blurs in premultiplied alpha, as
+        // resizePixels() resamples.
+        smoothOutsideRoi(rgba, mask, radius) {
+            const { data, width, height } = rgba;
+            radius = Math.max(1, Math.round(radius));
+            const premultiplied = new Float32Array(data.length);
+            for (let i = 0; i < data.length; i += 4) {
+                const alpha = data[i + 3] / 255;
+                premultiplied[i] = data[i] * alpha;
+                premultiplied[i + 1] = data[i + 1] * alpha;
+                premultiplied[i + 2] = data[i + 2] * alpha;
+                premultiplied[i + 3] = data[i + 3];
+            }
+            const blurred = boxBlur(premultiplied, width, height, 4, radius);
+            const feather = boxBlur(Float32Array.from(mask), width, height, 1, radius);
+
+            const output = new Uint8ClampedArray(data.length);
+            for (let p = 0, i = 0; p < mask.length; p++, i += 4) {
+                const keep = Math.max(mask[p], feather[p]) / 255;
+                const alpha = blurred[i + 3];
+                for (let c = 0; c < 3; c++) {
+                    const smooth = alpha > 0 ? (blurred[i + c] * 255) / alpha : 0;
+                    output[i + c] = data[i + c] * keep + smooth * (1 - keep);
+                }
+                output[i + 3] = data[i + 3] * keep + alpha * (1 - keep);
+            }
+            return { data: output, width, height };
+        },
+
+        // Compression ratio (original ÷ compressed) and size reduction in percent
+        sizeStats(originalSize, compressedSize) {
+            return {
+                compressionRatio: originalSize > 0 && compressedSize > 0 ? originalSize / compressedSize : 1,
+                sizeReduction: originalSize > 0 ? Math.max(0, ((originalSize - compressedSize) / originalSize) * 100) : 0
+            };
+        },
+
+        psnr: (original, compressed) => Metrics.calculatePSNR(original, compressed),
+        ssim: (original, compressed) => Metrics.calculateSSIM(original, compressed),
+        diffMap: (original, compressed, mode = 'rgb') => Metrics.computeHeatMap(original, compressed, mode),
+        heatMapValues: (original, compressed, mode = 'rgb') => Metrics.heatMapValues(original, compressed, mode),
+        colorizeHeatMap: (values, mode = 'rgb', options = {}) => Metrics.colorizeHeatMap(values, mode, options),
+        HEATMAP_MODES: Metrics.HEATMAP_MODES,
+
+        // Every metric the metrics panel shows
+        measure(original, compressed) {
+            const ssim = Metrics.calculateSSIM(original, compressed);
+            return {
+                psnr: Metrics.calculatePSNR(original, compressed),
+                psnrChannels: Metrics.calculateChannelPSNR(original, compressed),
+                ssim,
+                msssim: Metrics.calculateMSSSIM(original, compressed),
+                dssim: Metrics.calculateDSSIM(ssim),
+                deltaE: Metrics.calculateDeltaE(original, compressed)
+            };
+        },
+
+        // Encodes `rgba` (or takes an already `encoded` file, e.g. the untouched original) and decodes it
+        // again. `metrics`: false, 'basic' (PSNR and SSIM) or 'full' (see measure()), taken against
+        // `reference` when the encoded pixels were altered on purpose (e.g. by smoothOutsideRoi()).
+        // With a `roi` mask (see roiMaskForPlan()), full metrics add `regions` (see ImagifyMetrics.calculateRegionMetrics()).
+        async compress(rgba, { encoder, format, quality, encoded = null, metrics = false, decode = true, background = null, reference = rgba, roi = null, checkpoint = noop }) {
+            const output = encoded || await encoder.encode(rgba, format, quality);
+            checkpoint();
+            const result = { encoded: output, size: sizeOf(output), width: rgba.width, height: rgba.height };
+            if (!decode && !metrics) return result;
+
+            result.decoded = await encoder.decode(output, rgba.width, rgba.height, { background });
+            checkpoint();
+            if (metrics === 'basic') {
+                result.psnr = Metrics.calculatePSNR(reference, result.decoded);
+                result.ssim = Metrics.calculateSSIM(reference, result.decoded);
+            } else if (metrics) {
+                Object.assign(result, ImagifyCore.measure(reference, result.decoded));
+                if (roi) result.regions = Metrics.calculateRegionMetrics(reference, result.decoded, roi);
+            }
+            return result;
+        },
+
+        // Size (and optionally PSNR/SSIM) at one quality
+        async probe(rgba, { encoder, format, quality, score = false, background = null, checkpoint = noop }) {
+            const { size, psnr, ssim } = await ImagifyCore.compress(rgba, {
+                encoder, format, quality, metrics: score ? 'basic' : false, decode: score, background, checkpoint
+            });
+            return score ? { quality, size, psnr, ssim } : { quality, size };
+        },
+
+        // Finds the quality from which re-encoding exceeds the original size (101 = no dead zone).
+        // `log(message)` hears about each probe; nothing is logged by default.
+        async findDeadZone(rgba, { encoder, format, originalSize, checkpoint = noop, log = noop }) {
+            // Lossless output has a single possible size, so one probe settles it
+            const testQualities = format.lossy ? [99, 98, 97, 96, 95, 94, 93, 92, 91, 90, 88, 85, 80, 75, 70] : [100];
+            let thresholdQuality = 101;
+
+            for (const quality of testQualities) {
+                let size;
+                try {
+                    size = sizeOf(await encoder.encode(rgba, format, quality));
+                } catch (error) {
+                    log(`(DZ Check) Quality ${quality}: encoding failed: ${error.message}`);
+                    thresholdQuality = quality + 1;
+                    break;
+                }
+                checkpoint();
+
+                if (!format.lossy) {
+                    thresholdQuality = size > originalSize ? 1 : 101;
+                    log(`(DZ Check) Lossless ${format.label}: Size ${size} vs Original ${originalSize}.`);
+                    break;
+                }
+                if (size > originalSize) {
+                    thresholdQuality = quality;
+                    log(`(DZ Check) Quality ${quality}: Size ${size} > Original ${originalSize}. Threshold might be here or lower.`);
+                } else {
+                    thresholdQuality = quality + 1;
+                    log(`(DZ Check) Quality ${quality}: Size ${size} <= Original ${originalSize}. Dead zone starts at ${thresholdQuality}.`);
+                    break;
+                }
+            }
+            thresholdQuality = Math.max(1, Math.min(thresholdQuality, 101));
+            log(`Final dead zone threshold determined to start at quality: ${thresholdQuality}`);
+            return thresholdQuality;
+        },
+
+        // Samples size, PSNR and SSIM across the given qualities (the dead-zone loop, without stopping early)
+        async sampleQualityCurve(rgba, { encoder, format, qualities, background = null, checkpoint = noop }) {
+            const points = [];
+            // Lossless output does not vary with quality, so a single sample describes it
+            for (const quality of format.lossy ? qualities : [100]) {
+                points.push(await ImagifyCore.probe(rgba, { encoder, format, quality, score: true, background, checkpoint }));
+            }
+            return { points, kneeQuality: ImagifyCore.findKnee(points) };
+        },
+
+        // Knee of the size curve: the sample farthest from the chord joining the first and last samples,
+        // with quality and size both normalized to 0-1. Past it, each quality step costs noticeably more bytes.
+        findKnee(points) {
+            if (points.length < 3) return null;
+            const first = points[0], last = points[points.length - 1];
+            const sizes = points.map(point => point.size);
+            const minSize = Math.min(...sizes), sizeRange = Math.max(...sizes) - minSize || 1;
+            const qualityRange = (last.quality - first.quality) || 1;
+            const normalize = point => ({ x: (point.quality - first.quality) / qualityRange, y: (point.size - minSize) / sizeRange });
+
+            const a = normalize(first), b = normalize(last);
+            const chordLength = Math.hypot(b.x - a.x, b.y - a.y) || 1;
+            let kneeQuality = null, maxDistance = 0;
+            for (const point of points.slice(1, -1)) {
+                const p = normalize(point);
+                const distance = Math.abs((b.y - a.y) * p.x - (b.x - a.x) * p.y + b.x * a.y - b.y * a.x) / chordLength;
+                if (distance > maxDistance) {
+                    maxDistance = distance;
+                    kneeQuality = point.quality;
+                }
+            }
+            return kneeQuality;
+        },
+
+        // Binary-searches encoder quality against a size budget ("size") or a minimum PSNR/SSIM ("quality").
+        // Uses the same encode-many probing (and `log` option) as findDeadZone().
+        async findQualityForTarget(rgba, { encoder, format, mode, target, background = null, checkpoint = noop, log = noop }) {
+            if (!format.lossy) {
+                throw new Error(`${format.label} is lossless, so there is no quality to search. Pick a lossy format.`);
+            }
+            const probes = new Map(); // quality -> probe result; its size is the try count
+
+            const probe = async quality => {
+                if (probes.has(quality)) return probes.get(quality);
+                const result = await ImagifyCore.probe(rgba, { encoder, format, quality, score: mode === 'quality', background, checkpoint });
+                log(`(Target Search) Quality ${quality}: Size ${result.size}` + (mode === 'quality' ? `, PSNR ${result.psnr.toFixed(2)}, SSIM ${result.ssim.toFixed(4)}` : ''));
+                probes.set(quality, result);
+                return result;
+            };
+            const meetsTarget = result => (mode === 'size' ? result.size <= target.bytes : result[target.metric] >= target.value);
+
+            // Size wants the highest quality under budget; quality wants the lowest quality over the bar
+            let low = 1, high = 100, best = null;
+            while (low <= high) {
+                const mid = Math.floor((low + high) / 2);
+                const result = await probe(mid);
+                if (meetsTarget(result)) {
+                    best = result;
+                    if (mode === 'size') low = mid + 1; else high = mid - 1;
+                } else if (mode === 'size') {
+                    high = mid - 1;
+                } else {
+                    low = mid + 1;
+                }
+            }
+
+            const reached = best !== null;
+            if (!reached) {
+                // Closest achievable: smallest file for a size budget, best fidelity for a quality bar
+                best = await probe(mode === 'size' ? 1 : 100);
+            }
+            return { ...best, reached, tries: probes.size };
+        },
+
+        // Browser encoder on OffscreenCanvas (or a <canvas> on the main thread)
+        createCanvasEncoder() {
+            const uploaded = new WeakMap(); // rgba -> canvas holding it, so probing loops upload pixels once
+            const createCanvas = (width, height) => {
+                if (typeof OffscreenCanvas !== 'undefined') return new OffscreenCanvas(width, height);
+                const canvas = document.createElement('canvas');
+                canvas.width = width;
+                canvas.height = height;
+                return canvas;
+            };
+
+            return {
+                createCanvas,
+
+                toCanvas(rgba) {
+                    let canvas = uploaded.get(rgba);
+                    if (!canvas) {
+                        canvas = createCanvas(rgba.width, rgba.height);
+                        canvas.getContext('2d').putImageData(new ImageData(rgba.data, rgba.width, rgba.height), 0, 0);
+                        uploaded.set(rgba, canvas);
+                    }
+                    return canvas;
+                },
+
+                // Browsers silently fall back to PNG for encoders they lack, so the blob type is checked
+                async encode(rgba, format, quality) {
+                    if (format.palette) {
+                        const { colors, dither } = format;
+                        return new Blob([await Palette.encode(rgba, { colors, dither, quality })], { type: format.mime });
+                    }
+                    if (format.scripted) {
+                        return new Blob([encodeScriptedJpeg(rgba, format, quality)], { type: format.mime });
+                    }
+                    const canvas = this.toCanvas(rgba);
+                    const blob = canvas.convertToBlob
+                        ? await canvas.convertToBlob({ type: format.mime, quality: quality / 100 })
+                        : await new Promise(resolve => canvas.toBlob(resolve, format.mime, quality / 100));
+                    if (!blob) {
+                        throw new Error('Failed to compress image.');
+                    }
+                    if (blob.type !== format.mime) {
+                        throw new Error(`${format.label} encoding is not supported by this browser.`);
+                    }
+                    return blob;
+                },
+
+                async decode(blob, width, height, { background = null } = {}) {
+                    const bitmap = await createImageBitmap(blob);
+                    try {
+                        const canvas = createCanvas(width, height);
+                        const ctx = canvas.getContext('2d');
+                        if (background) {
+                            ctx.fillStyle = background;
+                            ctx.fillRect(0, 0, width, height);
+                        }
+                        ctx.drawImage(bitmap, 0, 0, width, height);
+                        return ctx.getImageData(0, 0, width, height);
+                    } finally {
+                        bitmap.close();
+                    }
+                }
+            };
+        },
+
+        // Node encoder backed by sharp (passed in, so the browser build never requires it)
+        createSharpEncoder(sharp) {
+            const SHARP_KERNELS = { nearest: 'nearest', bilinear: 'linear', bicubic: 'cubic', lanczos3: 'lanczos3' };
+
+            return {
+                async encode(rgba, format, quality) {
+                    if (format.palette) {
+                        const { colors, dither } = format;
+                        return Buffer.from(await Palette.encode(rgba, { colors, dither, quality }));
+                    }
+                    if (format.scripted) {
+                        return Buffer.from(encodeScriptedJpeg(rgba, format, quality));
+                    }
+                    const raw = Buffer.from(rgba.data.buffer, rgba.data.byteOffset, rgba.data.byteLength);
+                    let pipeline = sharp(raw, { raw: { width: rgba.width, height: rgba.height, channels: 4 } });
+                    if (!ImagifyCore.hasAlpha(rgba)) pipeline = pipeline.removeAlpha(); // Keeps PNG output RGB
+                    switch (format.mime) {
+                        case 'image/webp': return pipeline.webp({ quality }).toBuffer();
+                        case 'image/avif': return pipeline.avif({ quality }).toBuffer();
+                        case 'image/png': return pipeline.png().toBuffer(); // Lossless: quality does not apply
+                        case 'image/jpeg': return pipeline.jpeg({ quality }).toBuffer();
+                        default: throw new Error(`Unsupported output format: ${format.mime}`);
+                    }
+                },
+
+                async decode(buffer, width, height, { background = null } = {}) {
+                    let pipeline = sharp(buffer).rotate();
+                    if (background) pipeline = pipeline.flatten({ background });
+                    const { data, info } = await pipeline
+                        .resize(width, height, { fit: 'fill' })
+                        .ensureAlpha()
+                        .raw()
+                        .toBuffer({ resolveWithObject: true });
+                    return { data: new Uint8ClampedArray(data.buffer, data.byteOffset, data.length), width: info.width, height: info.height };
+                },
+
+                // Whether any pixel is transparent (an alpha channel alone does not count)
+                async hasAlpha(input) {
+                    const { isOpaque } = await sharp(input).stats();
+                    return !isOpaque;
+                },
+
+                // Dimensions after EXIF orientation: 5-8 swap the axes once rotate() applies them,
+                // as the browser's <img> decode does
+                async uprightSize(input) {
+                    const { width, height, orientation } = await sharp(input).metadata();
+                    return orientation >= 5 ? { width: height, height: width } : { width, height };
+                },
+
+                // Upright RGBA pixels of any input sharp reads, optionally resized by a planResize() plan
+                // (with sharp's own kernels, matching resizePixels()) and flattened as prepareSource() does
+                async toRGBA(input, { plan = null, background = null } = {}) {
+                    let pipeline = sharp(input).rotate();
+                    if (plan) {
+                        const { source, target } = plan;
+                        pipeline = pipeline
+                            .extract({ left: source.x, top: source.y, width: source.width, height: source.height })
+                            .resize(target.width, target.height, { fit: 'fill', kernel: SHARP_KERNELS[plan.filter] || 'lanczos3' });
+                        if (target.width !== plan.width || target.height !== plan.height) {
+                            pipeline = pipeline.extend({
+                                top: target.y,
+                                left: target.x,
+                                bottom: plan.height - target.y - target.height,
+                                right: plan.width - target.x - target.width,
+                                background: background || { r: 0, g: 0, b: 0, alpha: 0 }
+                            });
+                        }
+                    }
+                    if (background) pipeline = pipeline.flatten({ background });
+                    const { data, info } = await pipeline.ensureAlpha().raw().toBuffer({ resolveWithObject: true });
+                    return { data: new Uint8ClampedArray(data.buffer, data.byteOffset, data.length), width: info.width, height: info.height };
+                }
+            };
+        }
+    };
+})();
+
+// Node (server, CLI) loads the same core through require()
+if (typeof module === 'object' && module.exports) {
+    module.exports = ImagifyCore;
+}
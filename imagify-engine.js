@@ -0,0 +1,347 @@
+//imagify-engine.js//
+// Compression engine: owns decoded sources and cancellable jobs, and runs ImagifyCore's
+// compression, metrics and quality probing on them with the canvas encoder.
+// ImagifyEngine runs inside imagify-worker.js on OffscreenCanvas, or on the main thread
+// when workers are unavailable. ImagifyEngineClient is the main-thread side of the protocol.
+//
+// Message protocol (main -> engine): { id, type, channel, payload }
+//   Each job may name a `channel` ('preview', 'deadZone', ...). A newer job on the same
+//   channel supersedes the older one: the client rejects the old promise right away and
+//   the engine abandons the old job at its next await point.
+// Reply (engine -> main): { id, result } or { id, error: { name, message } }
+
+class ImagifyEngine {
+    constructor() {
+        this.sources = new Map(); // sourceId -> { bitmap, sourceType, pixels, hasAlpha, resized }
+        this.latestJobByChannel = new Map();
+        this.encoder = ImagifyCore.createCanvasEncoder();
+    }
+
+    static abortError() {
+        const error = new Error('Job superseded by a newer request.');
+        error.name = 'AbortError';
+        return error;
+    }
+
+    static isAbortError(error) {
+        return !!error && error.name === 'AbortError';
+    }
+
+    // Dispatches one message; resolves to { result, transfer } for postMessage
+    async handle({ id, type, channel, payload }) {
+        if (channel) {
+            this.latestJobByChannel.set(channel, id);
+        }
+        const job = { id, channel };
+        let result;
+        switch (type) {
+            case 'cancel': // Registering the id above is all a cancel needs to do
+                result = null;
+                break;
+            case 'setSource':
+                result = this.setSource(payload);
+                break;
+            case 'releaseSource':
+                result = this.releaseSource(payload);
+                break;
+            case 'compress':
+                result = await this.compress(job, payload);
+                break;
+            case 'deadZone':
+                result = await this.findDeadZoneThreshold(job, payload);
+                break;
+            case 'targetSearch':
+                result = await this.findQualityForTarget(job, payload);
+                break;
+            case 'qualityCurve':
+                result = await this.sampleQualityCurve(job, payload);
+                break;
+            case 'compareSnapshots':
+                result = await this.compareSnapshots(job, payload);
+                break;
+            default:
+                throw new Error(`Unknown engine job type: ${type}`);
+        }
+        const transfer = [];
+        if (result && result.heatMap) transfer.push(result.heatMap.values.buffer);
+        if (result && result.preview) transfer.push(result.preview);
+        if (result && result.referencePreview) transfer.push(result.referencePreview);
+        if (result && result.fullSize) transfer.push(result.fullSize.original, result.fullSize.compressed);
+        return { result, transfer };
+    }
+
+    throwIfStale(job) {
+        if (job.channel && this.latestJobByChannel.get(job.channel) !== job.id) {
+            throw ImagifyEngine.abortError();
+        }
+    }
+
+    // Reads the pixels right away: whether the image has transparency decides how every job treats it
+    setSource({ sourceId, bitmap, sourceType }) {
+        this.releaseSource({ sourceId });
+        // pixels: full-size unflattened RGBA; resized: { key, pixels } for the last resize plan and
+        // background, shared by the preview, dead-zone and curve jobs that all run on the same settings
+        const pixels = this.getPixels(this.drawToCanvas(bitmap, bitmap.width, bitmap.height));
+        const hasAlpha = ImagifyCore.hasAlpha(pixels);
+        this.sources.set(sourceId, { bitmap, sourceType, pixels, hasAlpha, resized: null });
+        return { width: bitmap.width, height: bitmap.height, hasAlpha };
+    }
+
+    releaseSource({ sourceId }) {
+        const source = this.sources.get(sourceId);
+        if (source) {
+            source.bitmap.close();
+            this.sources.delete(sourceId);
+        }
+        return null;
+    }
+
+    getSource(sourceId) {
+        const source = this.sources.get(sourceId);
+        if (!source) {
+            throw new Error(`Unknown image source: ${sourceId}`);
+        }
+        return source;
+    }
+
+    createCanvas(width, height) {
+        return this.encoder.createCanvas(width, height);
+    }
+
+    // Draws an image at the given size, keeping its transparency
+    drawToCanvas(image, width, height) {
+        const canvas = this.createCanvas(width, height);
+        canvas.getContext('2d').drawImage(image, 0, 0, width, height);
+        return canvas;
+    }
+
+    getPixels(canvas) {
+        return canvas.getContext('2d').getImageData(0, 0, canvas.width, canvas.height);
+    }
+
+    // The source after a planResize() plan, flattened onto `background` unless it is null
+    // (see ImagifyCore.prepareSource()), as plain RGBA: the input every ImagifyCore call takes
+    getSourcePixels(source, plan, background) {
+        const key = JSON.stringify([plan, background]);
+        if (source.resized?.key !== key) {
+            source.resized = { key, pixels: ImagifyCore.prepareSource(source.pixels, plan, background) };
+        }
+        return source.resized.pixels;
+    }
+
+    // RGBA scaled for display (previews and heat maps only, so the browser's smoothing is fine here)
+    getDisplayPixels(rgba, display) {
+        return this.getPixels(this.drawToCanvas(this.encoder.toCanvas(rgba), display.width, display.height));
+    }
+
+    // Options shared by every ImagifyCore call made for `job`. Transparency is kept when `format` can
+    // store it; otherwise the source and the decoded output are flattened onto `background`.
+    coreOptions(job, source, format, background) {
+        return {
+            encoder: this.encoder,
+            format,
+            background: ImagifyCore.flattenColor(format, source.hasAlpha, background || undefined),
+            checkpoint: () => this.throwIfStale(job)
+        };
+    }
+
+    // Encodes the source resized by `resize` (an ImagifyCore.planResize() plan, as every job takes)
+    // unless `blob` is given (e.g. the untouched original), then decodes the
+    // result for metrics, a display-size preview bitmap and an optional heat map. `fullSize` adds
+    // full-resolution bitmaps of the reference and the decoded output for the comparison view.
+    // `roi` ({ mask, blur }, see ImagifyCore.roiMaskForPlan()) smooths everything outside the region
+    // before encoding; metrics, previews and heat maps still compare against the unsmoothed source.
+    async compress(job, { sourceId, resize, format, background, quality, blob, metrics, preview, heatMap, heatMapMode, heatMapFullSize, display, fullSize, roi }) {
+        const source = this.getSource(sourceId);
+        const options = this.coreOptions(job, source, format, background);
+        const originalData = this.getSourcePixels(source, resize, options.background);
+        const roiMask = roi && !blob ? ImagifyCore.roiMaskForPlan(roi.mask, resize, source.bitmap.width, source.bitmap.height) : null;
+        const hasDisplay = display && display.width > 0 && display.height > 0;
+        const fullSizeMap = !!heatMap && this.isFullSizeHeatMap(heatMapMode, heatMapFullSize);
+        const { encoded, decoded, ...scores } = await ImagifyCore.compress(roiMask ? ImagifyCore.smoothOutsideRoi(originalData, roiMask, roi.blur) : originalData, {
+            ...options,
+            quality,
+            reference: originalData,
+            roi: roiMask,
+            encoded: blob,
+            metrics: metrics ? 'full' : false,
+            decode: !!fullSize || fullSizeMap || (hasDisplay && !!(preview || heatMap))
+        });
+        const result = { blob: encoded, ...scores };
+        if (!decoded) return result; // Only the file was asked for
+        const compressedCanvas = this.encoder.toCanvas(decoded);
+
+        if (fullSizeMap) {
+            result.heatMap = this.buildHeatMap(originalData, decoded, heatMapMode);
+        }
+        if (hasDisplay && (preview || heatMap)) {
+            const displayCanvas = this.drawToCanvas(compressedCanvas, display.width, display.height);
+            if (heatMap && !fullSizeMap) {
+                result.heatMap = this.buildHeatMap(this.getDisplayPixels(originalData, display), this.getPixels(displayCanvas), heatMapMode);
+            }
+            if (preview) {
+                result.preview = await createImageBitmap(displayCanvas);
+            }
+        }
+
+        if (fullSize) {
+            // Exactly the pixels the metrics compared
+            result.fullSize = {
+                original: await createImageBitmap(this.encoder.toCanvas(originalData)),
+                compressed: await createImageBitmap(compressedCanvas)
+            };
+        }
+        return result;
+    }
+
+    // Heat maps are computed on the display-size pixels unless asked for at full size, or unless the
+    // type needs the encoded pixel grid (blockiness)
+    isFullSizeHeatMap(mode, fullSize) {
+        return !!fullSize || !!ImagifyCore.HEATMAP_MODES[mode]?.fullSize;
+    }
+
+    // Uncolored per-pixel values (see ImagifyMetrics.heatMapValues()); the app colors them, so
+    // threshold changes need no new job
+    buildHeatMap(original, compressed, mode) {
+        return { mode, width: original.width, height: original.height, values: ImagifyCore.heatMapValues(original, compressed, mode) };
+    }
+
+    // Two encoded files (pinned snapshots) against each other rather than against the source: both are
+    // decoded at width × height (B's size), B is scored against A, and the previews, heat map and
+    // full-size bitmaps come back as compress() returns them, with A's preview as `referencePreview`
+    async compareSnapshots(job, { a, b, width, height, heatMap, heatMapMode, heatMapFullSize, display, fullSize }) {
+        const [decodedA, decodedB] = await Promise.all([this.encoder.decode(a, width, height), this.encoder.decode(b, width, height)]);
+        this.throwIfStale(job);
+        const result = { psnr: ImagifyCore.psnr(decodedA, decodedB), ssim: ImagifyCore.ssim(decodedA, decodedB) };
+        const canvasA = this.encoder.toCanvas(decodedA);
+        const canvasB = this.encoder.toCanvas(decodedB);
+        const fullSizeMap = !!heatMap && this.isFullSizeHeatMap(heatMapMode, heatMapFullSize);
+
+        if (fullSizeMap) {
+            result.heatMap = this.buildHeatMap(decodedA, decodedB, heatMapMode);
+        }
+        if (display && display.width > 0 && display.height > 0) {
+            const displayA = this.drawToCanvas(canvasA, display.width, display.height);
+            const displayB = this.drawToCanvas(canvasB, display.width, display.height);
+            if (heatMap && !fullSizeMap) {
+                result.heatMap = this.buildHeatMap(this.getPixels(displayA), this.getPixels(displayB), heatMapMode);
+            }
+            result.referencePreview = await createImageBitmap(displayA);
+            result.preview = await createImageBitmap(displayB);
+        }
+        if (fullSize) {
+            result.fullSize = { original: await createImageBitmap(canvasA), compressed: await createImageBitmap(canvasB) };
+        }
+        return result;
+    }
+
+    async findDeadZoneThreshold(job, { sourceId, resize, format, background, originalSize }) {
+        const source = this.getSource(sourceId);
+        const options = this.coreOptions(job, source, format, background);
+        return ImagifyCore.findDeadZone(this.getSourcePixels(source, resize, options.background), {
+            ...options,
+            originalSize
+        });
+    }
+
+    async sampleQualityCurve(job, { sourceId, resize, format, background, qualities }) {
+        const source = this.getSource(sourceId);
+        const options = this.coreOptions(job, source, format, background);
+        return ImagifyCore.sampleQualityCurve(this.getSourcePixels(source, resize, options.background), {
+            ...options,
+            qualities
+        });
+    }
+
+    async findQualityForTarget(job, { sourceId, resize, format, background, mode, target }) {
+        const source = this.getSource(sourceId);
+        const options = this.coreOptions(job, source, format, background);
+        return ImagifyCore.findQualityForTarget(this.getSourcePixels(source, resize, options.background), {
+            ...options,
+            mode,
+            target
+        });
+    }
+}
+
+// Main-thread handle on the engine. Prefers the worker; falls back to running the engine
+// in-page when Worker/OffscreenCanvas are missing or the page is opened from file://.
+class ImagifyEngineClient {
+    constructor(workerUrl) {
+        this.nextJobId = 1;
+        this.pending = new Map(); // id -> { resolve, reject, channel }
+        this.worker = null;
+        this.localEngine = null;
+
+        const canUseWorker = typeof Worker !== 'undefined'
+            && typeof OffscreenCanvas !== 'undefined'
+            && typeof createImageBitmap !== 'undefined'
+            && location.protocol !== 'file:';
+        if (canUseWorker) {
+            try {
+                this.worker = new Worker(workerUrl);
+                this.worker.onmessage = e => this.settle(e.data.id, e.data.result, e.data.error);
+                this.worker.onerror = e => {
+                    console.error('Compression worker failed:', e.message || e);
+                    for (const id of [...this.pending.keys()]) {
+                        this.settle(id, null, { name: 'Error', message: 'The compression worker stopped unexpectedly.' });
+                    }
+                };
+            } catch (error) {
+                console.warn('Could not start compression worker, using the main thread:', error);
+                this.worker = null;
+            }
+        }
+        if (!this.worker) {
+            console.warn('Web Worker with OffscreenCanvas unavailable; compression runs on the main thread.');
+            this.localEngine = new ImagifyEngine();
+        }
+    }
+
+    run(type, payload, { channel = null, transfer = [] } = {}) {
+        const id = this.nextJobId++;
+        if (channel) {
+            this.abandonChannel(channel);
+        }
+        const promise = new Promise((resolve, reject) => this.pending.set(id, { resolve, reject, channel }));
+        const message = { id, type, channel, payload };
+
+        if (this.worker) {
+            this.worker.postMessage(message, transfer);
+        } else {
+            this.localEngine.handle(message).then(
+                ({ result }) => this.settle(id, result),
+                error => this.settle(id, null, error)
+            );
+        }
+        return promise;
+    }
+
+    // Stops whatever is running on a channel without starting anything new
+    cancel(channel) {
+        this.run('cancel', null, { channel }).catch(() => {});
+    }
+
+    // Rejects in-flight jobs of a channel so callers never see their stale results
+    abandonChannel(channel) {
+        for (const [id, job] of this.pending) {
+            if (job.channel === channel) {
+                this.pending.delete(id);
+                job.reject(ImagifyEngine.abortError());
+            }
+        }
+    }
+
+    settle(id, result, error) {
+        const job = this.pending.get(id);
+        if (!job) return; // Already abandoned
+        this.pending.delete(id);
+        if (error) {
+            const rebuilt = error instanceof Error ? error : new Error(error.message);
+            rebuilt.name = error.name || 'Error';
+            job.reject(rebuilt);
+        } else {
+            job.resolve(result);
+        }
+    }
+}
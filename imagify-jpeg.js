@@ -0,0 +1,534 @@
+//imagify-jpeg.js//
+// JPEG output written in JavaScript, DOM-free like imagify-core.js, so every browser, the worker and
+// the Node tools produce the same bytes for the same pixels (the platform encoders differ per browser
+// and offer only a quality knob).
+//
+// Options: chroma subsampling (4:4:4, 4:2:2 or 4:2:0, box-averaged), baseline or progressive
+// (spectral selection: a DC scan, then luma AC in two bands and each chroma component's AC), the
+// quantization tables (Annex K by default, or custom ones), and Huffman tables either from Annex K or
+// optimized per scan from the symbol counts of a first pass. Quality scales the tables as libjpeg
+// does, so quality 50 uses them as given. Colors are full-range BT.601 YCbCr (JFIF); alpha is ignored,
+// since the core flattens sources for formats without it.
+const ImagifyJpeg = (() => {
+    // Natural (row-major) index of each zigzag position
+    const ZIGZAG = new Uint8Array([
+        0, 1, 8, 16, 9, 2, 3, 10, 17, 24, 32, 25, 18, 11, 4, 5,
+        12, 19, 26, 33, 40, 48, 41, 34, 27, 20, 13, 6, 7, 14, 21, 28,
+        35, 42, 49, 56, 57, 50, 43, 36, 29, 22, 15, 23, 30, 37, 44, 51,
+        58, 59, 52, 45, 38, 31, 39, 46, 53, 60, 61, 54, 47, 55, 62, 63
+    ]);
+
+    // Annex K.1 quantization tables, natural order
+    const STANDARD_TABLES = {
+        luma: [
+            16, 11, 10, 16, 24, 40, 51, 61,
+            12, 12, 14, 19, 26, 58, 60, 55,
+            14, 13, 16, 24, 40, 57, 69, 56,
+            14, 17, 22, 29, 51, 87, 80, 62,
+            18, 22, 37, 56, 68, 109, 103, 77,
+            24, 35, 55, 64, 81, 104, 113, 92,
+            49, 64, 78, 87, 103, 121, 120, 101,
+            72, 92, 95, 98, 112, 100, 103, 99
+        ],
+        chroma: [
+            17, 18, 24, 47, 99, 99, 99, 99,
+            18, 21, 26, 66, 99, 99, 99, 99,
+            24, 26, 56, 99, 99, 99, 99, 99,
+            47, 66, 99, 99, 99, 99, 99, 99,
+            99, 99, 99, 99, 99, 99, 99, 99,
+            99, 99, 99, 99, 99, 99, 99, 99,
+            99, 99, 99, 99, 99, 99, 99, 99,
+            99, 99, 99, 99, 99, 99, 99, 99
+        ]
+    };
+
+    // Annex K.3 Huffman tables as { bits: code counts for lengths 1-16, values }
+    const AC_VALUES_LUMA = [
+        0x01, 0x02, 0x03, 0x00, 0x04, 0x11, 0x05, 0x12, 0x21, 0x31, 0x41, 0x06, 0x13, 0x51, 0x61, 0x07,
+        0x22, 0x71, 0x14, 0x32, 0x81, 0x91, 0xa1, 0x08, 0x23, 0x42, 0xb1, 0xc1, 0x15, 0x52, 0xd1, 0xf0,
+        0x24, 0x33, 0x62, 0x72, 0x82, 0x09, 0x0a, 0x16, 0x17, 0x18, 0x19, 0x1a, 0x25, 0x26, 0x27, 0x28,
+        0x29, 0x2a, 0x34, 0x35, 0x36, 0x37, 0x38, 0x39, 0x3a, 0x43, 0x44, 0x45, 0x46, 0x47, 0x48, 0x49,
+        0x4a, 0x53, 0x54, 0x55, 0x56, 0x57, 0x58, 0x59, 0x5a, 0x63, 0x64, 0x65, 0x66, 0x67, 0x68, 0x69,
+        0x6a, 0x73, 0x74, 0x75, 0x76, 0x77, 0x78, 0x79, 0x7a, 0x83, 0x84, 0x85, 0x86, 0x87, 0x88, 0x89,
+        0x8a, 0x92, 0x93, 0x94, 0x95, 0x96, 0x97, 0x98, 0x99, 0x9a, 0xa2, 0xa3, 0xa4, 0xa5, 0xa6, 0xa7,
+        0xa8, 0xa9, 0xaa, 0xb2, 0xb3, 0xb4, 0xb5, 0xb6, 0xb7, 0xb8, 0xb9, 0xba, 0xc2, 0xc3, 0xc4, 0xc5,
+        0xc6, 0xc7, 0xc8, 0xc9, 0xca, 0xd2, 0xd3, 0xd4, 0xd5, 0xd6, 0xd7, 0xd8, 0xd9, 0xda, 0xe1, 0xe2,
+        0xe3, 0xe4, 0xe5, 0xe6, 0xe7, 0xe8, 0xe9, 0xea, 0xf1, 0xf2, 0xf3, 0xf4, 0xf5, 0xf6, 0xf7, 0xf8,
+        0xf9, 0xfa
+    ];
+    const AC_VALUES_CHROMA = [
+        0x00, 0x01, 0x02, 0x03, 0x11, 0x04, 0x05, 0x21, 0x31, 0x06, 0x12, 0x41, 0x51, 0x07, 0x61, 0x71,
+        0x13, 0x22, 0x32, 0x81, 0x08, 0x14, 0x42, 0x91, 0xa1, 0xb1, 0xc1, 0x09, 0x23, 0x33, 0x52, 0xf0,
+        0x15, 0x62, 0x72, 0xd1, 0x0a, 0x16, 0x24, 0x34, 0xe1, 0x25, 0xf1, 0x17, 0x18, 0x19, 0x1a, 0x26,
+        0x27, 0x28, 0x29, 0x2a, 0x35, 0x36, 0x37, 0x38, 0x39, 0x3a, 0x43, 0x44, 0x45, 0x46, 0x47, 0x48,
+        0x49, 0x4a, 0x53, 0x54, 0x55, 0x56, 0x57, 0x58, 0x59, 0x5a, 0x63, 0x64, 0x65, 0x66, 0x67, 0x68,
+        0x69, 0x6a, 0x73, 0x74, 0x75, 0x76, 0x77, 0x78, 0x79, 0x7a, 0x82, 0x83, 0x84, 0x85, 0x86, 0x87,
+        0x88, 0x89, 0x8a, 0x92, 0x93, 0x94, 0x95, 0x96, 0x97, 0x98, 0x99, 0x9a, 0xa2, 0xa3, 0xa4, 0xa5,
+        0xa6, 0xa7, 0xa8, 0xa9, 0xaa, 0xb2, 0xb3, 0xb4, 0xb5, 0xb6, 0xb7, 0xb8, 0xb9, 0xba, 0xc2, 0xc3,
+        0xc4, 0xc5, 0xc6, 0xc7, 0xc8, 0xc9, 0xca, 0xd2, 0xd3, 0xd4, 0xd5, 0xd6, 0xd7, 0xd8, 0xd9, 0xda,
+        0xe2, 0xe3, 0xe4, 0xe5, 0xe6, 0xe7, 0xe8, 0xe9, 0xea, 0xf2, 0xf3, 0xf4, 0xf5, 0xf6, 0xf7, 0xf8,
+        0xf9, 0xfa
+    ];
+    const DC_VALUES = [0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11];
+    const STANDARD_HUFFMAN = {
+        dc: [
+            { bits: [0, 1, 5, 1, 1, 1, 1, 1, 1, 0, 0, 0, 0, 0, 0, 0], values: DC_VALUES },
+            { bits: [0, 3, 1, 1, 1, 1, 1, 1, 1, 1, 1, 0, 0, 0, 0, 0], values: DC_VALUES }
+        ],
+        ac: [
+            { bits: [0, 2, 1, 3, 3, 2, 4, 3, 5, 5, 4, 4, 0, 0, 1, 0x7d], values: AC_VALUES_LUMA },
+            { bits: [0, 2, 1, 2, 4, 4, 3, 4, 7, 5, 4, 4, 0, 1, 2, 0x77], values: AC_VALUES_CHROMA }
+        ]
+    };
+
+    // Luma sampling factors (h, v) per mode; chroma is always 1×1
+    const SUBSAMPLING = { '4:4:4': [1, 1], '4:2:2': [2, 1], '4:2:0': [2, 2] };
+
+    // Longest run of all-zero bands one progressive EOBn symbol can cover
+    const MAX_EOB_RUN = 0x7fff;
+
+    // cos((2x + 1)uπ / 16) scaled by C(u)/2, so one 8-point pass is a row of the 2-D DCT's factors
+    const DCT = new Float64Array(64);
+    for (let u = 0; u < 8; u++) {
+        for (let x = 0; x < 8; x++) {
+            DCT[u * 8 + x] = (u === 0 ? Math.SQRT1_2 : 1) / 2 * Math.cos(((2 * x + 1) * u * Math.PI) / 16);
+        }
+    }
+
+    // Bits needed for |value| (the JPEG "size" category)
+    const category = value => {
+        let magnitude = value < 0 ? -value : value, size = 0;
+        while (magnitude) {
+            size++;
+            magnitude >>= 1;
+        }
+        return size;
+    };
+
+    // Component planes as floats, level-shifted by -128 and padded to whole MCUs by repeating the
+    // last row and column; chroma box-averaged down by the luma sampling factors
+    function toPlanes({ data, width, height }, h, v) {
+        const mcusX = Math.ceil(width / (8 * h)), mcusY = Math.ceil(height / (8 * v));
+        const paddedWidth = mcusX * 8 * h, paddedHeight = mcusY * 8 * v;
+        const y = new Float32Array(paddedWidth * paddedHeight);
+        const cb = new Float32Array(paddedWidth * paddedHeight);
+        const cr = new Float32Array(paddedWidth * paddedHeight);
+        for (let row = 0; row < paddedHeight; row++) {
+            const sourceRow = Math.min(height - 1, row) * width;
+            for (let column = 0; column < paddedWidth; column++) {
+                const i = (sourceRow + Math.min(width - 1, column)) * 4;
+                const r = data[i], g = data[i + 1], b = data[i + 2];
+                const p = row * paddedWidth + column;
+                y[p] = 0.299 * r + 0.587 * g + 0.114 * b - 128;
+                cb[p] = -0.168736 * r - 0.331264 * g + 0.5 * b;
+                cr[p] = 0.5 * r - 0.418688 * g - 0.081312 * b;
+            }
+        }
+        const downsample = plane => {
+            if (h === 1 && v === 1) return plane;
+            const outWidth = paddedWidth / h, outHeight = paddedHeight / v;
+            const out = new Float32Array(outWidth * outHeight);
+            for (let row = 0; row < outHeight; row++) {
+                for (let column = 0; column < outWidth; column++) {
+                    let sum = 0;
+                    for (let dy = 0; dy < v; dy++) {
+                        for (let dx = 0; dx < h; dx++) sum += plane[(row * v + dy) * paddedWidth + column * h + dx];
+                    }
+                    out[row * outWidth + column] = sum / (h * v);
+                }
+            }
+            return out;
+        };
+        return {
+            mcusX,
+            mcusY,
+            planes: [
+                { plane: y, width: paddedWidth },
+                { plane: downsample(cb), width: paddedWidth / h },
+                { plane: downsample(cr), width: paddedWidth / h }
+            ]
+        };
+    }
+
+    // Forward DCT and quantization of every block of a plane: Int16 coefficients in zigzag order,
+    // 64 per block, blocks in raster order
+    function quantizeBlocks(plane, planeWidth, blocksX, blocksY, table) {
+        const coefficients = new Int16Array(blocksX * blocksY * 64);
+        const block = new Float64Array(64), rows = new Float64Array(64);
+        for (let by = 0; by < blocksY; by++) {
+            for (let bx = 0; bx < blocksX; bx++) {
+                for (let y = 0; y < 8; y++) {
+                    const start = (by * 8 + y) * planeWidth + bx * 8;
+                    for (let x = 0; x < 8; x++) block[y * 8 + x] = plane[start + x];
+                }
+                // Rows, then columns
+                for (let y = 0; y < 8; y++) {
+                    for (let u = 0; u < 8; u++) {
+                        let sum = 0;
+                        for (let x = 0; x < 8; x++) sum += DCT[u * 8 + x] * block[y * 8 + x];
+                        rows[y * 8 + u] = sum;
+                    }
+                }
+                const offset = (by * blocksX + bx) * 64;
+                for (let k = 0; k < 64; k++) {
+                    const index = ZIGZAG[k], v = index >> 3, u = index & 7;
+                    let sum = 0;
+                    for (let y = 0; y < 8; y++) sum += DCT[v * 8 + y] * rows[y * 8 + u];
+                    const scaled = sum / table[index];
+                    coefficients[offset + k] = scaled < 0 ? -Math.floor(0.5 - scaled) : Math.floor(scaled + 0.5);
+                }
+            }
+        }
+        return coefficients;
+    }
+
+    // Huffman table from symbol counts (Annex K.2, as libjpeg's jpeg_gen_optimal_table): code lengths
+    // limited to 16 bits, with the all-ones code left unused
+    function optimalTable(counts) {
+        const freq = Array.from(counts);
+        freq[256] = 1; // Reserved, so no real code is all ones
+        const codeSize = new Array(257).fill(0);
+        const others = new Array(257).fill(-1);
+        for (;;) {
+            let c1 = -1, c2 = -1;
+            for (let i = 0, smallest = Infinity; i <= 256; i++) {
+                if (freq[i] && freq[i] <= smallest) {
+                    smallest = freq[i];
+                    c1 = i;
+                }
+            }
+            for (let i = 0, smallest = Infinity; i <= 256; i++) {
+                if (freq[i] && freq[i] <= smallest && i !== c1) {
+                    smallest = freq[i];
+                    c2 = i;
+                }
+            }
+            if (c2 < 0) break;
+            freq[c1] += freq[c2];
+            freq[c2] = 0;
+            codeSize[c1]++;
+            while (others[c1] >= 0) {
+                c1 = others[c1];
+                codeSize[c1]++;
+            }
+            others[c1] = c2;
+            codeSize[c2]++;
+            while (others[c2] >= 0) {
+                c2 = others[c2];
+                codeSize[c2]++;
+            }
+        }
+        const bits = new Array(33).fill(0);
+        for (let i = 0; i <= 256; i++) {
+            if (codeSize[i]) bits[codeSize[i]]++;
+        }
+        for (let i = 32; i > 16; i--) {
+            while (bits[i] > 0) {
+                let j = i - 2;
+                while (bits[j] === 0) j--;
+                bits[i] -= 2;
+                bits[i - 1]++;
+                bits[j + 1] += 2;
+                bits[j]--;
+            }
+        }
+        let longest = 16;
+        while (bits[longest] === 0) longest--;
+        bits[longest]--; // Drop the reserved symbol
+        const values = [];
+        for (let length = 1; length <= 32; length++) {
+            for (let symbol = 0; symbol < 256; symbol++) {
+                if (codeSize[symbol] === length) values.push(symbol);
+            }
+        }
+        return { bits: bits.slice(1, 17), values };
+    }
+
+    // Code and length per symbol for a { bits, values } table (Annex C)
+    function buildCodes({ bits, values }) {
+        const codes = new Uint16Array(256), lengths = new Uint8Array(256);
+        let code = 0, k = 0;
+        for (let length = 1; length <= 16; length++) {
+            for (let i = 0; i < bits[length - 1]; i++, k++) {
+                codes[values[k]] = code++;
+                lengths[values[k]] = length;
+            }
+            code <<= 1;
+        }
+        return { codes, lengths };
+    }
+
+    // Byte sink for the entropy-coded data, with 0xFF stuffing
+    class BitWriter {
+        constructor() {
+            this.bytes = new Uint8Array(1 << 16);
+            this.length = 0;
+            this.buffer = 0;
+            this.count = 0;
+        }
+
+        pushByte(byte) {
+            if (this.length === this.bytes.length) {
+                const grown = new Uint8Array(this.bytes.length * 2);
+                grown.set(this.bytes);
+                this.bytes = grown;
+            }
+            this.bytes[this.length++] = byte;
+        }
+
+        write(value, size) {
+            for (let bit = size - 1; bit >= 0; bit--) {
+                this.buffer = (this.buffer << 1) | ((value >> bit) & 1);
+                if (++this.count === 8) {
+                    this.pushByte(this.buffer);
+                    if (this.buffer === 0xff) this.pushByte(0);
+                    this.buffer = 0;
+                    this.count = 0;
+                }
+            }
+        }
+
+        // Pads the last byte with ones
+        flush() {
+            if (this.count > 0) this.write((1 << (8 - this.count)) - 1, 8 - this.count);
+            return this.bytes.subarray(0, this.length);
+        }
+    }
+
+    // Walks one scan's blocks and hands every Huffman symbol (and the extra bits after it) to `sink`:
+    // { symbol(kind, table, value), bits(value, size) }. Both the counting and the writing pass use it.
+    function codeScan(scan, components, mcusX, mcusY, maxEobRun, sink) {
+        const { members, start, end } = scan;
+        const emitValue = (kind, table, run, value) => {
+            const size = category(value);
+            sink.symbol(kind, table, (run << 4) | size);
+            if (size) sink.bits(value < 0 ? value - 1 : value, size);
+        };
+
+        if (start === 0) {
+            // Every scan with DC (the progressive DC scan, or the single baseline scan with the AC
+            // coefficients after each DC) interleaves all three components in MCU order
+            const predictions = members.map(() => 0);
+            const codeBlock = (member, component, offset) => {
+                const { coefficients, table } = component;
+                const dc = coefficients[offset];
+                emitValue('dc', table, 0, dc - predictions[member]);
+                predictions[member] = dc;
+                if (end === 0) return;
+                let run = 0;
+                for (let k = 1; k <= end; k++) {
+                    const value = coefficients[offset + k];
+                    if (!value) {
+                        run++;
+                        continue;
+                    }
+                    for (; run > 15; run -= 16) sink.symbol('ac', table, 0xf0);
+                    emitValue('ac', table, run, value);
+                    run = 0;
+                }
+                if (run) sink.symbol('ac', table, 0x00); // EOB
+            };
+            for (let my = 0; my < mcusY; my++) {
+                for (let mx = 0; mx < mcusX; mx++) {
+                    members.forEach((c, member) => {
+                        const component = components[c];
+                        for (let v = 0; v < component.v; v++) {
+                            for (let h = 0; h < component.h; h++) {
+                                codeBlock(member, component, ((my * component.v + v) * component.blocksX + mx * component.h + h) * 64);
+                            }
+                        }
+                    });
+                }
+            }
+            return;
+        }
+
+        // Progressive AC band of one component, over only the blocks that cover the image
+        const component = components[members[0]];
+        let eobRun = 0;
+        const flushEobRun = () => {
+            if (!eobRun) return;
+            const size = category(eobRun) - 1;
+            sink.symbol('ac', component.table, size << 4);
+            if (size) sink.bits(eobRun, size);
+            eobRun = 0;
+        };
+        for (let by = 0; by < component.scanBlocksY; by++) {
+            for (let bx = 0; bx < component.scanBlocksX; bx++) {
+                const offset = (by * component.blocksX + bx) * 64;
+                const coefficients = component.coefficients;
+                let last = 0;
+                for (let k = start; k <= end; k++) {
+                    if (coefficients[offset + k]) last = k;
+                }
+                if (last) {
+                    flushEobRun();
+                    let run = 0;
+                    for (let k = start; k <= last; k++) {
+                        const value = coefficients[offset + k];
+                        if (!value) {
+                            run++;
+                            continue;
+                        }
+                        for (; run > 15; run -= 16) sink.symbol('ac', component.table, 0xf0);
+                        emitValue('ac', component.table, run, value);
+                        run = 0;
+                    }
+                }
+                if (last < end && ++eobRun === maxEobRun) flushEobRun();
+            }
+        }
+        flushEobRun();
+    }
+
+    return {
+        SUBSAMPLING_MODES: Object.keys(SUBSAMPLING),
+        STANDARD_TABLES,
+
+        // Quantization tables for a quality (1-100), natural order: `custom` ({ luma, chroma }, 64
+        // values each) or Annex K, scaled as libjpeg's quality setting does and clamped to 1-255
+        scaleTables(quality, custom = null) {
+            const q = Math.max(1, Math.min(100, Math.round(quality)));
+            const scale = q < 50 ? 5000 / q : 200 - 2 * q;
+            const tables = custom || STANDARD_TABLES;
+            const scaleTable = table => table.map(value => Math.max(1, Math.min(255, Math.floor((value * scale + 50) / 100))));
+            return { luma: scaleTable(tables.luma), chroma: scaleTable(tables.chroma) };
+        },
+
+        // Custom tables from text: 64 numbers (one table for luma and chroma) or 128 (luma, then chroma),
+        // 1-255, in natural order and separated by spaces, commas or line breaks. Throws when the text
+        // is anything else.
+        parseTables(text) {
+            const values = String(text).split(/[\s,]+/).filter(Boolean).map(Number);
+            if (values.length !== 64 && values.length !== 128) {
+                throw new Error(`Quantization tables need 64 or 128 numbers; found ${values.length}.`);
+            }
+            if (values.some(value => !Number.isInteger(value) || value < 1 || value > 255)) {
+                throw new Error('Quantization table entries must be whole numbers from 1 to 255.');
+            }
+            return { luma: values.slice(0, 64), chroma: values.slice(values.length - 64) };
+        },
+
+        // RGBA -> JPEG bytes. Options: quality (1-100), subsampling ('4:4:4' | '4:2:2' | '4:2:0'),
+        // progressive, optimizeHuffman, quantTables ({ luma, chroma } or null for Annex K).
+        // Progressive output with Annex K Huffman tables ends every band with a plain EOB, since
+        // those tables have no codes for runs of them.
+        encode(rgba, { quality = 75, subsampling = '4:2:0', progressive = true, optimizeHuffman = true, quantTables = null } = {}) {
+            const { width, height } = rgba;
+            if (!width || !height || width > 65535 || height > 65535) {
+                throw new Error(`JPEG cannot store a ${width}×${height} image.`);
+            }
+            const [hMax, vMax] = SUBSAMPLING[subsampling] || SUBSAMPLING['4:2:0'];
+            const tables = ImagifyJpeg.scaleTables(quality, quantTables);
+            const { mcusX, mcusY, planes } = toPlanes(rgba, hMax, vMax);
+
+            const components = planes.map(({ plane, width: planeWidth }, index) => {
+                const h = index === 0 ? hMax : 1, v = index === 0 ? vMax : 1;
+                const blocksX = mcusX * h, blocksY = mcusY * v;
+                return {
+                    id: index + 1,
+                    h,
+                    v,
+                    table: index === 0 ? 0 : 1,
+                    blocksX,
+                    // A scan of this component alone covers only the blocks inside the image
+                    scanBlocksX: Math.ceil(Math.ceil((width * h) / hMax) / 8),
+                    scanBlocksY: Math.ceil(Math.ceil((height * v) / vMax) / 8),
+                    coefficients: quantizeBlocks(plane, planeWidth, blocksX, blocksY, index === 0 ? tables.luma : tables.chroma)
+                };
+            });
+
+            const scans = progressive
+                ? [
+                    { members: [0, 1, 2], start: 0, end: 0 },
+                    { members: [0], start: 1, end: 5 },
+                    { members: [1], start: 1, end: 63 },
+                    { members: [2], start: 1, end: 63 },
+                    { members: [0], start: 6, end: 63 }
+                ]
+                : [{ members: [0, 1, 2], start: 0, end: 63 }];
+            const maxEobRun = optimizeHuffman ? MAX_EOB_RUN : 1;
+
+            const output = [];
+            const segment = (marker, body) => {
+                output.push(0xff, marker, (body.length + 2) >> 8, (body.length + 2) & 0xff, ...body);
+            };
+            output.push(0xff, 0xd8); // SOI
+            segment(0xe0, [0x4a, 0x46, 0x49, 0x46, 0, 1, 1, 0, 0, 1, 0, 1, 0, 0]); // JFIF 1.01, 1:1 aspect
+            segment(0xdb, [
+                0x00, ...Array.from(ZIGZAG, index => tables.luma[index]),
+                0x01, ...Array.from(ZIGZAG, index => tables.chroma[index])
+            ]);
+            segment(progressive ? 0xc2 : 0xc0, [
+                8, height >> 8, height & 0xff, width >> 8, width & 0xff, 3,
+                ...components.flatMap(component => [component.id, (component.h << 4) | component.v, component.table])
+            ]);
+
+            const chunks = [Uint8Array.from(output)];
+            for (const scan of scans) {
+                const usesDc = scan.start === 0, usesAc = scan.end > 0;
+                const tableIds = [...new Set(scan.members.map(c => components[c].table))];
+                let huffman;
+                if (optimizeHuffman) {
+                    const counts = { dc: tableIds.map(() => new Uint32Array(256)), ac: tableIds.map(() => new Uint32Array(256)) };
+                    codeScan(scan, components, mcusX, mcusY, maxEobRun, {
+                        symbol: (kind, table, value) => counts[kind][tableIds.indexOf(table)][value]++,
+                        bits: () => {}
+                    });
+                    huffman = {
+                        dc: tableIds.map((id, i) => (usesDc ? optimalTable(counts.dc[i]) : null)),
+                        ac: tableIds.map((id, i) => (usesAc ? optimalTable(counts.ac[i]) : null))
+                    };
+                } else {
+                    huffman = {
+                        dc: tableIds.map(id => STANDARD_HUFFMAN.dc[id]),
+                        ac: tableIds.map(id => STANDARD_HUFFMAN.ac[id])
+                    };
+                }
+
+                const header = [];
+                const pushSegment = (marker, body) => header.push(0xff, marker, (body.length + 2) >> 8, (body.length + 2) & 0xff, ...body);
+                const dht = [];
+                tableIds.forEach((id, i) => {
+                    if (usesDc) dht.push(id, ...huffman.dc[i].bits, ...huffman.dc[i].values);
+                    if (usesAc) dht.push(0x10 | id, ...huffman.ac[i].bits, ...huffman.ac[i].values);
+                });
+                pushSegment(0xc4, dht);
+                pushSegment(0xda, [
+                    scan.members.length,
+                    ...scan.members.flatMap(c => [components[c].id, ((usesDc ? components[c].table : 0) << 4) | (usesAc ? components[c].table : 0)]),
+                    scan.start, scan.end, 0
+                ]);
+                chunks.push(Uint8Array.from(header));
+
+                const codes = {
+                    dc: tableIds.map((id, i) => (usesDc ? buildCodes(huffman.dc[i]) : null)),
+                    ac: tableIds.map((id, i) => (usesAc ? buildCodes(huffman.ac[i]) : null))
+                };
+                const writer = new BitWriter();
+                codeScan(scan, components, mcusX, mcusY, maxEobRun, {
+                    symbol: (kind, table, value) => {
+                        const { codes: tableCodes, lengths } = codes[kind][tableIds.indexOf(table)];
+                        writer.write(tableCodes[value], lengths[value]);
+                    },
+                    bits: (value, size) => writer.write(value, size)
+                });
+                chunks.push(writer.flush().slice());
+            }
+            chunks.push(Uint8Array.of(0xff, 0xd9)); // EOI
+
+            const jpeg = new Uint8Array(chunks.reduce((total, part) => total + part.length, 0));
+            let offset = 0;
+            for (const part of chunks) {
+                jpeg.set(part, offset);
+                offset += part.length;
+            }
+            return jpeg;
+        }
+    };
+})();
+
+// Node (server, CLI) loads the same encoder through require()
+if (typeof module === 'object' && module.exports) {
+    module.exports = ImagifyJpeg;
+}
@@ -0,0 +1,602 @@
+//imagify-metrics.js//
+// Quality metrics shared by the compression worker and the main-thread fallback.
+// Every function takes ImageData-like objects: { data: RGBA Uint8ClampedArray, width, height }.
+// Transparency is alpha-weighted: each pixel counts by the larger of its two alphas, so fully
+// transparent areas (whose colors are arbitrary) don't affect the scores.
+const ImagifyMetrics = {
+    // 10·log10(255² / MSE), capped at 100 dB for (near-)identical data
+    mseToPSNR(mse) {
+        if (mse < 1e-10) return 100;
+        return Math.max(0, 10 * Math.log10(255 ** 2 / mse));
+    },
+
+    // Combined PSNR over the R, G and B samples, alpha-weighted. When either image has transparency,
+    // the alpha channel's own error is added as a fourth sample of every visible pixel.
+    calculatePSNR(originalData, compressedData) {
+        const d1 = originalData.data, d2 = compressedData.data;
+        let mse = 0, alphaError = 0;
+        let weightSum = 0, visibleCount = 0;
+        let translucent = false;
+        for (let i = 0; i < d1.length; i += 4) {
+            const a1 = d1[i + 3], a2 = d2[i + 3];
+            if (a1 !== 255 || a2 !== 255) translucent = true;
+            const weight = Math.max(a1, a2) / 255;
+            if (weight === 0) continue;
+            mse += weight * ((d1[i] - d2[i]) ** 2 + (d1[i + 1] - d2[i + 1]) ** 2 + (d1[i + 2] - d2[i + 2]) ** 2);
+            alphaError += (a1 - a2) ** 2;
+            weightSum += weight;
+            visibleCount++;
+        }
+        const samples = weightSum * 3 + (translucent ? visibleCount : 0);
+        if (samples === 0) return 100;
+        return ImagifyMetrics.mseToPSNR((mse + alphaError) / samples);
+    },
+
+    // PSNR per channel, both as R/G/B and as full-range BT.601 Y/Cb/Cr (the JPEG color space).
+    // The conversion is linear, so channel errors come straight from the RGB differences.
+    calculateChannelPSNR(originalData, compressedData) {
+        const d1 = originalData.data, d2 = compressedData.data;
+        const sums = { r: 0, g: 0, b: 0, y: 0, cb: 0, cr: 0 };
+        let weightSum = 0;
+        for (let i = 0; i < d1.length; i += 4) {
+            const weight = Math.max(d1[i + 3], d2[i + 3]) / 255;
+            if (weight === 0) continue;
+            const dr = d1[i] - d2[i], dg = d1[i + 1] - d2[i + 1], db = d1[i + 2] - d2[i + 2];
+            sums.r += weight * dr * dr;
+            sums.g += weight * dg * dg;
+            sums.b += weight * db * db;
+            sums.y += weight * (0.299 * dr + 0.587 * dg + 0.114 * db) ** 2;
+            sums.cb += weight * (-0.168736 * dr - 0.331264 * dg + 0.5 * db) ** 2;
+            sums.cr += weight * (0.5 * dr - 0.418688 * dg - 0.081312 * db) ** 2;
+            weightSum += weight;
+        }
+        const result = {};
+        for (const channel in sums) {
+            result[channel] = weightSum === 0 ? 100 : ImagifyMetrics.mseToPSNR(sums[channel] / weightSum);
+        }
+        return result;
+    },
+
+    // Normalized 1-D Gaussian; the 2-D SSIM window is its outer product, so filtering is separable
+    gaussianKernel(size = 11, sigma = 1.5) {
+        const kernel = new Float64Array(size);
+        const center = (size - 1) / 2;
+        let sum = 0;
+        for (let i = 0; i < size; i++) {
+            kernel[i] = Math.exp(-((i - center) ** 2) / (2 * sigma * sigma));
+            sum += kernel[i];
+        }
+        return kernel.map(value => value / sum);
+    },
+
+    // BT.601 luma plane as floats; `premultiplied` scales it by alpha so edges of transparent
+    // areas (and alpha changes) show up as structure
+    toLuma(imageData, premultiplied = false) {
+        const { data, width, height } = imageData;
+        const luma = new Float64Array(width * height);
+        for (let p = 0, i = 0; p < luma.length; p++, i += 4) {
+            luma[p] = 0.299 * data[i] + 0.587 * data[i + 1] + 0.114 * data[i + 2];
+            if (premultiplied) luma[p] *= data[i + 3] / 255;
+        }
+        return luma;
+    },
+
+    // Per-pixel weights (larger alpha of the two, 0-1) for the SSIM windows, or null when both are opaque
+    alphaWeights(img1, img2) {
+        const d1 = img1.data, d2 = img2.data;
+        let translucent = false;
+        for (let i = 3; i < d1.length && !translucent; i += 4) {
+            translucent = d1[i] !== 255 || d2[i] !== 255;
+        }
+        if (!translucent) return null;
+        const weights = new Float64Array(d1.length / 4);
+        for (let p = 0, i = 3; p < weights.length; p++, i += 4) {
+            weights[p] = Math.max(d1[i], d2[i]) / 255;
+        }
+        return weights;
+    },
+
+    // 2×2 box average followed by decimation, the MS-SSIM downsampling step
+    downsampleLuma(luma, width, height) {
+        const w = Math.floor(width / 2), h = Math.floor(height / 2);
+        const out = new Float64Array(w * h);
+        for (let y = 0; y < h; y++) {
+            for (let x = 0; x < w; x++) {
+                const i = 2 * y * width + 2 * x;
+                out[y * w + x] = (luma[i] + luma[i + 1] + luma[i + width] + luma[i + width + 1]) / 4;
+            }
+        }
+        return { luma: out, width: w, height: h };
+    },
+
+    // Mean SSIM and mean contrast-structure term over every valid window position
+    // (MATLAB's filter2 'valid'), following Wang et al. 2004 with K1 = 0.01, K2 = 0.03, L = 255.
+    // With per-pixel `weights`, each window counts by its Gaussian-weighted mean weight.
+    ssimStats(lumaX, lumaY, width, height, weights = null) {
+        const C1 = (0.01 * 255) ** 2, C2 = (0.03 * 255) ** 2;
+        const kernel = ImagifyMetrics.gaussianKernel();
+        const size = kernel.length;
+        const outW = width - size + 1, outH = height - size + 1;
+
+        // Horizontal pass over x, y, x², y² and xy into a ring of `size` rows, so memory stays
+        // proportional to the width rather than the whole image
+        const ring = Array.from({ length: weights ? 6 : 5 }, () => new Float64Array(outW * size));
+        const [hx, hy, hxx, hyy, hxy, hw] = ring;
+        const filterRow = y => {
+            const rowStart = y * width, ringStart = (y % size) * outW;
+            for (let x = 0; x < outW; x++) {
+                let sx = 0, sy = 0, sxx = 0, syy = 0, sxy = 0;
+                for (let k = 0; k < size; k++) {
+                    const a = lumaX[rowStart + x + k], b = lumaY[rowStart + x + k], w = kernel[k];
+                    sx += w * a; sy += w * b;
+                    sxx += w * a * a; syy += w * b * b; sxy += w * a * b;
+                }
+                const o = ringStart + x;
+                hx[o] = sx; hy[o] = sy; hxx[o] = sxx; hyy[o] = syy; hxy[o] = sxy;
+                if (hw) {
+                    let sw = 0;
+                    for (let k = 0; k < size; k++) sw += kernel[k] * weights[rowStart + x + k];
+                    hw[o] = sw;
+                }
+            }
+        };
+        for (let y = 0; y < size - 1; y++) filterRow(y);
+
+        // Vertical pass, folding each window straight into the running means
+        let ssimSum = 0, csSum = 0, weightSum = 0;
+        for (let y = 0; y < outH; y++) {
+            filterRow(y + size - 1);
+            for (let x = 0; x < outW; x++) {
+                let mx = 0, my = 0, mxx = 0, myy = 0, mxy = 0, mw = hw ? 0 : 1;
+                for (let k = 0; k < size; k++) {
+                    const o = ((y + k) % size) * outW + x, w = kernel[k];
+                    mx += w * hx[o]; my += w * hy[o];
+                    mxx += w * hxx[o]; myy += w * hyy[o]; mxy += w * hxy[o];
+                    if (hw) mw += w * hw[o];
+                }
+                const varX = mxx - mx * mx, varY = myy - my * my, covXY = mxy - mx * my;
+                const cs = (2 * covXY + C2) / (varX + varY + C2);
+                csSum += mw * cs;
+                ssimSum += mw * ((2 * mx * my + C1) / (mx * mx + my * my + C1)) * cs;
+                weightSum += mw;
+            }
+        }
+        // Nothing visible at all: there is nothing to get wrong
+        if (weightSum === 0) return { ssim: 1, cs: 1 };
+        return { ssim: ssimSum / weightSum, cs: csSum / weightSum };
+    },
+
+    // SSIM on luma with an 11×11 Gaussian window (σ = 1.5). With transparency, luma is premultiplied
+    // by alpha and windows are weighted by alphaWeights(), so fully transparent windows are skipped.
+    calculateSSIM(img1, img2) {
+        const width = img1.width, height = img1.height;
+        if (width < 11 || height < 11) {
+            console.warn("Image too small for SSIM calculation.");
+            return 1;
+        }
+        const weights = ImagifyMetrics.alphaWeights(img1, img2);
+        const { ssim } = ImagifyMetrics.ssimStats(
+            ImagifyMetrics.toLuma(img1, !!weights), ImagifyMetrics.toLuma(img2, !!weights), width, height, weights
+        );
+        return Math.max(0, Math.min(1, ssim));
+    },
+
+    // PSNR and SSIM inside and outside a region of interest: `mask` holds 0-255 per pixel, and pixels
+    // at 128 or more are in the region. Pixels are alpha-weighted as in calculatePSNR() (without the
+    // alpha error term); SSIM windows count by how much of them lies in the region, so windows on its
+    // edge count for both. Returns { roi, background }, each { psnr, ssim, coverage } with null scores
+    // for an empty side; `coverage` is its share of the pixels.
+    calculateRegionMetrics(original, compressed, mask) {
+        const d1 = original.data, d2 = compressed.data;
+        const { width, height } = original;
+        const alpha = ImagifyMetrics.alphaWeights(original, compressed);
+        const lumaX = ImagifyMetrics.toLuma(original, !!alpha), lumaY = ImagifyMetrics.toLuma(compressed, !!alpha);
+        const region = inside => {
+            const weights = new Float64Array(mask.length);
+            let mse = 0, weightSum = 0, count = 0;
+            for (let p = 0, i = 0; p < mask.length; p++, i += 4) {
+                if ((mask[p] >= 128) !== inside) continue;
+                count++;
+                const weight = alpha ? alpha[p] : 1;
+                weights[p] = weight;
+                mse += weight * ((d1[i] - d2[i]) ** 2 + (d1[i + 1] - d2[i + 1]) ** 2 + (d1[i + 2] - d2[i + 2]) ** 2);
+                weightSum += weight;
+            }
+            const coverage = count / (mask.length || 1);
+            if (weightSum === 0) return { psnr: null, ssim: null, coverage };
+            const ssim = width < 11 || height < 11
+                ? null
+                : Math.max(0, Math.min(1, ImagifyMetrics.ssimStats(lumaX, lumaY, width, height, weights).ssim));
+            return { psnr: ImagifyMetrics.mseToPSNR(mse / (weightSum * 3)), ssim, coverage };
+        };
+        return { roi: region(true), background: region(false) };
+    },
+
+    // Multi-scale SSIM (Wang, Simoncelli & Bovik 2003) with the standard five scale weights.
+    // Images too small for five scales (under 176 px on the short side) use the scales
+    // that fit, with their weights renormalized to sum to one. Transparency is handled as in calculateSSIM(),
+    // with the alpha weights downsampled alongside the luma.
+    calculateMSSSIM(img1, img2) {
+        const WEIGHTS = [0.0448, 0.2856, 0.3001, 0.2363, 0.1333];
+        const alphaWeights = ImagifyMetrics.alphaWeights(img1, img2);
+        let x = { luma: ImagifyMetrics.toLuma(img1, !!alphaWeights), width: img1.width, height: img1.height };
+        let y = { luma: ImagifyMetrics.toLuma(img2, !!alphaWeights), width: img2.width, height: img2.height };
+        let a = alphaWeights && { luma: alphaWeights, width: img1.width, height: img1.height };
+        const stats = [];
+        while (stats.length < WEIGHTS.length && Math.min(x.width, x.height) >= 11) {
+            if (stats.length > 0) {
+                x = ImagifyMetrics.downsampleLuma(x.luma, x.width, x.height);
+                y = ImagifyMetrics.downsampleLuma(y.luma, y.width, y.height);
+                if (a) a = ImagifyMetrics.downsampleLuma(a.luma, a.width, a.height);
+                if (Math.min(x.width, x.height) < 11) break;
+            }
+            stats.push(ImagifyMetrics.ssimStats(x.luma, y.luma, x.width, x.height, a && a.luma));
+        }
+        if (stats.length === 0) {
+            console.warn("Image too small for MS-SSIM calculation.");
+            return 1;
+        }
+
+        const weights = WEIGHTS.slice(0, stats.length);
+        const weightSum = weights.reduce((sum, w) => sum + w, 0);
+        // Negative terms would make the fractional powers undefined, so they are clamped to zero
+        const value = stats.reduce((product, { ssim, cs }, i) => {
+            const term = i === stats.length - 1 ? ssim : cs;
+            return product * Math.max(0, term) ** (weights[i] / weightSum);
+        }, 1);
+        return Math.max(0, Math.min(1, value));
+    },
+
+    // DSSIM as the dssim tool reports it: 1/SSIM − 1, so 0 means identical and the scale is open-ended.
+    // Derived from the Gaussian luma SSIM above, not the tool's own Lab multi-scale SSIM.
+    calculateDSSIM(ssim) {
+        return ssim > 0 ? 1 / ssim - 1 : Infinity;
+    },
+
+    // sRGB byte -> linear light, built once
+    get srgbToLinear() {
+        if (!ImagifyMetrics._srgbToLinear) {
+            const table = new Float64Array(256);
+            for (let i = 0; i < 256; i++) {
+                const c = i / 255;
+                table[i] = c <= 0.04045 ? c / 12.92 : ((c + 0.055) / 1.055) ** 2.4;
+            }
+            ImagifyMetrics._srgbToLinear = table;
+        }
+        return ImagifyMetrics._srgbToLinear;
+    },
+
+    // sRGB bytes -> CIE L*a*b* (D65 white), written into `out`
+    rgbToLab(r, g, b, out) {
+        const lin = ImagifyMetrics.srgbToLinear;
+        const R = lin[r], G = lin[g], B = lin[b];
+        const f = t => (t > 216 / 24389 ? Math.cbrt(t) : (24389 / 27 * t + 16) / 116);
+        const fx = f((0.4124564 * R + 0.3575761 * G + 0.1804375 * B) / 0.95047);
+        const fy = f(0.2126729 * R + 0.7151522 * G + 0.0721750 * B);
+        const fz = f((0.0193339 * R + 0.1191920 * G + 0.9503041 * B) / 1.08883);
+        out[0] = 116 * fy - 16;
+        out[1] = 500 * (fx - fy);
+        out[2] = 200 * (fy - fz);
+        return out;
+    },
+
+    // CIEDE2000 color difference (Sharma, Wu & Dalal 2005) with kL = kC = kH = 1
+    ciede2000(L1, a1, b1, L2, a2, b2) {
+        const DEG = Math.PI / 180;
+        const C1 = Math.hypot(a1, b1), C2 = Math.hypot(a2, b2);
+        const Cbar7 = ((C1 + C2) / 2) ** 7;
+        const G = 0.5 * (1 - Math.sqrt(Cbar7 / (Cbar7 + 25 ** 7)));
+        const a1p = (1 + G) * a1, a2p = (1 + G) * a2;
+        const C1p = Math.hypot(a1p, b1), C2p = Math.hypot(a2p, b2);
+        const hue = (b, a) => {
+            if (a === 0 && b === 0) return 0;
+            const h = Math.atan2(b, a) / DEG;
+            return h < 0 ? h + 360 : h;
+        };
+        const h1p = hue(b1, a1p), h2p = hue(b2, a2p);
+
+        const dLp = L2 - L1;
+        const dCp = C2p - C1p;
+        let dhp = 0;
+        if (C1p * C2p !== 0) {
+            dhp = h2p - h1p;
+            if (dhp > 180) dhp -= 360;
+            else if (dhp < -180) dhp += 360;
+        }
+        const dHp = 2 * Math.sqrt(C1p * C2p) * Math.sin(dhp * DEG / 2);
+
+        const Lbarp = (L1 + L2) / 2;
+        const Cbarp = (C1p + C2p) / 2;
+        let hbarp = h1p + h2p;
+        if (C1p * C2p !== 0) {
+            if (Math.abs(h1p - h2p) <= 180) hbarp /= 2;
+            else hbarp = h1p + h2p < 360 ? (hbarp + 360) / 2 : (hbarp - 360) / 2;
+        }
+        const T = 1 - 0.17 * Math.cos((hbarp - 30) * DEG) + 0.24 * Math.cos(2 * hbarp * DEG)
+            + 0.32 * Math.cos((3 * hbarp + 6) * DEG) - 0.20 * Math.cos((4 * hbarp - 63) * DEG);
+        const dTheta = 30 * Math.exp(-(((hbarp - 275) / 25) ** 2));
+        const Cbarp7 = Cbarp ** 7;
+        const RC = 2 * Math.sqrt(Cbarp7 / (Cbarp7 + 25 ** 7));
+        const SL = 1 + (0.015 * (Lbarp - 50) ** 2) / Math.sqrt(20 + (Lbarp - 50) ** 2);
+        const SC = 1 + 0.045 * Cbarp;
+        const SH = 1 + 0.015 * Cbarp * T;
+        const RT = -Math.sin(2 * dTheta * DEG) * RC;
+
+        return Math.sqrt((dLp / SL) ** 2 + (dCp / SC) ** 2 + (dHp / SH) ** 2 + RT * (dCp / SC) * (dHp / SH));
+    },
+
+    // Per-pixel CIEDE2000 between two images. Pixels not fully opaque in the original are NaN so callers
+    // can skip them: their color is only partly visible, and ΔE has no alpha term.
+    deltaEPixels(originalData, compressedData) {
+        const d1 = originalData.data, d2 = compressedData.data;
+        const values = new Float32Array(d1.length / 4);
+        const lab1 = [0, 0, 0], lab2 = [0, 0, 0];
+        for (let p = 0, i = 0; p < values.length; p++, i += 4) {
+            if (d1[i+3] < 255) {
+                values[p] = NaN;
+                continue;
+            }
+            if (d1[i] === d2[i] && d1[i + 1] === d2[i + 1] && d1[i + 2] === d2[i + 2]) continue; // Unchanged: ΔE 0
+            ImagifyMetrics.rgbToLab(d1[i], d1[i + 1], d1[i + 2], lab1);
+            ImagifyMetrics.rgbToLab(d2[i], d2[i + 1], d2[i + 2], lab2);
+            values[p] = ImagifyMetrics.ciede2000(lab1[0], lab1[1], lab1[2], lab2[0], lab2[1], lab2[2]);
+        }
+        return values;
+    },
+
+    // Mean and 95th-percentile CIEDE2000 over opaque pixels. The percentile comes from a
+    // 0.01-wide histogram, which avoids sorting millions of values.
+    calculateDeltaE(originalData, compressedData, values = ImagifyMetrics.deltaEPixels(originalData, compressedData)) {
+        const BIN = 0.01, BINS = 20000; // ΔE above 200 cannot occur between sRGB colors
+        const histogram = new Uint32Array(BINS);
+        let sum = 0, count = 0;
+        for (let p = 0; p < values.length; p++) {
+            const value = values[p];
+            if (Number.isNaN(value)) continue;
+            sum += value;
+            count++;
+            histogram[Math.min(BINS - 1, Math.floor(value / BIN))]++;
+        }
+        if (count === 0) return { mean: 0, p95: 0 };
+
+        const rank = Math.ceil(count * 0.95);
+        let seen = 0, bin = 0;
+        while (bin < BINS - 1 && seen + histogram[bin] < rank) seen += histogram[bin++];
+        return { mean: sum / count, p95: bin * BIN };
+    },
+
+    getHeatMapColor(intensity) {
+        const colors = [
+            {r:0,   g:0,   b:255}, // Blue
+            {r:0,   g:255, b:255}, // Cyan
+            {r:0,   g:255, b:0},   // Green
+            {r:255, g:255, b:0},   // Yellow
+            {r:255, g:0,   b:0}    // Red
+        ];
+        intensity = Math.max(0, Math.min(1, intensity));
+        const p = intensity * (colors.length - 1);
+        const i = Math.floor(p);
+        const j = Math.min(i + 1, colors.length - 1);
+        const t = p - i;
+        return {
+            r: Math.round(colors[i].r * (1 - t) + colors[j].r * t),
+            g: Math.round(colors[i].g * (1 - t) + colors[j].g * t),
+            b: Math.round(colors[i].b * (1 - t) + colors[j].b * t),
+        };
+    },
+
+    // Heat map types: `max` is the value drawn saturated red, `unit` what the values measure (for the
+    // legend), and `fullSize` marks maps that only make sense on the encoded pixel grid. For ΔE, 1 is
+    // about the just-noticeable difference.
+    HEATMAP_MODES: {
+        rgb: { max: 255, unit: 'mean |ΔRGB| (levels)' },
+        deltaE: { max: 10, unit: 'CIEDE2000 ΔE' },
+        ssim: { max: 0.5, unit: '1 − local SSIM' },
+        r: { max: 64, unit: '|ΔR| (levels)' },
+        g: { max: 64, unit: '|ΔG| (levels)' },
+        b: { max: 64, unit: '|ΔB| (levels)' },
+        y: { max: 64, unit: '|ΔY| (levels)' },
+        cb: { max: 64, unit: '|ΔCb| (levels)' },
+        cr: { max: 64, unit: '|ΔCr| (levels)' },
+        blockiness: { max: 16, unit: 'extra step at 8×8 borders (luma levels)', fullSize: true },
+        ringing: { max: 32, unit: '|Δ luma| near edges (levels)' }
+    },
+
+    // Ringing map: Sobel magnitude that counts as an edge (about a 32-level step), and how far from
+    // one (in pixels) errors are shown
+    EDGE_THRESHOLD: 128,
+    RINGING_RADIUS: 4,
+
+    // SSIM of the Gaussian window centered on each pixel, with edge pixels repeated past the border so
+    // the map has the image's size. Same window and constants as ssimStats(), and the same ring of
+    // horizontally filtered rows.
+    ssimMap(lumaX, lumaY, width, height) {
+        const C1 = (0.01 * 255) ** 2, C2 = (0.03 * 255) ** 2;
+        const kernel = ImagifyMetrics.gaussianKernel();
+        const size = kernel.length, radius = (size - 1) / 2;
+        const map = new Float32Array(width * height);
+        const [hx, hy, hxx, hyy, hxy] = Array.from({ length: 5 }, () => new Float64Array(width * size));
+        const filterRow = y => {
+            const rowStart = y * width, ringStart = (y % size) * width;
+            for (let x = 0; x < width; x++) {
+                let sx = 0, sy = 0, sxx = 0, syy = 0, sxy = 0;
+                for (let k = 0; k < size; k++) {
+                    const i = rowStart + Math.max(0, Math.min(width - 1, x + k - radius));
+                    const a = lumaX[i], b = lumaY[i], w = kernel[k];
+                    sx += w * a; sy += w * b;
+                    sxx += w * a * a; syy += w * b * b; sxy += w * a * b;
+                }
+                const o = ringStart + x;
+                hx[o] = sx; hy[o] = sy; hxx[o] = sxx; hyy[o] = syy; hxy[o] = sxy;
+            }
+        };
+
+        // The ring always holds the `size` rows ending at y + radius (clamped), which covers the
+        // window even where it is clamped at the top or bottom
+        let filtered = -1;
+        for (let y = 0; y < height; y++) {
+            while (filtered < Math.min(height - 1, y + radius)) filterRow(++filtered);
+            for (let x = 0; x < width; x++) {
+                let mx = 0, my = 0, mxx = 0, myy = 0, mxy = 0;
+                for (let k = 0; k < size; k++) {
+                    const row = Math.max(0, Math.min(height - 1, y + k - radius));
+                    const o = (row % size) * width + x, w = kernel[k];
+                    mx += w * hx[o]; my += w * hy[o];
+                    mxx += w * hxx[o]; myy += w * hyy[o]; mxy += w * hxy[o];
+                }
+                const varX = mxx - mx * mx, varY = myy - my * my, covXY = mxy - mx * my;
+                map[y * width + x] = ((2 * mx * my + C1) * (2 * covXY + C2)) / ((mx * mx + my * my + C1) * (varX + varY + C2));
+            }
+        }
+        return map;
+    },
+
+    // JPEG-style blocking per 8×8 block (on the image's own grid): how much more the luma steps across
+    // the block's top and left borders grew than the steps inside it did, in levels. Flattened block
+    // interiors and harder block borders both raise it; real edges the encoder kept change neither.
+    blockinessValues(lumaX, lumaY, width, height) {
+        const BLOCK = 8;
+        const values = new Float32Array(width * height);
+        const growth = (i, j) => Math.abs(lumaY[i] - lumaY[j]) - Math.abs(lumaX[i] - lumaX[j]);
+        for (let by = 0; by < height; by += BLOCK) {
+            for (let bx = 0; bx < width; bx += BLOCK) {
+                const right = Math.min(width, bx + BLOCK), bottom = Math.min(height, by + BLOCK);
+                let border = 0, borderCount = 0, inner = 0, innerCount = 0;
+                for (let y = by; y < bottom; y++) {
+                    for (let x = bx; x < right; x++) {
+                        const i = y * width + x;
+                        if (x > 0) {
+                            if (x === bx) { border += growth(i, i - 1); borderCount++; }
+                            else { inner += growth(i, i - 1); innerCount++; }
+                        }
+                        if (y > 0) {
+                            if (y === by) { border += growth(i, i - width); borderCount++; }
+                            else { inner += growth(i, i - width); innerCount++; }
+                        }
+                    }
+                }
+                const value = borderCount && innerCount ? Math.max(0, border / borderCount - inner / innerCount) : 0;
+                for (let y = by; y < bottom; y++) values.fill(value, y * width + bx, y * width + right);
+            }
+        }
+        return values;
+    },
+
+    // Sobel gradient magnitude of a luma plane, edge pixels repeated past the border
+    sobelMagnitude(luma, width, height) {
+        const magnitude = new Float32Array(width * height);
+        for (let y = 0; y < height; y++) {
+            const up = Math.max(0, y - 1) * width, mid = y * width, down = Math.min(height - 1, y + 1) * width;
+            for (let x = 0; x < width; x++) {
+                const l = Math.max(0, x - 1), r = Math.min(width - 1, x + 1);
+                const gx = (luma[up + r] + 2 * luma[mid + r] + luma[down + r]) - (luma[up + l] + 2 * luma[mid + l] + luma[down + l]);
+                const gy = (luma[down + l] + 2 * luma[down + x] + luma[down + r]) - (luma[up + l] + 2 * luma[up + x] + luma[up + r]);
+                magnitude[mid + x] = Math.hypot(gx, gy);
+            }
+        }
+        return magnitude;
+    },
+
+    // Marks every pixel within `radius` (horizontally and vertically, i.e. a square) of a marked one
+    dilateMask(mask, width, height, radius) {
+        const pass = (input, lines, length, stride, step) => {
+            const output = new Uint8Array(input.length);
+            for (let line = 0; line < lines; line++) {
+                const start = line * stride;
+                let count = 0; // Marked pixels in [i - radius, i + radius]
+                for (let i = 0; i < Math.min(radius, length); i++) count += input[start + i * step];
+                for (let i = 0; i < length; i++) {
+                    if (i + radius < length) count += input[start + (i + radius) * step];
+                    if (i - radius - 1 >= 0) count -= input[start + (i - radius - 1) * step];
+                    output[start + i * step] = count > 0 ? 1 : 0;
+                }
+            }
+            return output;
+        };
+        return pass(pass(mask, height, width, width, 1), width, height, 1, width);
+    },
+
+    // Luma error around the original's strong edges, where ringing and blurred edges show; NaN
+    // elsewhere, so flat areas stay clear
+    ringingValues(lumaX, lumaY, width, height) {
+        const magnitude = ImagifyMetrics.sobelMagnitude(lumaX, width, height);
+        const edges = new Uint8Array(width * height);
+        for (let p = 0; p < edges.length; p++) edges[p] = magnitude[p] > ImagifyMetrics.EDGE_THRESHOLD ? 1 : 0;
+        const near = ImagifyMetrics.dilateMask(edges, width, height, ImagifyMetrics.RINGING_RADIUS);
+        const values = new Float32Array(width * height);
+        for (let p = 0; p < values.length; p++) values[p] = near[p] ? Math.abs(lumaY[p] - lumaX[p]) : NaN;
+        return values;
+    },
+
+    // Per-pixel values for a heat map type (see HEATMAP_MODES), in that type's unit. NaN leaves a
+    // pixel clear: transparent in both images, not opaque in the original for ΔE, or away from edges
+    // for ringing. Color differences are alpha-weighted like the metrics; 'rgb' shows the alpha
+    // difference instead when that is larger. The luma-based types (ssim, blockiness, ringing)
+    // premultiply luma by alpha when there is transparency, as calculateSSIM() does.
+    heatMapValues(originalData, compressedData, mode = 'rgb') {
+        const original = originalData.data, compressed = compressedData.data;
+        const { width, height } = originalData;
+        let perPixel = null;
+        if (mode === 'deltaE') {
+            perPixel = ImagifyMetrics.deltaEPixels(originalData, compressedData);
+        } else if (mode === 'ssim' || mode === 'blockiness' || mode === 'ringing') {
+            const premultiplied = !!ImagifyMetrics.alphaWeights(originalData, compressedData);
+            const lumaX = ImagifyMetrics.toLuma(originalData, premultiplied);
+            const lumaY = ImagifyMetrics.toLuma(compressedData, premultiplied);
+            if (mode === 'ssim') perPixel = ImagifyMetrics.ssimMap(lumaX, lumaY, width, height).map(ssim => 1 - ssim);
+            else if (mode === 'blockiness') perPixel = ImagifyMetrics.blockinessValues(lumaX, lumaY, width, height);
+            else perPixel = ImagifyMetrics.ringingValues(lumaX, lumaY, width, height);
+        }
+
+        const values = new Float32Array(width * height);
+        for (let p = 0, i = 0; p < values.length; p++, i += 4) {
+            const a1 = original[i + 3], a2 = compressed[i + 3];
+            if (a1 === 0 && a2 === 0) { // Leave transparent pixels clear
+                values[p] = NaN;
+                continue;
+            }
+            if (perPixel) {
+                values[p] = perPixel[p];
+                continue;
+            }
+            const weight = Math.max(a1, a2) / 255;
+            const dr = original[i] - compressed[i], dg = original[i + 1] - compressed[i + 1], db = original[i + 2] - compressed[i + 2];
+            switch (mode) {
+                case 'r': values[p] = weight * Math.abs(dr); break;
+                case 'g': values[p] = weight * Math.abs(dg); break;
+                case 'b': values[p] = weight * Math.abs(db); break;
+                case 'y': values[p] = weight * Math.abs(0.299 * dr + 0.587 * dg + 0.114 * db); break;
+                case 'cb': values[p] = weight * Math.abs(-0.168736 * dr - 0.331264 * dg + 0.5 * db); break;
+                case 'cr': values[p] = weight * Math.abs(0.5 * dr - 0.418688 * dg - 0.081312 * db); break;
+                default: values[p] = Math.max(weight * (Math.abs(dr) + Math.abs(dg) + Math.abs(db)) / 3, Math.abs(a1 - a2));
+            }
+        }
+        return values;
+    },
+
+    // heatMapValues() output colored with getHeatMapColor() over 0..max of the type; returns RGBA bytes.
+    // Values below `threshold` (a fraction of max) stay clear, as do NaN values.
+    colorizeHeatMap(values, mode = 'rgb', { threshold = 0 } = {}) {
+        const { max } = ImagifyMetrics.HEATMAP_MODES[mode] || ImagifyMetrics.HEATMAP_MODES.rgb;
+        const heatMapData = new Uint8ClampedArray(values.length * 4);
+        for (let p = 0; p < values.length; p++) {
+            const value = values[p];
+            if (Number.isNaN(value)) continue;
+            const intensity = Math.max(0, Math.min(1, value / max));
+            if (threshold > 0 && intensity < threshold) continue;
+            const { r, g, b } = ImagifyMetrics.getHeatMapColor(intensity);
+            heatMapData.set([r, g, b, Math.max(30, intensity * 225)], p * 4);
+        }
+        return heatMapData;
+    },
+
+    // Colored heat map in one step; see heatMapValues() and colorizeHeatMap()
+    computeHeatMap(originalData, compressedData, mode = 'rgb', options = {}) {
+        return ImagifyMetrics.colorizeHeatMap(ImagifyMetrics.heatMapValues(originalData, compressedData, mode), mode, options);
+    }
+};
+
+// Node (server, CLI) loads the same metrics through require()
+if (typeof module === 'object' && module.exports) {
+    module.exports = ImagifyMetrics;
+}
@@ -0,0 +1,366 @@
+//imagify-palette.js//
+// PNG-8 output: palette quantization and an indexed-color PNG writer, DOM-free like imagify-core.js
+// so the worker, the main-thread fallback and the Node tools all produce the same files.
+//
+// Quantization is median cut on a color histogram in premultiplied Lab plus alpha, refined with a
+// few k-means passes. `colors` caps the palette and quality decides how much of it is used: cutting
+// stops early once the RMS error is within (100 - quality) / 10 ΔE, so at 100 every allowed color is
+// used and lower qualities settle for fewer on images that allow it. Pixels are then mapped to the
+// nearest entry, optionally with Floyd–Steinberg dithering. Fully transparent pixels share one palette
+// entry and tRNS keeps the alpha of translucent ones, so transparency survives.
+const ImagifyPalette = (() => {
+    const Metrics = typeof ImagifyMetrics !== 'undefined' ? ImagifyMetrics : require('./imagify-metrics.js');
+    const Zip = typeof ZipWriter !== 'undefined' ? ZipWriter : require('./zip-writer.js'); // For its CRC-32
+
+    const KMEANS_PASSES = 4;
+    const KMEANS_BUDGET = 2e7; // histogram entries × colors above which refinement is skipped
+    const DITHER_LIMIT = 16; // largest error (per channel, in 0-255 levels) one pixel passes on
+
+    // Histogram bins: 5 bits per RGB channel and 4 bits of alpha
+    const BIN_COUNT = 1 << 19;
+    const binOf = (r, g, b, a) => ((r >> 3) << 14) | ((g >> 3) << 9) | ((b >> 3) << 4) | (a >> 4);
+
+    // Nearest-color cache cells: finer than the bins (6 bits per RGB channel) since palette entries can be close
+    const LOOKUP_COUNT = 1 << 22;
+    const lookupKeyOf = (r, g, b, a) => ((r >> 2) << 16) | ((g >> 2) << 10) | ((b >> 2) << 4) | (a >> 4);
+
+    const histograms = new WeakMap(); // rgba -> histogram, so quality probes build it once
+
+    // Distance space: Lab scaled by alpha, plus alpha itself on the L* scale. Opaque colors compare
+    // by plain Lab distance; the fainter two colors are, the less their hue matters.
+    const lab = new Float64Array(3);
+    function toVector(r, g, b, a, out, offset) {
+        Metrics.rgbToLab(Math.round(r), Math.round(g), Math.round(b), lab);
+        const alpha = a / 255;
+        out[offset] = lab[0] * alpha;
+        out[offset + 1] = lab[1] * alpha;
+        out[offset + 2] = lab[2] * alpha;
+        out[offset + 3] = alpha * 100;
+    }
+
+    // Visible pixels binned by color: per bin the pixel count, mean RGBA and its distance vector
+    function buildHistogram(rgba) {
+        let histogram = histograms.get(rgba);
+        if (histogram) return histogram;
+        const { data } = rgba;
+        const slots = new Int32Array(BIN_COUNT).fill(-1);
+        const counts = [], sums = [];
+        let transparent = 0;
+        for (let i = 0; i < data.length; i += 4) {
+            const a = data[i + 3];
+            if (a === 0) {
+                transparent++;
+                continue;
+            }
+            const bin = binOf(data[i], data[i + 1], data[i + 2], a);
+            let slot = slots[bin];
+            if (slot < 0) {
+                slot = slots[bin] = counts.length;
+                counts.push(0);
+                sums.push(0, 0, 0, 0);
+            }
+            counts[slot]++;
+            sums[slot * 4] += data[i];
+            sums[slot * 4 + 1] += data[i + 1];
+            sums[slot * 4 + 2] += data[i + 2];
+            sums[slot * 4 + 3] += a;
+        }
+
+        const size = counts.length;
+        const colors = new Float64Array(size * 4);
+        const vectors = new Float64Array(size * 4);
+        for (let slot = 0; slot < size; slot++) {
+            for (let c = 0; c < 4; c++) colors[slot * 4 + c] = sums[slot * 4 + c] / counts[slot];
+            toVector(colors[slot * 4], colors[slot * 4 + 1], colors[slot * 4 + 2], colors[slot * 4 + 3], vectors, slot * 4);
+        }
+        histogram = { size, counts: Float64Array.from(counts), colors, vectors, transparent };
+        histograms.set(rgba, histogram);
+        return histogram;
+    }
+
+    // Count, vector sums and per-axis sums of squares of a set of histogram entries
+    function makeBox(histogram, entries) {
+        const { counts, vectors } = histogram;
+        const sum = new Float64Array(4), squares = new Float64Array(4);
+        let count = 0;
+        for (const entry of entries) {
+            const weight = counts[entry];
+            count += weight;
+            for (let c = 0; c < 4; c++) {
+                const value = vectors[entry * 4 + c];
+                sum[c] += weight * value;
+                squares[c] += weight * value * value;
+            }
+        }
+        // Squared error of every pixel against the box mean, per axis
+        const spread = Array.from(squares, (square, c) => Math.max(0, square - sum[c] * sum[c] / count));
+        return { entries, count, spread, error: spread.reduce((a, b) => a + b, 0) };
+    }
+
+    // Splits the box with the largest error along its widest axis at the pixel-weighted median,
+    // until there are maxColors boxes or the RMS error is within maxError
+    function medianCut(histogram, maxColors, maxError) {
+        const all = Array.from({ length: histogram.size }, (_, i) => i);
+        const boxes = [makeBox(histogram, all)];
+        const pixels = boxes[0].count;
+        let totalError = boxes[0].error;
+
+        while (boxes.length < maxColors && Math.sqrt(totalError / pixels) > maxError) {
+            let target = -1;
+            for (let i = 0; i < boxes.length; i++) {
+                if (boxes[i].entries.length > 1 && (target < 0 || boxes[i].error > boxes[target].error)) target = i;
+            }
+            if (target < 0) break; // Every box is a single color
+
+            const box = boxes[target];
+            const axis = box.spread.indexOf(Math.max(...box.spread));
+            const entries = box.entries.slice().sort((a, b) => histogram.vectors[a * 4 + axis] - histogram.vectors[b * 4 + axis]);
+            let split = 1, seen = histogram.counts[entries[0]];
+            while (split < entries.length - 1 && seen + histogram.counts[entries[split]] <= box.count / 2) {
+                seen += histogram.counts[entries[split++]];
+            }
+            const low = makeBox(histogram, entries.slice(0, split));
+            const high = makeBox(histogram, entries.slice(split));
+            boxes.splice(target, 1, low, high);
+            totalError += low.error + high.error - box.error;
+        }
+        return boxes;
+    }
+
+    function nearest(vectors, length, v0, v1, v2, v3) {
+        let best = 0, bestDistance = Infinity;
+        for (let i = 0; i < length; i++) {
+            const d0 = vectors[i * 4] - v0, d1 = vectors[i * 4 + 1] - v1;
+            const d2 = vectors[i * 4 + 2] - v2, d3 = vectors[i * 4 + 3] - v3;
+            const distance = d0 * d0 + d1 * d1 + d2 * d2 + d3 * d3;
+            if (distance < bestDistance) {
+                bestDistance = distance;
+                best = i;
+            }
+        }
+        return best;
+    }
+
+    // Pixel-weighted mean color and vector of each cluster of histogram entries
+    function centroids(histogram, clusters) {
+        const colors = new Float64Array(clusters.length * 4);
+        const vectors = new Float64Array(clusters.length * 4);
+        clusters.forEach((entries, k) => {
+            let count = 0;
+            for (const entry of entries) {
+                const weight = histogram.counts[entry];
+                count += weight;
+                for (let c = 0; c < 4; c++) {
+                    colors[k * 4 + c] += weight * histogram.colors[entry * 4 + c];
+                    vectors[k * 4 + c] += weight * histogram.vectors[entry * 4 + c];
+                }
+            }
+            for (let c = 0; c < 4; c++) {
+                colors[k * 4 + c] /= count;
+                vectors[k * 4 + c] /= count;
+            }
+        });
+        return { colors, vectors };
+    }
+
+    // Lloyd iterations over the histogram: reassign every entry to its nearest centroid and re-average
+    function refine(histogram, clusters) {
+        let centers = centroids(histogram, clusters);
+        if (histogram.size * clusters.length > KMEANS_BUDGET) return centers;
+        for (let pass = 0; pass < KMEANS_PASSES; pass++) {
+            const next = clusters.map(() => []);
+            for (let entry = 0; entry < histogram.size; entry++) {
+                const v = entry * 4;
+                const k = nearest(centers.vectors, clusters.length, histogram.vectors[v], histogram.vectors[v + 1], histogram.vectors[v + 2], histogram.vectors[v + 3]);
+                next[k].push(entry);
+            }
+            // A cluster that lost every entry keeps its old members rather than vanishing
+            clusters = next.map((entries, k) => (entries.length ? entries : clusters[k]));
+            centers = centroids(histogram, clusters);
+        }
+        return centers;
+    }
+
+    // Final RGBA palette: the transparent entry first, then translucent colors, then opaque ones,
+    // so tRNS only has to cover the front of the palette
+    function buildPalette(colors, hasTransparent) {
+        const entries = [];
+        if (hasTransparent) entries.push([0, 0, 0, 0]);
+        for (let k = 0; k < colors.length / 4; k++) {
+            const alpha = colors[k * 4 + 3];
+            entries.push([
+                Math.round(colors[k * 4]),
+                Math.round(colors[k * 4 + 1]),
+                Math.round(colors[k * 4 + 2]),
+                alpha > 250 ? 255 : Math.max(1, Math.round(alpha)) // Near-opaque averages snap back to opaque
+            ]);
+        }
+        const [first, rest] = hasTransparent ? [entries.slice(0, 1), entries.slice(1)] : [[], entries];
+        rest.sort((a, b) => a[3] - b[3]);
+        return Uint8Array.from([...first, ...rest].flat());
+    }
+
+    // Maps every pixel to a palette index
+    function mapPixels(rgba, palette, dither) {
+        const { data, width, height } = rgba;
+        const length = palette.length / 4;
+        const transparentIndex = palette[3] === 0 ? 0 : -1;
+        const vectors = new Float64Array(length * 4);
+        for (let i = 0; i < length; i++) {
+            toVector(palette[i * 4], palette[i * 4 + 1], palette[i * 4 + 2], palette[i * 4 + 3], vectors, i * 4);
+        }
+        // The transparent entry only serves fully transparent pixels
+        const first = transparentIndex === 0 ? 1 : 0;
+        const candidates = vectors.subarray(first * 4);
+
+        const cache = new Int16Array(LOOKUP_COUNT).fill(-1);
+        const vector = new Float64Array(4);
+        const lookup = (r, g, b, a) => {
+            const key = lookupKeyOf(r, g, b, a);
+            if (cache[key] < 0) {
+                // Cell center, so the answer doesn't depend on which pixel filled the cell first
+                toVector((r >> 2 << 2) + 2, (g >> 2 << 2) + 2, (b >> 2 << 2) + 2, Math.min(255, (a >> 4 << 4) + 8), vector, 0);
+                cache[key] = first + nearest(candidates, length - first, vector[0], vector[1], vector[2], vector[3]);
+            }
+            return cache[key];
+        };
+
+        const indices = new Uint8Array(width * height);
+        // Floyd–Steinberg: RGB error carried to the right and to the row below (rows padded by one pixel),
+        // weighted by alpha and capped at DITHER_LIMIT so a poor palette match can't streak across flat areas
+        let current = dither ? new Float32Array((width + 2) * 3) : null;
+        let next = dither ? new Float32Array((width + 2) * 3) : null;
+        for (let y = 0; y < height; y++) {
+            for (let x = 0; x < width; x++) {
+                const p = y * width + x, i = p * 4;
+                const a = data[i + 3];
+                if (a === 0 && transparentIndex === 0) {
+                    indices[p] = 0;
+                    continue;
+                }
+                if (!dither) {
+                    indices[p] = lookup(data[i], data[i + 1], data[i + 2], a);
+                    continue;
+                }
+                const e = (x + 1) * 3;
+                const r = Math.min(255, Math.max(0, Math.round(data[i] + current[e])));
+                const g = Math.min(255, Math.max(0, Math.round(data[i + 1] + current[e + 1])));
+                const b = Math.min(255, Math.max(0, Math.round(data[i + 2] + current[e + 2])));
+                const index = indices[p] = lookup(r, g, b, a);
+                const color = [r, g, b];
+                for (let c = 0; c < 3; c++) {
+                    const error = Math.max(-DITHER_LIMIT, Math.min(DITHER_LIMIT, (color[c] - palette[index * 4 + c]) * a / 255));
+                    current[e + 3 + c] += error * 7 / 16;
+                    next[e - 3 + c] += error * 3 / 16;
+                    next[e + c] += error * 5 / 16;
+                    next[e + 3 + c] += error / 16;
+                }
+            }
+            if (dither) {
+                [current, next] = [next, current];
+                next.fill(0);
+            }
+        }
+        return indices;
+    }
+
+    // zlib stream via CompressionStream('deflate'), available in browsers, workers and Node 18+
+    async function deflate(bytes) {
+        const stream = new Blob([bytes]).stream().pipeThrough(new CompressionStream('deflate'));
+        return new Uint8Array(await new Response(stream).arrayBuffer());
+    }
+
+    // Length, type, data and CRC (over type and data) of one PNG chunk
+    function chunk(type, data) {
+        const bytes = new Uint8Array(12 + data.length);
+        const view = new DataView(bytes.buffer);
+        view.setUint32(0, data.length);
+        for (let i = 0; i < 4; i++) bytes[4 + i] = type.charCodeAt(i);
+        bytes.set(data, 8);
+        view.setUint32(8 + data.length, Zip.crc32(bytes.subarray(4, 8 + data.length)));
+        return bytes;
+    }
+
+    const PNG_SIGNATURE = [0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A];
+
+    return {
+        MIN_COLORS: 2,
+        MAX_COLORS: 256,
+
+        // RMS ΔE the palette may leave at a quality: 0 at 100 (use every allowed color), 9.9 at 1
+        errorForQuality(quality) {
+            return (100 - quality) / 10;
+        },
+
+        // RGBA -> { width, height, palette: RGBA bytes, indices: one palette index per pixel }
+        quantize(rgba, { colors = 256, quality = 100, dither = true } = {}) {
+            const maxColors = Math.max(ImagifyPalette.MIN_COLORS, Math.min(ImagifyPalette.MAX_COLORS, Math.round(colors)));
+            const histogram = buildHistogram(rgba);
+            const hasTransparent = histogram.transparent > 0;
+            let palette;
+            if (histogram.size === 0) {
+                palette = Uint8Array.of(0, 0, 0, 0);
+            } else {
+                const boxes = medianCut(histogram, maxColors - (hasTransparent ? 1 : 0), ImagifyPalette.errorForQuality(quality));
+                palette = buildPalette(refine(histogram, boxes.map(box => box.entries)).colors, hasTransparent);
+            }
+            return { width: rgba.width, height: rgba.height, palette, indices: mapPixels(rgba, palette, dither) };
+        },
+
+        // Indexed image -> PNG bytes (color type 3). Small palettes pack 1, 2 or 4 pixels' worth of bits
+        // per index; every row uses filter 0, which suits palette data best.
+        async encodePng({ width, height, palette, indices }) {
+            const length = palette.length / 4;
+            const bitDepth = length <= 2 ? 1 : length <= 4 ? 2 : length <= 16 ? 4 : 8;
+            const rowBytes = Math.ceil(width * bitDepth / 8);
+            const raw = new Uint8Array((rowBytes + 1) * height);
+            const perByte = 8 / bitDepth;
+            for (let y = 0; y < height; y++) {
+                const row = y * (rowBytes + 1) + 1;
+                for (let x = 0; x < width; x++) {
+                    raw[row + Math.floor(x / perByte)] |= indices[y * width + x] << (8 - bitDepth * (x % perByte + 1));
+                }
+            }
+
+            const header = new Uint8Array(13);
+            const view = new DataView(header.buffer);
+            view.setUint32(0, width);
+            view.setUint32(4, height);
+            header.set([bitDepth, 3, 0, 0, 0], 8);
+
+            const rgb = new Uint8Array(length * 3);
+            let translucent = 0;
+            for (let i = 0; i < length; i++) {
+                rgb.set(palette.subarray(i * 4, i * 4 + 3), i * 3);
+                if (palette[i * 4 + 3] !== 255) translucent = i + 1;
+            }
+            const alpha = Uint8Array.from({ length: translucent }, (_, i) => palette[i * 4 + 3]);
+
+            const chunks = [
+                Uint8Array.from(PNG_SIGNATURE),
+                chunk('IHDR', header),
+                chunk('PLTE', rgb),
+                ...(translucent ? [chunk('tRNS', alpha)] : []),
+                chunk('IDAT', await deflate(raw)),
+                chunk('IEND', new Uint8Array(0))
+            ];
+            const png = new Uint8Array(chunks.reduce((total, part) => total + part.length, 0));
+            let offset = 0;
+            for (const part of chunks) {
+                png.set(part, offset);
+                offset += part.length;
+            }
+            return png;
+        },
+
+        // RGBA -> PNG-8 bytes; options as for quantize()
+        async encode(rgba, options) {
+            return ImagifyPalette.encodePng(ImagifyPalette.quantize(rgba, options));
+        }
+    };
+})();
+
+// Node (server, CLI) loads the same quantizer through require()
+if (typeof module === 'object' && module.exports) {
+    module.exports = ImagifyPalette;
+}
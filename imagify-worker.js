@@ -0,0 +1,18 @@
+//imagify-worker.js//
+// Runs ImagifyEngine off the main thread so encoding and metrics never block the UI.
+importScripts('imagify-metrics.js', 'zip-writer.js', 'imagify-palette.js', 'imagify-jpeg.js', 'imagify-core.js', 'imagify-engine.js');
+
+const engine = new ImagifyEngine();
+
+self.onmessage = async e => {
+    const { id } = e.data;
+    try {
+        const { result, transfer } = await engine.handle(e.data);
+        self.postMessage({ id, result }, transfer);
+    } catch (error) {
+        if (!ImagifyEngine.isAbortError(error)) {
+            console.error(`Engine job ${e.data.type} failed:`, error);
+        }
+        self.postMessage({ id, error: { name: error.name, message: error.message } });
+    }
+};
@@ -1,16 +1,771 @@
 const express = require('express');
 const multer = require('multer');
 const sharp = require('sharp');
+const fs = require('fs/promises');
 const path = require('path');
+const crypto = require('crypto');
+const ImagifyCore = require('./imagify-core.js');
+const ZipWriter = require('./zip-writer.js');
+const JobQueue = require('./job-queue.js');
+const ImageCache = require('./image-cache.js');
+const RateLimiter = require('./rate-limiter.js');
 
 const app = express();
 const port = 3000;
 
+// Same limit the browser enforces in handleFileSelect()
+const MAX_UPLOAD_SIZE = 10 * 1024 * 1024;
+
+// Hardening; the environment can override all but the form limits. MAX_PIXELS bounds both what an
+// upload's header may declare and what a resize may produce.
+const MAX_PIXELS = Number(process.env.IMAGIFY_MAX_PIXELS) || 50 * 1000 * 1000;
+const UPLOAD_RATE_LIMIT = parseInt(process.env.IMAGIFY_RATE_LIMIT, 10) || 30; // POSTs per minute per IP
+const READ_RATE_LIMIT = parseInt(process.env.IMAGIFY_READ_RATE_LIMIT, 10) || 300; // GETs per minute per IP
+const REQUEST_TIMEOUT = (Number(process.env.IMAGIFY_REQUEST_TIMEOUT) || 60) * 1000;
+const FORM_LIMITS = { fields: 20, fieldNameSize: 100, fieldSize: 1024 }; // Settings fields are short
+const FORM_OVERHEAD = 1024 * 1024; // Multipart headers and fields on top of the files, for the Content-Length check
+
+// /api/jobs: files per job, and queue settings the environment can override
+const MAX_JOB_FILES = 50;
+const JOBS_DIR = process.env.IMAGIFY_JOBS_DIR || path.join(__dirname, 'jobs');
+const JOB_CONCURRENCY = parseInt(process.env.IMAGIFY_JOB_CONCURRENCY, 10) || 2;
+const JOB_TTL_HOURS = Number(process.env.IMAGIFY_JOB_TTL_HOURS) || 24;
+
+// /img: where source images are read from, the on-disk variant cache and how long clients may
+// keep a response (seconds); the environment can override them
+const IMAGES_DIR = path.resolve(process.env.IMAGIFY_IMAGES_DIR || path.join(__dirname, 'public'));
+const IMAGE_CACHE_DIR = process.env.IMAGIFY_IMAGE_CACHE_DIR || path.join(__dirname, 'cache');
+const IMAGE_CACHE_MAX_MB = Number(process.env.IMAGIFY_IMAGE_CACHE_MAX_MB) || 256;
+const IMAGE_MAX_AGE = parseInt(process.env.IMAGIFY_IMAGE_MAX_AGE, 10) || 24 * 60 * 60;
+const IMAGE_DEFAULT_QUALITY = 80; // The CLI's default too
+const IMAGE_MAX_DIMENSION = 4096;
+// Source files /img serves; the static middleware sends requests for them there
+const IMAGE_EXTENSIONS = /\.(jpe?g|png|webp|avif|gif)$/i;
+// Formats /img picks from the Accept header, best first; JPEG is the fallback for everything else
+const NEGOTIATED_FORMATS = ['avif', 'webp'];
+
+// Output formats accepted by /api/compress, keyed by the `format` field value
+const { OUTPUT_FORMATS } = ImagifyCore;
+
+// The same core the browser engine runs, encoding through sharp instead of a canvas
+const encoder = ImagifyCore.createSharpEncoder(sharp);
+
+// An error response: the HTTP status, a stable `code` clients can branch on, and a message fit for
+// the UI's showError(). `details` are added to the JSON body (e.g. the invalid `field`).
+class ApiError extends Error {
+  constructor(status, code, message, details = {}) {
+    super(message);
+    this.status = status;
+    this.code = code;
+    this.details = details;
+  }
+}
+
+// Every rejection has the same shape: { error, code, ...details }. Does nothing once the request has
+// been answered (e.g. it timed out while the work went on).
+function sendError(res, error) {
+  if (res.headersSent) return;
+  res.status(error.status).json({ error: error.message, code: error.code, ...error.details });
+}
+
+function invalidSetting(field, message) {
+  return new ApiError(400, 'INVALID_SETTING', message, { field });
+}
+
+// Keep uploads in memory; sharp works directly on the buffer. Their type is checked from their
+// bytes after the upload (see checkImage()), not from the declared MIME type.
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_UPLOAD_SIZE, files: 1, ...FORM_LIMITS }
+});
+
+// /api/compare takes a reference and a candidate
+const compareUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_UPLOAD_SIZE, files: 2, ...FORM_LIMITS }
+}).fields([{ name: 'reference', maxCount: 1 }, { name: 'candidate', maxCount: 1 }]);
+
+const queue = new JobQueue({
+  dir: JOBS_DIR,
+  concurrency: JOB_CONCURRENCY,
+  ttl: JOB_TTL_HOURS * 60 * 60 * 1000,
+  processFile: compressJobFile
+});
+
+// Job uploads go straight to disk: the queue keeps them there until they have run
+const jobUpload = multer({
+  storage: multer.diskStorage({ destination: queue.uploadDir }),
+  limits: { fileSize: MAX_UPLOAD_SIZE, files: MAX_JOB_FILES, ...FORM_LIMITS }
+});
+
+const imageCache = new ImageCache({ dir: IMAGE_CACHE_DIR, maxBytes: IMAGE_CACHE_MAX_MB * 1024 * 1024 });
+
+// In-flight /img transforms by cache key, so simultaneous requests for a new variant encode it once
+const transforms = new Map();
+
+const uploadLimiter = new RateLimiter({ limit: UPLOAD_RATE_LIMIT });
+const readLimiter = new RateLimiter({ limit: READ_RATE_LIMIT });
+
+// Counts the request against the client's POST (upload) or GET budget; over it, answers 429 with
+// Retry-After. The RateLimit-* headers tell well-behaved clients how much is left.
+function rateLimit(req, res, next) {
+  const limiter = req.method === 'POST' ? uploadLimiter : readLimiter;
+  const { allowed, remaining, resetAt } = limiter.hit(req.ip);
+  const retryAfter = Math.max(1, Math.ceil((resetAt - Date.now()) / 1000));
+  res.set({ 'RateLimit-Limit': String(limiter.limit), 'RateLimit-Remaining': String(remaining), 'RateLimit-Reset': String(retryAfter) });
+  if (allowed) return next();
+  res.set('Retry-After', String(retryAfter));
+  sendError(res, new ApiError(429, 'RATE_LIMITED', `Too many requests. Please wait ${retryAfter} seconds and try again.`, { retryAfter }));
+}
+
+// Answers 503 once a request (upload included) has run for REQUEST_TIMEOUT. Encoding cannot be
+// interrupted, so routes check res.headersSent before answering, as sendError() does.
+function requestTimeout(req, res, next) {
+  const timer = setTimeout(() => {
+    sendError(res, new ApiError(503, 'TIMEOUT', `The request took longer than ${REQUEST_TIMEOUT / 1000} seconds. Try a smaller image or fewer files.`));
+  }, REQUEST_TIMEOUT);
+  res.on('close', () => clearTimeout(timer));
+  next();
+}
+
+// Refuses uploads whose declared length is already over what the route accepts, before any of it is
+// read; multer's limits catch the rest (e.g. chunked requests without a Content-Length)
+function limitRequestSize(maxFiles) {
+  const maxBytes = maxFiles * MAX_UPLOAD_SIZE + FORM_OVERHEAD;
+  return (req, res, next) => {
+    if (Number(req.get('Content-Length')) > maxBytes) {
+      res.set('Connection', 'close'); // Do not wait for the rest of the body
+      return sendError(res, new ApiError(413, 'REQUEST_TOO_LARGE', `The request is larger than the ${Math.round(maxBytes / (1024 * 1024))}MB this endpoint accepts.`));
+    }
+    next();
+  };
+}
+
+// Async handlers' unexpected failures become a 500 instead of an unhandled rejection
+function route(handler) {
+  return (req, res, next) => handler(req, res, next).catch(error => {
+    console.error('Unhandled route error:', error);
+    sendError(res, new ApiError(500, 'INTERNAL', 'Something went wrong on the server. Please try again.'));
+  });
+}
+
+// Reads the first bytes of a file on disk, for sniffing its type
+async function readHeader(filePath) {
+  const handle = await fs.open(filePath, 'r');
+  try {
+    const { buffer, bytesRead } = await handle.read(Buffer.alloc(ImagifyCore.SNIFF_BYTES), 0, ImagifyCore.SNIFF_BYTES, 0);
+    return buffer.subarray(0, bytesRead);
+  } finally {
+    await handle.close();
+  }
+}
+
+// Checks an image (a buffer or a file path) by content: its leading bytes must be a format we decode,
+// whatever its declared type, and the dimensions in its header must stay within MAX_PIXELS, so a small
+// file that would inflate to gigabytes is refused before it is decoded. Resolves with its MIME type.
+async function checkImage(input, name) {
+  const header = typeof input === 'string' ? await readHeader(input) : input.subarray(0, ImagifyCore.SNIFF_BYTES);
+  const mime = ImagifyCore.sniffImageType(header);
+  if (!mime) {
+    throw new ApiError(415, 'UNSUPPORTED_TYPE', `"${name}" is not a valid image file (JPG, PNG, WebP, AVIF or GIF).`);
+  }
+  let metadata;
+  try {
+    metadata = await sharp(input).metadata();
+  } catch (error) {
+    throw new ApiError(422, 'INVALID_IMAGE', `"${name}" looks like ${mime.slice(6).toUpperCase()} but could not be read: ${error.message}`);
+  }
+  if (metadata.width * metadata.height > MAX_PIXELS) {
+    throw new ApiError(413, 'IMAGE_TOO_LARGE', `"${name}" is ${metadata.width}×${metadata.height} pixels; images may have at most ${MAX_PIXELS / 1e6} megapixels.`);
+  }
+  return mime;
+}
+
 // Basic setup
-app.use(express.json());
-app.use(express.static('public'));
+if (process.env.IMAGIFY_TRUST_PROXY) {
+  app.set('trust proxy', process.env.IMAGIFY_TRUST_PROXY); // So req.ip (and the rate limits) see the client, not the proxy
+}
+app.use(express.json({ limit: '16kb' }));
+app.use(['/api', '/img'], requestTimeout, rateLimit);
+
+// The stats of image `name` (a path relative to IMAGES_DIR), or null when it is not an image file in there
+async function statSourceImage(name) {
+  const sourcePath = path.resolve(IMAGES_DIR, name);
+  const stat = sourcePath.startsWith(IMAGES_DIR + path.sep) && IMAGE_EXTENSIONS.test(sourcePath)
+    ? await fs.stat(sourcePath).catch(() => null)
+    : null;
+  return stat && stat.isFile() ? { sourcePath, stat } : null;
+}
+
+// Images in IMAGES_DIR are served through /img (format negotiation, resizing, caching), so requesting
+// one at its own path redirects there; other files are served as they are, and other paths fall through
+app.use(route(async (req, res, next) => {
+  if ((req.method !== 'GET' && req.method !== 'HEAD') || !IMAGE_EXTENSIONS.test(req.path) || /^\/(api|img)\//.test(req.path)) {
+    return next();
+  }
+  let name;
+  try {
+    name = decodeURIComponent(req.path.slice(1));
+  } catch (error) {
+    return next(); // Malformed escapes name no file
+  }
+  if (!await statSourceImage(name)) return next();
+  res.redirect(301, `/img${req.url}`);
+}));
+app.use(express.static(IMAGES_DIR));
+
+// Parses an optional positive integer form field, returning null when empty or not such a number
+function parseDimension(value) {
+  if (value === undefined || value === '') return null;
+  const parsed = parseInt(value, 10);
+  return Number.isFinite(parsed) && parsed > 0 ? parsed : null;
+}
+
+function parseQuality(value) {
+  if (value === undefined || value === '') return 100; // Browser starts at 100%
+  const parsed = parseInt(value, 10);
+  if (!Number.isFinite(parsed)) return null;
+  return Math.max(1, Math.min(100, parsed));
+}
+
+function parseFormat(value) {
+  const format = (value || 'jpeg').toLowerCase();
+  if (format === 'jpg') return 'jpeg';
+  return OUTPUT_FORMATS[format] ? format : null;
+}
+
+// Optional choice among `allowed`, falling back to the first entry when empty
+function parseChoice(value, allowed) {
+  if (value === undefined || value === '') return allowed[0];
+  return allowed.includes(value) ? value : null;
+}
+
+// Optional hex color used when transparency has to be flattened
+function parseBackground(value) {
+  if (value === undefined || value === '') return ImagifyCore.DEFAULT_BACKGROUND;
+  return ImagifyCore.parseColor(value) ? value : null;
+}
+
+// Optional PNG-8 palette size, 2-256 colors
+function parseColors(value) {
+  if (value === undefined || value === '') return OUTPUT_FORMATS.png8.colors;
+  const parsed = parseInt(value, 10);
+  return Number.isFinite(parsed) && parsed >= 2 && parsed <= 256 ? parsed : null;
+}
+
+function parseFlag(value) {
+  return value === 'true' || value === '1';
+}
+
+// /img query (w, h, q, fmt, fit) as compressBuffer() options, or { error }. Without fmt (or with
+// fmt=auto), `format` is null: the route negotiates it.
+function parseImageQuery(query) {
+  const field = key => (typeof query[key] === 'string' && query[key] !== '' ? query[key] : undefined);
+  const maxWidth = parseDimension(field('w'));
+  const maxHeight = parseDimension(field('h'));
+  if ((field('w') && (maxWidth === null || maxWidth > IMAGE_MAX_DIMENSION)) || (field('h') && (maxHeight === null || maxHeight > IMAGE_MAX_DIMENSION))) {
+    return { error: invalidSetting(field('w') && (maxWidth === null || maxWidth > IMAGE_MAX_DIMENSION) ? 'w' : 'h', `w and h must be whole numbers between 1 and ${IMAGE_MAX_DIMENSION}.`) };
+  }
+  const quality = field('q') === undefined ? IMAGE_DEFAULT_QUALITY : parseQuality(field('q'));
+  if (quality === null) {
+    return { error: invalidSetting('q', 'q must be a number between 1 and 100.') };
+  }
+  const format = field('fmt') === undefined || field('fmt') === 'auto' ? null : parseFormat(field('fmt'));
+  if (format === null && field('fmt') !== undefined && field('fmt') !== 'auto') {
+    return { error: invalidSetting('fmt', `Unsupported fmt. Use auto or one of: ${Object.keys(OUTPUT_FORMATS).join(', ')}.`) };
+  }
+  const fit = parseChoice(field('fit'), ImagifyCore.FIT_MODES);
+  if (fit === null) {
+    return { error: invalidSetting('fit', `Unsupported fit mode. Use one of: ${ImagifyCore.FIT_MODES.join(', ')}.`) };
+  }
+  return { settings: { quality, maxWidth, maxHeight, fit, format } };
+}
+
+// Best of NEGOTIATED_FORMATS that the Accept header names with a nonzero q, else 'jpeg'. Wildcards
+// do not count: browsers send */* whatever they can decode.
+function negotiateFormat(accept = '') {
+  const accepted = new Set();
+  for (const part of accept.toLowerCase().split(',')) {
+    const [type, ...params] = part.split(';').map(token => token.trim());
+    const q = params.find(param => param.startsWith('q='));
+    if (!q || Number(q.slice(2)) > 0) accepted.add(type);
+  }
+  return NEGOTIATED_FORMATS.find(format => accepted.has(OUTPUT_FORMATS[format].mime)) || 'jpeg';
+}
+
+// Optional heat map type for /api/compare: a key of HEATMAP_MODES, or a flag meaning 'rgb'.
+// false when none is wanted, null when the value is not a type.
+function parseHeatMapMode(value) {
+  if (value === undefined || value === '' || value === 'false' || value === '0') return false;
+  if (value === 'true' || value === '1') return 'rgb';
+  return ImagifyCore.HEATMAP_MODES[value] ? value : null;
+}
+
+// Optional heat map threshold, a percentage of the type's scale as on the UI slider
+function parseThreshold(value) {
+  if (value === undefined || value === '') return 0;
+  const parsed = Number(value);
+  return Number.isFinite(parsed) && parsed >= 0 && parsed <= 100 ? parsed / 100 : null;
+}
+
+// compressBuffer() options from the form fields shared by /api/compress and /api/jobs,
+// as { settings } or { error }: an ApiError naming the first invalid field
+function parseSettings(body) {
+  const quality = parseQuality(body.quality);
+  const format = parseFormat(body.format);
+  if (quality === null) {
+    return { error: invalidSetting('quality', 'Quality must be a number between 1 and 100.') };
+  }
+  if (format === null) {
+    return { error: invalidSetting('format', `Unsupported output format. Use one of: ${Object.keys(OUTPUT_FORMATS).join(', ')}.`) };
+  }
+  const maxWidth = parseDimension(body.maxWidth);
+  const maxHeight = parseDimension(body.maxHeight);
+  if (maxWidth === null && body.maxWidth !== undefined && body.maxWidth !== '') {
+    return { error: invalidSetting('maxWidth', 'maxWidth must be a whole number of at least 1.') };
+  }
+  if (maxHeight === null && body.maxHeight !== undefined && body.maxHeight !== '') {
+    return { error: invalidSetting('maxHeight', 'maxHeight must be a whole number of at least 1.') };
+  }
+  const fit = parseChoice(body.fit, ImagifyCore.FIT_MODES);
+  const filter = parseChoice(body.filter, ImagifyCore.RESAMPLING_FILTERS);
+  const background = parseBackground(body.background);
+  const colors = parseColors(body.colors);
+  const dither = body.dither === undefined || body.dither === '' || parseFlag(body.dither);
+  const metrics = parseFlag(body.metrics);
+  if (fit === null) {
+    return { error: invalidSetting('fit', `Unsupported fit mode. Use one of: ${ImagifyCore.FIT_MODES.join(', ')}.`) };
+  }
+  if (filter === null) {
+    return { error: invalidSetting('filter', `Unsupported resampling filter. Use one of: ${ImagifyCore.RESAMPLING_FILTERS.join(', ')}.`) };
+  }
+  if (background === null) {
+    return { error: invalidSetting('background', 'Background must be a hex color such as #ffffff or #fff.') };
+  }
+  if (colors === null) {
+    return { error: invalidSetting('colors', 'Colors must be a whole number between 2 and 256.') };
+  }
+  return { settings: { quality, maxWidth, maxHeight, fit, filter, format, colors, dither, background, metrics } };
+}
+
+// Download name and content type of a result; an untouched original keeps its own type and extension
+function describeOutput(originalName, mimetype, { format, quality }, usedOriginal) {
+  const parsedName = path.parse(originalName || 'image');
+  const baseName = parsedName.name || 'download';
+  const { mime, ext } = usedOriginal
+    ? { mime: mimetype, ext: parsedName.ext.slice(1) || 'file' }
+    : OUTPUT_FORMATS[format];
+  const fileName = usedOriginal ? `${baseName}_original.${ext}` : `${baseName}_compressed_q${quality}.${ext}`;
+  return { mime, fileName };
+}
+
+// Mirrors Imagify.compressImage(): resize, flatten transparency onto `background` unless the format
+// keeps it, then encode. With `metrics`, alpha-weighted PSNR and SSIM against the resized source are computed as in the UI.
+// `colors` and `dither` only apply to PNG-8.
+async function compressBuffer(input, { quality, maxWidth, maxHeight, fit = 'contain', filter = 'lanczos3', format, colors = 256, dither = true, background = ImagifyCore.DEFAULT_BACKGROUND, metrics = false }) {
+  const { width: originalWidth, height: originalHeight } = await encoder.uprightSize(input);
+
+  const plan = ImagifyCore.planResize(originalWidth, originalHeight, { maxWidth, maxHeight, fit, filter });
+  const { width, height } = plan;
+  if (width === 0 || height === 0) {
+    throw new Error('Calculated compression dimensions are zero.');
+  }
+  if (width * height > MAX_PIXELS) {
+    // fill, cover and exact may upscale to whatever the bounds ask for
+    throw new ApiError(413, 'IMAGE_TOO_LARGE', `The output would be ${width}×${height} pixels; images may have at most ${MAX_PIXELS / 1e6} megapixels.`);
+  }
+  const isResized = !ImagifyCore.isIdentityResize(plan, originalWidth, originalHeight);
+
+  // Quality 100% with no resize serves the original file untouched when it is already in the requested
+  // format, like the UI does. PNG-8 always encodes: even at 100% the palette is the point.
+  const outputFormat = OUTPUT_FORMATS[format].palette ? { ...OUTPUT_FORMATS[format], colors, dither } : OUTPUT_FORMATS[format];
+  const usedOriginal = quality === 100 && !isResized && !outputFormat.palette &&
+    ImagifyCore.sniffImageType(input.subarray(0, ImagifyCore.SNIFF_BYTES)) === outputFormat.mime;
+  if (usedOriginal && !metrics) {
+    return { buffer: input, width, height, usedOriginal };
+  }
+  const sourceHasAlpha = outputFormat.alpha && await encoder.hasAlpha(input);
+  const flattenOnto = ImagifyCore.flattenColor(outputFormat, sourceHasAlpha, background);
+  const pixels = await encoder.toRGBA(input, { plan: isResized ? plan : null, background: flattenOnto });
+  const result = await ImagifyCore.compress(pixels, {
+    encoder,
+    format: outputFormat,
+    quality,
+    encoded: usedOriginal ? input : null,
+    metrics: metrics ? 'basic' : false,
+    decode: false,
+    background: flattenOnto
+  });
+  return { buffer: result.encoded, width, height, usedOriginal, psnr: result.psnr, ssim: result.ssim };
+}
+
+// Scores `candidate` against `reference` the way the UI scores an output against its source: the
+// candidate is decoded at the reference's upright size (stretched if it differs), and a transparent
+// reference is flattened onto `background` when the candidate has no alpha channel to compare
+// against (see ImagifyCore.flattenColor()). Returns every metric the metrics panel shows and, for a
+// `heatMap` type, that map colored as the UI exports it, as PNG bytes.
+async function compareBuffers(reference, candidate, { background = ImagifyCore.DEFAULT_BACKGROUND, heatMap = false, threshold = 0 } = {}) {
+  const { width, height } = await encoder.uprightSize(reference);
+  const candidateSize = await encoder.uprightSize(candidate);
+  const { hasAlpha: candidateHasAlpha } = await sharp(candidate).metadata();
+  const referenceHasAlpha = await encoder.hasAlpha(reference);
+  const flattenOnto = ImagifyCore.flattenColor({ alpha: candidateHasAlpha }, referenceHasAlpha, background);
+  const referencePixels = await encoder.toRGBA(reference, { background: flattenOnto });
+  const candidatePixels = await encoder.decode(candidate, width, height, { background: flattenOnto });
+
+  const result = {
+    ...ImagifyCore.measure(referencePixels, candidatePixels),
+    width,
+    height,
+    candidateWidth: candidateSize.width,
+    candidateHeight: candidateSize.height,
+    flattenedOnto: referenceHasAlpha ? flattenOnto : null // Opaque references are left as they are
+  };
+  if (heatMap) {
+    const values = ImagifyCore.heatMapValues(referencePixels, candidatePixels, heatMap);
+    const data = ImagifyCore.colorizeHeatMap(values, heatMap, { threshold });
+    result.heatMapPng = await sharp(Buffer.from(data.buffer, data.byteOffset, data.byteLength), { raw: { width, height, channels: 4 } })
+      .png()
+      .toBuffer();
+  }
+  return result;
+}
+
+// Bytes of an /img variant: from the cache when present, else transformed from the source and cached.
+// The untouched source only stands in (at q=100, unresized) when it already is in the wanted format.
+async function loadVariant(key, sourcePath, settings) {
+  const cached = imageCache.get(key);
+  if (cached) {
+    try {
+      return await fs.readFile(cached.file);
+    } catch (error) {
+      imageCache.delete(key); // Removed behind the cache's back: transform it again
+    }
+  }
+  if (!transforms.has(key)) {
+    const transform = (async () => {
+      const input = await fs.readFile(sourcePath);
+      await checkImage(input, path.basename(sourcePath));
+      const { buffer } = await compressBuffer(input, settings);
+      await imageCache.set(key, OUTPUT_FORMATS[settings.format].ext, buffer).catch(error => console.error('Image cache write error:', error));
+      return buffer;
+    })();
+    transforms.set(key, transform);
+    transform.catch(() => {}).finally(() => transforms.delete(key));
+  }
+  return transforms.get(key);
+}
+
+// An image from IMAGES_DIR, resized and re-encoded: ?w=800&h=600&q=75&fmt=webp&fit=cover. Without
+// fmt the format follows the Accept header (AVIF, then WebP, then JPEG). The ETag names the source
+// version and the options, so revalidation needs no encoding.
+app.get('/img/:name(*)', route(async (req, res) => {
+  const { settings, error } = parseImageQuery(req.query);
+  if (error) {
+    return sendError(res, error);
+  }
+  const source = await statSourceImage(req.params.name);
+  if (!source) {
+    return sendError(res, new ApiError(404, 'NOT_FOUND', 'Image not found.'));
+  }
+  const { sourcePath, stat } = source;
+
+  const negotiated = settings.format === null;
+  const variant = { ...settings, format: negotiated ? negotiateFormat(req.get('Accept')) : settings.format };
+  const key = crypto.createHash('sha1')
+    .update(JSON.stringify([path.relative(IMAGES_DIR, sourcePath), stat.size, stat.mtimeMs, variant]))
+    .digest('hex');
+  res.set({
+    'Cache-Control': `public, max-age=${IMAGE_MAX_AGE}`,
+    ETag: `"${key}"`,
+    'Last-Modified': stat.mtime.toUTCString()
+  });
+  if (negotiated) res.vary('Accept');
+  if (req.fresh) {
+    return res.status(304).end();
+  }
+
+  try {
+    const data = await loadVariant(key, sourcePath, variant);
+    if (res.headersSent) return;
+    res.type(OUTPUT_FORMATS[variant.format].mime).send(data);
+  } catch (err) {
+    if (!(err instanceof ApiError)) console.error('Image transform error:', err);
+    if (res.headersSent) return;
+    ['Cache-Control', 'ETag', 'Last-Modified'].forEach(header => res.removeHeader(header));
+    sendError(res, err instanceof ApiError ? err : new ApiError(422, 'PROCESSING_FAILED', `Could not transform the image: ${err.message}`));
+  }
+}));
+
+// Compress a single uploaded image (multipart field "image")
+app.post('/api/compress', limitRequestSize(1), upload.single('image'), route(async (req, res) => {
+  if (!req.file) {
+    return sendError(res, new ApiError(400, 'NO_FILE', 'No file uploaded. Send the image in the "image" field.'));
+  }
+
+  const { settings, error } = parseSettings(req.body);
+  if (error) {
+    return sendError(res, error);
+  }
+  const { quality, format, metrics } = settings;
+
+  try {
+    const mimetype = await checkImage(req.file.buffer, req.file.originalname);
+    const result = await compressBuffer(req.file.buffer, settings);
+    if (res.headersSent) return;
+    const originalSize = req.file.size;
+    const compressedSize = result.buffer.length;
+    const { compressionRatio, sizeReduction } = ImagifyCore.sizeStats(originalSize, compressedSize);
+    const { mime, fileName } = describeOutput(req.file.originalname, mimetype, settings, result.usedOriginal);
+
+    res.set({
+      'Content-Type': mime,
+      'Content-Disposition': `attachment; filename="${fileName}"`,
+      'X-Original-Size': String(originalSize),
+      'X-Compressed-Size': String(compressedSize),
+      'X-Compression-Ratio': compressionRatio.toFixed(2),
+      'X-Size-Reduction': sizeReduction.toFixed(1),
+      'X-Quality': String(quality),
+      'X-Format': result.usedOriginal ? 'original' : format,
+      'X-Width': String(result.width),
+      'X-Height': String(result.height),
+      'X-Used-Original': String(result.usedOriginal)
+    });
+    if (metrics) {
+      res.set({ 'X-PSNR': result.psnr.toFixed(2), 'X-SSIM': result.ssim.toFixed(4) });
+    }
+    res.send(result.buffer);
+  } catch (error) {
+    if (error instanceof ApiError) return sendError(res, error);
+    console.error('Compression error:', error);
+    sendError(res, new ApiError(422, 'PROCESSING_FAILED', `Compression error: ${error.message}`));
+  }
+}));
+
+// Quality analysis of an image produced elsewhere: multipart fields "reference" and "candidate",
+// plus optional "heatMap" (a heat map type, or true for 'rgb'), "threshold" (0-100) and "background"
+app.post('/api/compare', limitRequestSize(2), compareUpload, route(async (req, res) => {
+  const [reference] = (req.files && req.files.reference) || [];
+  const [candidate] = (req.files && req.files.candidate) || [];
+  if (!reference || !candidate) {
+    return sendError(res, new ApiError(400, 'NO_FILE', 'Send both images: the original in the "reference" field and the one to score in the "candidate" field.'));
+  }
+  const heatMap = parseHeatMapMode(req.body.heatMap);
+  const threshold = parseThreshold(req.body.threshold);
+  const background = parseBackground(req.body.background);
+  if (heatMap === null) {
+    return sendError(res, invalidSetting('heatMap', `Unsupported heat map type. Use true or one of: ${Object.keys(ImagifyCore.HEATMAP_MODES).join(', ')}.`));
+  }
+  if (threshold === null) {
+    return sendError(res, invalidSetting('threshold', 'Threshold must be a number between 0 and 100.'));
+  }
+  if (background === null) {
+    return sendError(res, invalidSetting('background', 'Background must be a hex color such as #ffffff or #fff.'));
+  }
+
+  try {
+    await checkImage(reference.buffer, reference.originalname);
+    await checkImage(candidate.buffer, candidate.originalname);
+    const result = await compareBuffers(reference.buffer, candidate.buffer, { background, heatMap, threshold });
+    if (res.headersSent) return;
+    const round = (value, digits) => Number(value.toFixed(digits));
+    const psnrChannels = Object.fromEntries(Object.entries(result.psnrChannels).map(([channel, psnr]) => [channel, round(psnr, 2)]));
+    res.json({
+      psnr: round(result.psnr, 2),
+      psnrChannels,
+      ssim: round(result.ssim, 4),
+      msssim: round(result.msssim, 4),
+      dssim: round(result.dssim, 4),
+      deltaE: { mean: round(result.deltaE.mean, 2), p95: round(result.deltaE.p95, 2) },
+      referenceSize: reference.size,
+      candidateSize: candidate.size,
+      sizeRatio: round(reference.size > 0 ? candidate.size / reference.size : 1, 4),
+      width: result.width,
+      height: result.height,
+      candidateWidth: result.candidateWidth,
+      candidateHeight: result.candidateHeight,
+      resized: result.candidateWidth !== result.width || result.candidateHeight !== result.height,
+      flattenedOnto: result.flattenedOnto,
+      heatMap: heatMap
+        ? {
+          mode: heatMap,
+          max: ImagifyCore.HEATMAP_MODES[heatMap].max,
+          unit: ImagifyCore.HEATMAP_MODES[heatMap].unit,
+          threshold,
+          png: `data:image/png;base64,${result.heatMapPng.toString('base64')}`
+        }
+        : null
+    });
+  } catch (error) {
+    if (error instanceof ApiError) return sendError(res, error);
+    console.error('Comparison error:', error);
+    sendError(res, new ApiError(422, 'PROCESSING_FAILED', `Comparison error: ${error.message}`));
+  }
+}));
+
+// Runs one file of a job: compresses it with metrics, keeps the output for the ZIP and
+// returns what GET /api/jobs/:id reports for it
+async function compressJobFile(job, file, inputPath, outputPath) {
+  const result = await compressBuffer(await fs.readFile(inputPath), { ...job.settings, metrics: true });
+  await fs.writeFile(outputPath, result.buffer);
+  const compressedSize = result.buffer.length;
+  const { compressionRatio, sizeReduction } = ImagifyCore.sizeStats(file.originalSize, compressedSize);
+  return {
+    fileName: describeOutput(file.name, file.mimetype, job.settings, result.usedOriginal).fileName,
+    width: result.width,
+    height: result.height,
+    compressedSize,
+    compressionRatio: Number(compressionRatio.toFixed(2)),
+    sizeReduction: Number(sizeReduction.toFixed(1)),
+    usedOriginal: result.usedOriginal,
+    psnr: Number(result.psnr.toFixed(2)),
+    ssim: Number(result.ssim.toFixed(4))
+  };
+}
+
+// What the job routes return: dates as ISO strings, per-file status and results, overall progress
+function describeJob(job) {
+  const date = time => (time === null ? null : new Date(time).toISOString());
+  return {
+    id: job.id,
+    status: job.status,
+    createdAt: date(job.createdAt),
+    finishedAt: date(job.finishedAt),
+    expiresAt: date(job.expiresAt),
+    progress: JobQueue.progress(job),
+    settings: job.settings,
+    files: job.files.map(({ name, originalSize, status, result, error }) => ({ name, originalSize, status, result, error })),
+    download: job.status === 'done' ? `/api/jobs/${job.id}/download` : null
+  };
+}
+
+// Queue a batch (multipart field "images", up to MAX_JOB_FILES files) with the /api/compress settings
+// Every file is checked before the job is queued: one bad file rejects the whole submission.
+app.post('/api/jobs', limitRequestSize(MAX_JOB_FILES), jobUpload.array('images', MAX_JOB_FILES), route(async (req, res) => {
+  const files = req.files || [];
+  const discard = () => Promise.all(files.map(file => fs.rm(file.path, { force: true })));
+  if (files.length === 0) {
+    return sendError(res, new ApiError(400, 'NO_FILE', 'No files uploaded. Send the images in the "images" field.'));
+  }
+  const { settings, error } = parseSettings(req.body);
+  if (error) {
+    await discard();
+    return sendError(res, error);
+  }
+  const { metrics, ...jobSettings } = settings; // Jobs always report metrics
+
+  try {
+    const mimetypes = [];
+    for (const file of files) mimetypes.push(await checkImage(file.path, file.originalname));
+    if (res.headersSent) {
+      await discard(); // Timed out: the client was told it failed, so nothing may run
+      return;
+    }
+    const uploads = files.map((file, index) => ({ path: file.path, name: file.originalname, mimetype: mimetypes[index], size: file.size }));
+    const job = await queue.create(uploads, jobSettings);
+    res.status(202).location(`/api/jobs/${job.id}`).json(describeJob(job));
+  } catch (err) {
+    await discard();
+    if (err instanceof ApiError) return sendError(res, err);
+    console.error('Job submission error:', err);
+    sendError(res, new ApiError(500, 'INTERNAL', `Could not queue the job: ${err.message}`));
+  }
+}));
+
+app.get('/api/jobs/:id', (req, res) => {
+  const job = queue.get(req.params.id);
+  if (!job) {
+    return sendError(res, new ApiError(404, 'NOT_FOUND', 'Job not found. Finished jobs are deleted after they expire.'));
+  }
+  res.json(describeJob(job));
+});
+
+// ZIP of a finished job's compressed files (failed files are left out)
+app.get('/api/jobs/:id/download', route(async (req, res) => {
+  const job = queue.get(req.params.id);
+  if (!job) {
+    return sendError(res, new ApiError(404, 'NOT_FOUND', 'Job not found. Finished jobs are deleted after they expire.'));
+  }
+  if (job.status !== 'done') {
+    return sendError(res, new ApiError(409, 'JOB_NOT_FINISHED', 'The job is still running. Download it once its status is "done".'));
+  }
+
+  try {
+    const zip = new ZipWriter();
+    const modified = new Date(job.finishedAt);
+    for (const [index, file] of job.files.entries()) {
+      if (file.status === 'done') zip.addFile(file.result.fileName, await fs.readFile(queue.outputPath(job, index)), modified);
+    }
+    if (zip.entries.length === 0) {
+      return sendError(res, new ApiError(422, 'PROCESSING_FAILED', 'None of the files in this job could be compressed.'));
+    }
+    const archive = Buffer.from(await zip.toBlob().arrayBuffer());
+    if (res.headersSent) return;
+    res.set({
+      'Content-Type': 'application/zip',
+      'Content-Disposition': `attachment; filename="imagify_job_${zip.entries.length}_files.zip"`
+    });
+    res.send(archive);
+  } catch (err) {
+    console.error('Job download error:', err);
+    sendError(res, new ApiError(500, 'INTERNAL', `Could not build the archive: ${err.message}`));
+  }
+}));
+
+// Anything else under /api is a mistake in the client, answered in the same JSON shape
+app.use('/api', (req, res) => {
+  sendError(res, new ApiError(404, 'NOT_FOUND', `There is no ${req.method} ${req.baseUrl}${req.path} endpoint.`));
+});
+
+// Multer's codes -> ours; multer has already deleted anything it wrote to disk
+const UPLOAD_ERRORS = {
+  LIMIT_FILE_SIZE: [413, 'FILE_TOO_LARGE', field => `File size must be less than 10MB ("${field}" field).`],
+  LIMIT_FILE_COUNT: [413, 'TOO_MANY_FILES', () => `Too many files. A job takes at most ${MAX_JOB_FILES}, the other endpoints one per field.`],
+  LIMIT_UNEXPECTED_FILE: [400, 'UNEXPECTED_FIELD', field => `Unexpected file field "${field}". Check the field names in the API documentation.`],
+  LIMIT_PART_COUNT: [413, 'REQUEST_TOO_LARGE', () => 'The form has too many parts.'],
+  LIMIT_FIELD_COUNT: [413, 'REQUEST_TOO_LARGE', () => 'The form has too many fields.'],
+  LIMIT_FIELD_KEY: [413, 'REQUEST_TOO_LARGE', () => 'A form field name is too long.'],
+  LIMIT_FIELD_VALUE: [413, 'REQUEST_TOO_LARGE', field => `The "${field}" field is too long.`]
+};
+
+// Errors raised before a route runs (uploads, JSON bodies) are reported in the same JSON shape
+app.use((err, req, res, next) => {
+  if (err instanceof ApiError) {
+    return sendError(res, err);
+  }
+  if (err instanceof multer.MulterError) {
+    const [status, code, message] = UPLOAD_ERRORS[err.code] || [400, 'INVALID_UPLOAD', () => err.message];
+    return sendError(res, new ApiError(status, code, message(err.field)));
+  }
+  if (err.type === 'entity.too.large') {
+    return sendError(res, new ApiError(413, 'REQUEST_TOO_LARGE', 'The request body is too large.'));
+  }
+  if (err.type === 'entity.parse.failed') {
+    return sendError(res, new ApiError(400, 'INVALID_JSON', 'The request body is not valid JSON.'));
+  }
+  console.error('Request error:', err);
+  sendError(res, new ApiError(500, 'INTERNAL', 'Something went wrong on the server. Please try again.'));
+});
+
+// Listens on `listenPort` once the jobs left from the last run are back in the queue and the image cache
+// is indexed. Resolves with the http.Server and the number of jobs resumed.
+async function start(listenPort = port) {
+  const [restored] = await Promise.all([queue.init(), imageCache.init()]);
+  const server = await new Promise(resolve => {
+    const listening = app.listen(listenPort, () => resolve(listening));
+  });
+  return { server, restored };
+}
+
+// `node index.js` serves on `port`; the tests require() this file and start it on a free port
+if (require.main === module) {
+  start().then(({ restored }) => {
+    console.log(`Image compression service running on http://localhost:${port}`);
+    if (restored > 0) console.log(`Resumed ${restored} job(s) from ${JOBS_DIR}`);
+  }).catch(error => {
+    console.error('Could not open the job or image cache directory:', error);
+    process.exit(1);
+  });
+}
 
-// Start server
-app.listen(port, () => {
-  console.log(`Image compression service running on http://localhost:${port}`);
-});
\ No newline at end of file
+module.exports = { app, start };
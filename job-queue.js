@@ -0,0 +1,172 @@
+// Disk-backed job queue behind /api/jobs. Each job is a directory under `dir` holding job.json,
+// its uploads (input-<n>) and its results (output-<n>), so a restart picks up where it left off:
+// files that were queued or half done run again. Files run in submission order, at most
+// `concurrency` at a time across all jobs, and a job is deleted `ttl` ms after it finishes.
+const fs = require('fs/promises');
+const path = require('path');
+const crypto = require('crypto');
+
+const JOB_ID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/;
+
+// How often finished jobs are checked for expiry (at most; short TTLs are checked sooner)
+const SWEEP_INTERVAL = 60 * 1000;
+
+class JobQueue {
+  // `processFile(job, file, inputPath, outputPath)` writes the output and resolves with the file's result
+  constructor({ dir, concurrency = 2, ttl = 24 * 60 * 60 * 1000, processFile }) {
+    this.dir = dir;
+    this.uploadDir = path.join(dir, 'uploads'); // Where multer writes before create() claims the files
+    this.concurrency = Math.max(1, concurrency);
+    this.ttl = ttl;
+    this.processFile = processFile;
+    this.jobs = new Map();
+    this.pending = []; // { id, index } of files waiting to run, oldest first
+    this.active = 0;
+    this.saves = new Map(); // Job id -> its latest job.json write, so writes never overlap
+    this.sweepTimer = null;
+  }
+
+  static isJobId(id) {
+    return JOB_ID_PATTERN.test(id);
+  }
+
+  // { total, completed, failed, percent } over a job's files; failed files count as completed
+  static progress(job) {
+    const total = job.files.length;
+    const completed = job.files.filter(file => file.status === 'done' || file.status === 'failed').length;
+    const failed = job.files.filter(file => file.status === 'failed').length;
+    return { total, completed, failed, percent: total ? Math.round((completed / total) * 100) : 100 };
+  }
+
+  jobDir(id) {
+    return path.join(this.dir, id);
+  }
+
+  inputPath(job, index) {
+    return path.join(this.jobDir(job.id), `input-${index}`);
+  }
+
+  outputPath(job, index) {
+    return path.join(this.jobDir(job.id), `output-${index}`);
+  }
+
+  // Loads the jobs left on disk, queues their unfinished files again and starts the expiry sweep
+  async init() {
+    await fs.rm(this.uploadDir, { recursive: true, force: true }); // Uploads of requests that never finished
+    await fs.mkdir(this.uploadDir, { recursive: true });
+    const restored = [];
+    for (const entry of await fs.readdir(this.dir, { withFileTypes: true })) {
+      if (!entry.isDirectory() || !JobQueue.isJobId(entry.name)) continue;
+      try {
+        restored.push(JSON.parse(await fs.readFile(path.join(this.jobDir(entry.name), 'job.json'), 'utf8')));
+      } catch (error) {
+        // Cut off before its first save: nothing was promised about it yet
+        await fs.rm(this.jobDir(entry.name), { recursive: true, force: true });
+      }
+    }
+    restored.sort((a, b) => a.createdAt - b.createdAt);
+    for (const job of restored) {
+      this.jobs.set(job.id, job);
+      job.files.forEach((file, index) => {
+        if (file.status === 'processing') file.status = 'queued';
+        if (file.status === 'queued') this.pending.push({ id: job.id, index });
+      });
+      if (job.status === 'processing') job.status = 'queued';
+    }
+    await this.sweep();
+    this.sweepTimer = setInterval(() => this.sweep().catch(error => console.error('Job expiry error:', error)), Math.min(this.ttl, SWEEP_INTERVAL));
+    this.sweepTimer.unref();
+    this.pump();
+    return restored.length;
+  }
+
+  get(id) {
+    return JobQueue.isJobId(id) ? this.jobs.get(id) || null : null;
+  }
+
+  // Claims `uploads` ([{ path, name, mimetype, size }], files in uploadDir) as a new job run with `settings`
+  async create(uploads, settings) {
+    const job = {
+      id: crypto.randomUUID(),
+      status: 'queued',
+      createdAt: Date.now(),
+      finishedAt: null,
+      expiresAt: null,
+      settings,
+      files: uploads.map(upload => ({
+        name: upload.name,
+        mimetype: upload.mimetype,
+        originalSize: upload.size,
+        status: 'queued',
+        result: null,
+        error: null
+      }))
+    };
+    await fs.mkdir(this.jobDir(job.id));
+    await Promise.all(uploads.map((upload, index) => fs.rename(upload.path, this.inputPath(job, index))));
+    await this.save(job);
+    this.jobs.set(job.id, job);
+    job.files.forEach((file, index) => this.pending.push({ id: job.id, index }));
+    this.pump();
+    return job;
+  }
+
+  // Writes job.json through a temporary file, so a crash never leaves half of it on disk
+  save(job) {
+    const file = path.join(this.jobDir(job.id), 'job.json');
+    const previous = this.saves.get(job.id) || Promise.resolve();
+    const write = previous.then(async () => {
+      await fs.writeFile(`${file}.tmp`, JSON.stringify(job));
+      await fs.rename(`${file}.tmp`, file);
+    });
+    const settled = write.catch(error => console.error(`Could not save job ${job.id}:`, error));
+    this.saves.set(job.id, settled);
+    return write;
+  }
+
+  // Starts queued files until `concurrency` are running
+  pump() {
+    while (this.active < this.concurrency && this.pending.length > 0) {
+      const { id, index } = this.pending.shift();
+      this.active++;
+      this.run(this.jobs.get(id), index).finally(() => {
+        this.active--;
+        this.pump();
+      });
+    }
+  }
+
+  async run(job, index) {
+    const file = job.files[index];
+    file.status = 'processing';
+    job.status = 'processing';
+    await this.save(job).catch(() => {});
+    try {
+      file.result = await this.processFile(job, file, this.inputPath(job, index), this.outputPath(job, index));
+      file.status = 'done';
+    } catch (error) {
+      file.status = 'failed';
+      file.error = error.message;
+    }
+    await fs.rm(this.inputPath(job, index), { force: true });
+    if (job.files.every(other => other.status === 'done' || other.status === 'failed')) {
+      job.status = 'done';
+      job.finishedAt = Date.now();
+      job.expiresAt = job.finishedAt + this.ttl;
+    }
+    await this.save(job).catch(() => {});
+  }
+
+  // Deletes finished jobs whose expiry has passed
+  async sweep(now = Date.now()) {
+    for (const job of [...this.jobs.values()]) {
+      if (job.expiresAt === null || job.expiresAt > now) continue;
+      this.jobs.delete(job.id);
+      await (this.saves.get(job.id) || Promise.resolve());
+      this.saves.delete(job.id);
+      await fs.rm(this.jobDir(job.id), { recursive: true, force: true });
+    }
+  }
+}
+
+module.exports = JobQueue;
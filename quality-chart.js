@@ -0,0 +1,247 @@
+//quality-chart.js//
+// Quality-vs-size chart: file size, PSNR and SSIM sampled across encoder qualities.
+// Size uses the left axis, PSNR the right one; SSIM is scaled to its own sampled range
+// (shown in the legend) so its shape stays readable next to the other two.
+class QualityCurveChart {
+    constructor(canvas, { onSelectQuality } = {}) {
+        this.canvas = canvas;
+        this.ctx = canvas.getContext('2d');
+        this.onSelectQuality = onSelectQuality;
+        this.points = [];
+        this.kneeQuality = null;
+        this.deadZoneThreshold = 101; // 101 means no dead zone, as in updateDeadZoneHighlight()
+        this.currentQuality = null;
+        this.hoverPoint = null;
+        this.padding = { top: 16, right: 52, bottom: 34, left: 64 };
+
+        canvas.addEventListener('mousemove', e => {
+            const point = this.pointAt(e);
+            if (point !== this.hoverPoint) {
+                this.hoverPoint = point;
+                this.render();
+            }
+        });
+        canvas.addEventListener('mouseleave', () => {
+            this.hoverPoint = null;
+            this.render();
+        });
+        canvas.addEventListener('click', e => {
+            const point = this.pointAt(e);
+            if (point && this.onSelectQuality) this.onSelectQuality(point.quality);
+        });
+    }
+
+    setPoints(points, kneeQuality) {
+        this.points = points || [];
+        this.kneeQuality = kneeQuality ?? null;
+        this.hoverPoint = null;
+        this.render();
+    }
+
+    clear() {
+        this.setPoints([], null);
+    }
+
+    setCurrentQuality(quality) {
+        this.currentQuality = quality;
+        this.render();
+    }
+
+    setDeadZone(threshold) {
+        this.deadZoneThreshold = threshold;
+        this.render();
+    }
+
+    // Reads a theme color so the chart follows the CSS variables
+    color(name, fallback) {
+        return getComputedStyle(this.canvas).getPropertyValue(name).trim() || fallback;
+    }
+
+    // Plot geometry in CSS pixels; the backing store is scaled for devicePixelRatio in render()
+    getPlotArea() {
+        const width = this.canvas.clientWidth || this.canvas.width;
+        const height = this.canvas.clientHeight || this.canvas.height;
+        const { top, right, bottom, left } = this.padding;
+        return { width, height, x: left, y: top, w: Math.max(1, width - left - right), h: Math.max(1, height - top - bottom) };
+    }
+
+    getScales() {
+        const area = this.getPlotArea();
+        const sizes = this.points.map(point => point.size);
+        const maxSize = Math.max(...sizes) * 1.05 || 1;
+        // Identical images report 100 dB; cap the axis so that outlier doesn't flatten the curve
+        const psnrs = this.points.map(point => Math.min(point.psnr, 60));
+        const psnrMin = Math.floor(Math.min(...psnrs) / 5) * 5;
+        const psnrMax = Math.max(psnrMin + 5, Math.ceil(Math.max(...psnrs) / 5) * 5);
+        const ssimMin = Math.max(0, Math.floor(Math.min(...this.points.map(point => point.ssim)) * 20) / 20);
+        const ssimMax = ssimMin < 1 ? 1 : 1.05;
+
+        return {
+            area, maxSize, psnrMin, psnrMax, ssimMin, ssimMax,
+            x: quality => area.x + ((quality - 1) / 99) * area.w,
+            size: size => area.y + area.h - (size / maxSize) * area.h,
+            psnr: psnr => area.y + area.h - ((Math.min(psnr, psnrMax) - psnrMin) / (psnrMax - psnrMin)) * area.h,
+            ssim: ssim => area.y + area.h - ((ssim - ssimMin) / (ssimMax - ssimMin)) * area.h
+        };
+    }
+
+    // Nearest sample by quality to the pointer, or null when off the plot
+    pointAt(e) {
+        if (this.points.length === 0) return null;
+        const rect = this.canvas.getBoundingClientRect();
+        const { x, w } = this.getPlotArea();
+        const offsetX = e.clientX - rect.left;
+        if (offsetX < x - 8 || offsetX > x + w + 8) return null;
+        const quality = 1 + ((offsetX - x) / w) * 99;
+        return this.points.reduce((best, point) =>
+            Math.abs(point.quality - quality) < Math.abs(best.quality - quality) ? point : best);
+    }
+
+    render() {
+        const ratio = window.devicePixelRatio || 1;
+        const { width, height } = this.getPlotArea();
+        if (this.canvas.width !== Math.round(width * ratio) || this.canvas.height !== Math.round(height * ratio)) {
+            this.canvas.width = Math.round(width * ratio);
+            this.canvas.height = Math.round(height * ratio);
+        }
+        const ctx = this.ctx;
+        ctx.setTransform(ratio, 0, 0, ratio, 0, 0);
+        ctx.clearRect(0, 0, width, height);
+
+        const textColor = this.color('--color-text-secondary', '#9ca3af');
+        ctx.font = '11px sans-serif';
+        ctx.fillStyle = textColor;
+
+        if (this.points.length === 0) {
+            ctx.textAlign = 'center';
+            ctx.textBaseline = 'middle';
+            ctx.fillText('Plot the curve to compare quality settings.', width / 2, height / 2);
+            return;
+        }
+
+        const scales = this.getScales();
+        const { area } = scales;
+        const colors = {
+            grid: this.color('--color-border', '#334155'),
+            size: this.color('--color-primary', '#3b82f6'),
+            psnr: this.color('--color-success', '#22c55e'),
+            ssim: this.color('--color-text', '#f3f4f6'),
+            warningRgb: this.color('--color-warning-rgb', '249, 115, 22')
+        };
+
+        // Dead zone: the same band the slider highlights
+        if (this.deadZoneThreshold <= 100) {
+            const start = scales.x(Math.max(1, this.deadZoneThreshold - 0.5));
+            ctx.fillStyle = `rgba(${colors.warningRgb}, 0.2)`;
+            ctx.fillRect(start, area.y, area.x + area.w - start, area.h);
+        }
+
+        // Grid and axes
+        ctx.strokeStyle = colors.grid;
+        ctx.lineWidth = 1;
+        ctx.fillStyle = textColor;
+        ctx.textBaseline = 'middle';
+        for (let i = 0; i <= 4; i++) {
+            const y = area.y + (area.h * i) / 4;
+            ctx.beginPath();
+            ctx.moveTo(area.x, y);
+            ctx.lineTo(area.x + area.w, y);
+            ctx.stroke();
+            ctx.textAlign = 'right';
+            ctx.fillText(this.formatSize(scales.maxSize * (1 - i / 4)), area.x - 6, y);
+            ctx.textAlign = 'left';
+            ctx.fillText(`${(scales.psnrMax - (scales.psnrMax - scales.psnrMin) * i / 4).toFixed(0)} dB`, area.x + area.w + 6, y);
+        }
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'top';
+        [1, 20, 40, 60, 80, 100].forEach(quality => ctx.fillText(quality, scales.x(quality), area.y + area.h + 6));
+        ctx.fillText('Quality', area.x + area.w / 2, area.y + area.h + 20);
+
+        this.drawSeries(point => scales.size(point.size), colors.size, []);
+        this.drawSeries(point => scales.psnr(point.psnr), colors.psnr, []);
+        this.drawSeries(point => scales.ssim(point.ssim), colors.ssim, [4, 3]);
+
+        // Knee of the size curve
+        const knee = this.points.find(point => point.quality === this.kneeQuality);
+        if (knee) {
+            const x = scales.x(knee.quality), y = scales.size(knee.size);
+            ctx.fillStyle = colors.psnr;
+            ctx.beginPath();
+            ctx.arc(x, y, 5, 0, Math.PI * 2);
+            ctx.fill();
+            ctx.textAlign = 'right';
+            ctx.textBaseline = 'bottom';
+            ctx.fillText(`knee ${knee.quality}`, x - 6, y - 4);
+        }
+
+        // Current slider position
+        if (this.currentQuality != null) {
+            const x = scales.x(this.currentQuality);
+            ctx.strokeStyle = colors.size;
+            ctx.setLineDash([2, 3]);
+            ctx.beginPath();
+            ctx.moveTo(x, area.y);
+            ctx.lineTo(x, area.y + area.h);
+            ctx.stroke();
+            ctx.setLineDash([]);
+        }
+
+        if (this.hoverPoint) this.drawTooltip(this.hoverPoint, scales);
+    }
+
+    drawSeries(toY, color, dash) {
+        const ctx = this.ctx;
+        const scales = this.getScales();
+        ctx.strokeStyle = color;
+        ctx.lineWidth = 2;
+        ctx.setLineDash(dash);
+        ctx.beginPath();
+        this.points.forEach((point, i) => {
+            const x = scales.x(point.quality), y = toY(point);
+            if (i === 0) ctx.moveTo(x, y); else ctx.lineTo(x, y);
+        });
+        ctx.stroke();
+        ctx.setLineDash([]);
+        ctx.fillStyle = color;
+        this.points.forEach(point => {
+            ctx.beginPath();
+            ctx.arc(scales.x(point.quality), toY(point), 2.5, 0, Math.PI * 2);
+            ctx.fill();
+        });
+    }
+
+    drawTooltip(point, scales) {
+        const ctx = this.ctx;
+        const { area } = scales;
+        const lines = [
+            `Quality ${point.quality}`,
+            `Size ${this.formatSize(point.size)}`,
+            `PSNR ${point.psnr >= 100 ? '∞' : point.psnr.toFixed(2)} dB`,
+            `SSIM ${point.ssim.toFixed(4)}`
+        ];
+        const x = scales.x(point.quality);
+        ctx.strokeStyle = this.color('--color-text-secondary', '#9ca3af');
+        ctx.beginPath();
+        ctx.moveTo(x, area.y);
+        ctx.lineTo(x, area.y + area.h);
+        ctx.stroke();
+
+        const boxWidth = Math.max(...lines.map(line => ctx.measureText(line).width)) + 16;
+        const boxHeight = lines.length * 15 + 10;
+        const boxX = x + boxWidth + 12 > area.x + area.w ? x - boxWidth - 8 : x + 8;
+        ctx.fillStyle = this.color('--color-background', '#0f172a');
+        ctx.fillRect(boxX, area.y + 4, boxWidth, boxHeight);
+        ctx.strokeRect(boxX, area.y + 4, boxWidth, boxHeight);
+        ctx.fillStyle = this.color('--color-text', '#f3f4f6');
+        ctx.textAlign = 'left';
+        ctx.textBaseline = 'top';
+        lines.forEach((line, i) => ctx.fillText(line, boxX + 8, area.y + 9 + i * 15));
+    }
+
+    // Short axis labels; Imagify.formatFileSize() is too verbose for a tick
+    formatSize(bytes) {
+        if (bytes >= 1048576) return `${(bytes / 1048576).toFixed(1)} MB`;
+        if (bytes >= 1024) return `${Math.round(bytes / 1024)} KB`;
+        return `${Math.round(bytes)} B`;
+    }
+}
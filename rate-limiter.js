@@ -0,0 +1,32 @@
+// Per-client request counter for the server's rate limits: at most `limit` requests per `windowMs`
+// for each key (the client's IP address), in fixed windows starting at its first request. Counts live
+// in memory only, so a restart forgets them.
+class RateLimiter {
+  constructor({ limit, windowMs = 60 * 1000 }) {
+    this.limit = limit;
+    this.windowMs = windowMs;
+    this.windows = new Map(); // key -> { count, resetAt }
+    this.pruneTimer = setInterval(() => this.prune(), windowMs);
+    this.pruneTimer.unref();
+  }
+
+  // Counts one request from `key`: { allowed, remaining, resetAt }
+  hit(key, now = Date.now()) {
+    let window = this.windows.get(key);
+    if (!window || window.resetAt <= now) {
+      window = { count: 0, resetAt: now + this.windowMs };
+      this.windows.set(key, window);
+    }
+    window.count++;
+    return { allowed: window.count <= this.limit, remaining: Math.max(0, this.limit - window.count), resetAt: window.resetAt };
+  }
+
+  // Forgets clients whose window has ended, so the map does not grow with every address ever seen
+  prune(now = Date.now()) {
+    for (const [key, window] of this.windows) {
+      if (window.resetAt <= now) this.windows.delete(key);
+    }
+  }
+}
+
+module.exports = RateLimiter;
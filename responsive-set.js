@@ -0,0 +1,77 @@
+//responsive-set.js//
+// Responsive image sets: one file per breakpoint width and format, described by a
+// <picture>/srcset snippet and a JSON manifest. Encoding is done by the app; this
+// module only names the files and writes the markup.
+const ResponsiveSet = {
+    DEFAULT_WIDTHS: [320, 640, 1280, 1920],
+
+    // <source> order, most efficient first. The last format present becomes the <img> fallback,
+    // so JPEG (which every browser decodes) wins over PNG when both are chosen.
+    FORMAT_ORDER: ['avif', 'webp', 'png', 'jpeg'],
+
+    // "320, 640 1280" -> [320, 640, 1280]: positive integers, deduplicated and ascending
+    parseWidths(text) {
+        const widths = String(text).split(/[\s,]+/)
+            .map(value => parseInt(value))
+            .filter(width => Number.isFinite(width) && width > 0);
+        return [...new Set(widths)].sort((a, b) => a - b);
+    },
+
+    fileName(baseName, width, ext) {
+        return `${baseName}-${width}w.${ext}`;
+    },
+
+    escapeAttribute(value) {
+        return String(value).replace(/&/g, '&amp;').replace(/"/g, '&quot;').replace(/</g, '&lt;');
+    },
+
+    // Entries ({ format, mime, fileName, width, height }) grouped per format in FORMAT_ORDER,
+    // each group sorted by width
+    groupByFormat(entries) {
+        return ResponsiveSet.FORMAT_ORDER
+            .map(format => entries.filter(entry => entry.format === format).sort((a, b) => a.width - b.width))
+            .filter(group => group.length > 0);
+    },
+
+    // A <picture> with one <source> per extra format, or a bare <img> for a single format.
+    // The <img> points at the largest fallback file and carries its size to reserve layout space.
+    buildMarkup(entries, { sizes = '100vw', prefix = '', alt = '' } = {}) {
+        const groups = ResponsiveSet.groupByFormat(entries);
+        if (groups.length === 0) return '';
+        const attr = ResponsiveSet.escapeAttribute;
+        const srcset = group => group.map(entry => `${prefix}${entry.fileName} ${entry.width}w`).join(', ');
+
+        const fallback = groups[groups.length - 1];
+        const largest = fallback[fallback.length - 1];
+        const img = `<img src="${attr(prefix + largest.fileName)}" srcset="${attr(srcset(fallback))}" sizes="${attr(sizes)}" ` +
+            `width="${largest.width}" height="${largest.height}" alt="${attr(alt)}" loading="lazy" decoding="async">`;
+        if (groups.length === 1) return img;
+
+        const lines = ['<picture>'];
+        for (const group of groups.slice(0, -1)) {
+            lines.push(`  <source type="${group[0].mime}" srcset="${attr(srcset(group))}" sizes="${attr(sizes)}">`);
+        }
+        lines.push(`  ${img}`, '</picture>');
+        return lines.join('\n');
+    },
+
+    // Machine-readable description of the set for build tooling
+    buildManifest(entries, { source, quality, sizes, prefix = '' }) {
+        return {
+            source,
+            quality,
+            sizes,
+            images: ResponsiveSet.groupByFormat(entries).flat().map(entry => ({
+                file: entry.fileName,
+                src: prefix + entry.fileName,
+                format: entry.mime,
+                breakpoint: entry.breakpoint,
+                width: entry.width,
+                height: entry.height,
+                bytes: entry.size,
+                psnr: entry.psnr,
+                ssim: entry.ssim
+            }))
+        };
+    }
+};
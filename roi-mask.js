@@ -0,0 +1,122 @@
+//roi-mask.js//
+// Region-of-interest mask painted over the original-image preview. Like the crop, it covers the
+// whole upright source and is painted in source pixels, but it is stored at a reduced resolution
+// (at most ROI_MASK_MAX_SIZE on the longer side): the preview it is painted on is smaller still.
+// toSettings() gives the { width, height, data } shape ImagifyCore.roiMaskForPlan() takes.
+const ROI_MASK_MAX_SIZE = 512;
+const ROI_OVERLAY_COLOR = [255, 193, 7, 110]; // RGBA tint over marked pixels
+
+class RoiMask {
+    constructor() {
+        this.sourceWidth = 0;
+        this.sourceHeight = 0;
+        this.width = 0;
+        this.height = 0;
+        this.data = new Uint8Array(0); // 255 inside the region, 0 outside
+        this.marked = 0; // Count of marked pixels, so isEmpty() needs no scan
+        this.overlay = null; // Canvas of the tint, redrawn only where painting changed it
+        this.overlayPixels = null;
+    }
+
+    // Empty mask for a source of the given size
+    reset(sourceWidth, sourceHeight) {
+        const scale = Math.min(1, ROI_MASK_MAX_SIZE / Math.max(sourceWidth, sourceHeight, 1));
+        this.sourceWidth = sourceWidth;
+        this.sourceHeight = sourceHeight;
+        this.width = Math.max(1, Math.round(sourceWidth * scale));
+        this.height = Math.max(1, Math.round(sourceHeight * scale));
+        this.data = new Uint8Array(this.width * this.height);
+        this.marked = 0;
+        this.overlay = document.createElement('canvas');
+        this.overlay.width = this.width;
+        this.overlay.height = this.height;
+        this.overlayPixels = this.overlay.getContext('2d').createImageData(this.width, this.height);
+    }
+
+    isEmpty() {
+        return this.marked === 0;
+    }
+
+    clear() {
+        this.reset(this.sourceWidth, this.sourceHeight);
+    }
+
+    // Mask pixels per source pixel
+    getScale() {
+        return this.width / (this.sourceWidth || 1);
+    }
+
+    // Paints a stroke segment of round dabs `radius` source pixels wide; `value` true marks, false erases
+    paintLine(from, to, radius, value) {
+        const scale = this.getScale();
+        const r = Math.max(0.5, radius * scale);
+        const x0 = from.x * scale, y0 = from.y * scale, x1 = to.x * scale, y1 = to.y * scale;
+        const steps = Math.max(1, Math.ceil(Math.hypot(x1 - x0, y1 - y0) / Math.max(1, r / 2)));
+        const dirty = { left: Infinity, top: Infinity, right: -Infinity, bottom: -Infinity };
+        for (let step = 0; step <= steps; step++) {
+            const cx = x0 + ((x1 - x0) * step) / steps, cy = y0 + ((y1 - y0) * step) / steps;
+            const left = Math.max(0, Math.floor(cx - r)), right = Math.min(this.width - 1, Math.ceil(cx + r));
+            const top = Math.max(0, Math.floor(cy - r)), bottom = Math.min(this.height - 1, Math.ceil(cy + r));
+            for (let y = top; y <= bottom; y++) {
+                for (let x = left; x <= right; x++) {
+                    if ((x + 0.5 - cx) ** 2 + (y + 0.5 - cy) ** 2 <= r * r) this.setPixel(x, y, value);
+                }
+            }
+            dirty.left = Math.min(dirty.left, left);
+            dirty.top = Math.min(dirty.top, top);
+            dirty.right = Math.max(dirty.right, right);
+            dirty.bottom = Math.max(dirty.bottom, bottom);
+        }
+        this.updateOverlay(dirty);
+    }
+
+    // Marks (or erases) a rectangle given in source pixels
+    fillRect({ x, y, width, height }, value) {
+        const scale = this.getScale();
+        const dirty = {
+            left: Math.max(0, Math.floor(x * scale)),
+            top: Math.max(0, Math.floor(y * scale)),
+            right: Math.min(this.width - 1, Math.ceil((x + width) * scale) - 1),
+            bottom: Math.min(this.height - 1, Math.ceil((y + height) * scale) - 1)
+        };
+        for (let row = dirty.top; row <= dirty.bottom; row++) {
+            for (let column = dirty.left; column <= dirty.right; column++) this.setPixel(column, row, value);
+        }
+        this.updateOverlay(dirty);
+    }
+
+    setPixel(x, y, value) {
+        const p = y * this.width + x;
+        const next = value ? 255 : 0;
+        if (this.data[p] === next) return;
+        this.marked += value ? 1 : -1;
+        this.data[p] = next;
+        this.overlayPixels.data.set(value ? ROI_OVERLAY_COLOR : [0, 0, 0, 0], p * 4);
+    }
+
+    updateOverlay({ left, top, right, bottom }) {
+        if (right < left || bottom < top) return;
+        this.overlay.getContext('2d').putImageData(this.overlayPixels, 0, 0, left, top, right - left + 1, bottom - top + 1);
+    }
+
+    // Copy for the settings (and so for the engine and saved sessions), or null when nothing is marked
+    toSettings() {
+        if (this.isEmpty()) return null;
+        return { width: this.width, height: this.height, data: this.data.slice() };
+    }
+
+    // Loads a mask saved by toSettings() (possibly from a source of another size: it is stretched
+    // to this one's); null clears
+    fromSettings(mask) {
+        this.clear();
+        if (!mask) return;
+        for (let y = 0; y < this.height; y++) {
+            const row = Math.min(mask.height - 1, Math.floor(((y + 0.5) * mask.height) / this.height)) * mask.width;
+            for (let x = 0; x < this.width; x++) {
+                const column = Math.min(mask.width - 1, Math.floor(((x + 0.5) * mask.width) / this.width));
+                if (mask.data[row + column] >= 128) this.setPixel(x, y, true);
+            }
+        }
+        this.updateOverlay({ left: 0, top: 0, right: this.width - 1, bottom: this.height - 1 });
+    }
+}
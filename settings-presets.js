@@ -0,0 +1,172 @@
+//settings-presets.js//
+// Named settings presets and shareable settings links. Both carry the editor settings that make
+// sense across images (quality, max bounds, fit, filter, format, palette, JPEG encoder options and
+// background, but not the crop). A preset file is JSON: { version: 1, presets: [{ name, settings }] }. A link puts the
+// fields that differ from DEFAULTS in the query string, e.g. "?q=78&w=1600&format=webp"; custom
+// quantization tables are too long for a link, so only presets carry them.
+// Storage and the controls are the app's; this module only validates, encodes and decodes.
+const SettingsPresets = {
+    // What "Reset Settings" restores when the page was not opened from a settings link
+    DEFAULTS: {
+        quality: 100,
+        maxWidth: null,
+        maxHeight: null,
+        fit: ImagifyCore.FIT_MODES[0],
+        filter: ImagifyCore.RESAMPLING_FILTERS[0],
+        format: 'jpeg',
+        palette: { colors: ImagifyPalette.MAX_COLORS, dither: true },
+        jpeg: { subsampling: '4:2:0', progressive: true, optimizeHuffman: true, quantTables: null },
+        background: ImagifyCore.DEFAULT_BACKGROUND
+    },
+
+    // Query parameters written by toQuery(); others in the URL are left alone
+    QUERY_KEYS: ['q', 'w', 'h', 'fit', 'filter', 'format', 'colors', 'dither', 'sub', 'prog', 'huff', 'bg'],
+
+    STORAGE_KEY: 'imagify.presets',
+
+    // Whole numbers in min..max (numbers or numeric strings); undefined for anything else
+    parseInteger(value, min, max) {
+        const number = typeof value === 'string' && value.trim() !== '' ? Number(value) : value;
+        return Number.isInteger(number) && number >= min && number <= max ? number : undefined;
+    },
+
+    // { luma, chroma } quantization tables of 64 entries each (see ImagifyJpeg.parseTables()), or null
+    parseQuantTables(tables) {
+        if (!tables || !Array.isArray(tables.luma) || !Array.isArray(tables.chroma)) return null;
+        if (tables.luma.length !== 64 || tables.chroma.length !== 64) return null;
+        try {
+            return ImagifyJpeg.parseTables([...tables.luma, ...tables.chroma].join(' '));
+        } catch (error) {
+            return null;
+        }
+    },
+
+    // Complete settings from an untrusted, possibly partial object (a preset file, a decoded link):
+    // missing or invalid fields take their DEFAULTS value, and anything else is dropped
+    normalize(input) {
+        const source = input && typeof input === 'object' ? input : {};
+        const defaults = SettingsPresets.DEFAULTS;
+        const integer = (value, min, max, fallback) => SettingsPresets.parseInteger(value, min, max) ?? fallback;
+        const choice = (value, allowed, fallback) => (allowed.includes(value) ? value : fallback);
+        const palette = source.palette && typeof source.palette === 'object' ? source.palette : {};
+        const jpeg = source.jpeg && typeof source.jpeg === 'object' ? source.jpeg : {};
+        const flag = (value, fallback) => (typeof value === 'boolean' ? value : fallback);
+        return {
+            quality: integer(source.quality, 1, 100, defaults.quality),
+            maxWidth: integer(source.maxWidth, 1, Infinity, defaults.maxWidth),
+            maxHeight: integer(source.maxHeight, 1, Infinity, defaults.maxHeight),
+            fit: choice(source.fit, ImagifyCore.FIT_MODES, defaults.fit),
+            filter: choice(source.filter, ImagifyCore.RESAMPLING_FILTERS, defaults.filter),
+            format: choice(source.format, Object.keys(ImagifyCore.OUTPUT_FORMATS), defaults.format),
+            palette: {
+                colors: integer(palette.colors, ImagifyPalette.MIN_COLORS, ImagifyPalette.MAX_COLORS, defaults.palette.colors),
+                dither: flag(palette.dither, defaults.palette.dither)
+            },
+            jpeg: {
+                subsampling: choice(jpeg.subsampling, ImagifyJpeg.SUBSAMPLING_MODES, defaults.jpeg.subsampling),
+                progressive: flag(jpeg.progressive, defaults.jpeg.progressive),
+                optimizeHuffman: flag(jpeg.optimizeHuffman, defaults.jpeg.optimizeHuffman),
+                quantTables: SettingsPresets.parseQuantTables(jpeg.quantTables)
+            },
+            background: /^#[0-9a-f]{6}$/i.test(source.background) ? source.background.toLowerCase() : defaults.background
+        };
+    },
+
+    // Query string (without "?") holding the fields of `settings` that differ from DEFAULTS;
+    // the palette and JPEG encoder fields only appear for their formats. Subsampling is written
+    // without colons ("444").
+    toQuery(settings) {
+        const normalized = SettingsPresets.normalize(settings);
+        const defaults = SettingsPresets.DEFAULTS;
+        const params = new URLSearchParams();
+        if (normalized.quality !== defaults.quality) params.set('q', normalized.quality);
+        if (normalized.maxWidth) params.set('w', normalized.maxWidth);
+        if (normalized.maxHeight) params.set('h', normalized.maxHeight);
+        if (normalized.fit !== defaults.fit) params.set('fit', normalized.fit);
+        if (normalized.filter !== defaults.filter) params.set('filter', normalized.filter);
+        if (normalized.format !== defaults.format) params.set('format', normalized.format);
+        if (ImagifyCore.OUTPUT_FORMATS[normalized.format].palette) {
+            if (normalized.palette.colors !== defaults.palette.colors) params.set('colors', normalized.palette.colors);
+            if (normalized.palette.dither !== defaults.palette.dither) params.set('dither', normalized.palette.dither ? '1' : '0');
+        }
+        if (ImagifyCore.OUTPUT_FORMATS[normalized.format].scripted) {
+            const { jpeg } = normalized;
+            if (jpeg.subsampling !== defaults.jpeg.subsampling) params.set('sub', jpeg.subsampling.replace(/:/g, ''));
+            if (jpeg.progressive !== defaults.jpeg.progressive) params.set('prog', jpeg.progressive ? '1' : '0');
+            if (jpeg.optimizeHuffman !== defaults.jpeg.optimizeHuffman) params.set('huff', jpeg.optimizeHuffman ? '1' : '0');
+        }
+        if (normalized.background !== defaults.background) params.set('bg', normalized.background.slice(1));
+        return params.toString();
+    },
+
+    // Settings from a query string, or null when it has no settings parameters at all
+    fromQuery(search) {
+        const params = new URLSearchParams(search);
+        if (!SettingsPresets.QUERY_KEYS.some(key => params.has(key))) return null;
+        const flag = key => (params.has(key) ? params.get(key) !== '0' : undefined);
+        const subsampling = params.get('sub');
+        return SettingsPresets.normalize({
+            quality: params.get('q'),
+            maxWidth: params.get('w'),
+            maxHeight: params.get('h'),
+            fit: params.get('fit'),
+            filter: params.get('filter'),
+            format: params.get('format'),
+            palette: { colors: params.get('colors'), dither: flag('dither') },
+            jpeg: {
+                subsampling: /^\d{3}$/.test(subsampling) ? subsampling.split('').join(':') : undefined,
+                progressive: flag('prog'),
+                optimizeHuffman: flag('huff')
+            },
+            background: params.has('bg') ? `#${params.get('bg')}` : undefined
+        });
+    },
+
+    // `search` with its settings parameters replaced by those of `settings`
+    updateQuery(search, settings) {
+        const params = new URLSearchParams(search);
+        SettingsPresets.QUERY_KEYS.forEach(key => params.delete(key));
+        for (const [key, value] of new URLSearchParams(SettingsPresets.toQuery(settings))) params.set(key, value);
+        return params.toString();
+    },
+
+    serialize(presets) {
+        return JSON.stringify({
+            version: 1,
+            presets: presets.map(({ name, settings }) => ({ name, settings: SettingsPresets.normalize(settings) }))
+        }, null, 2);
+    },
+
+    // Presets from a preset file (or a bare array of presets), normalized; throws when the text is not one.
+    // A name that appears twice keeps its last settings.
+    parse(text) {
+        let data;
+        try {
+            data = JSON.parse(text);
+        } catch (error) {
+            throw new Error('The file is not valid JSON.');
+        }
+        const list = Array.isArray(data) ? data : data && data.presets;
+        if (!Array.isArray(list)) {
+            throw new Error('The file does not contain a "presets" list.');
+        }
+        const presets = list
+            .filter(preset => preset && typeof preset.name === 'string' && preset.name.trim() !== '')
+            .map(preset => ({ name: preset.name.trim(), settings: SettingsPresets.normalize(preset.settings) }));
+        if (presets.length === 0 && list.length > 0) {
+            throw new Error('None of the presets in the file has a name.');
+        }
+        return SettingsPresets.merge([], presets);
+    },
+
+    // `existing` with `incoming` added; a preset with a name already present replaces it in place
+    merge(existing, incoming) {
+        const merged = [...existing];
+        for (const preset of incoming) {
+            const index = merged.findIndex(other => other.name === preset.name);
+            if (index === -1) merged.push(preset);
+            else merged[index] = preset;
+        }
+        return merged;
+    }
+};
@@ -0,0 +1,79 @@
+//snapshot-store.js//
+// IndexedDB persistence for pinned snapshots and the editor session, so a reload keeps both.
+// Snapshots ({ id, createdAt, sourceKey, fileName, label, settings, blob, size, width, height,
+// usedOriginal, originalSize, metrics }) get an auto-incremented id. The session store holds the
+// editor image under 'file' and its settings under 'settings', written separately so settings
+// changes never rewrite the image. Every method rejects when IndexedDB is unavailable (e.g. some
+// private windows); callers treat persistence as best effort.
+class SnapshotStore {
+    constructor(name = 'imagify') {
+        this.name = name;
+        this.db = null;
+    }
+
+    // Wraps an IDBRequest (or a transaction's completion) in a promise
+    static promisify(request) {
+        return new Promise((resolve, reject) => {
+            if (request instanceof IDBTransaction) {
+                request.oncomplete = () => resolve();
+                request.onabort = request.onerror = () => reject(request.error || new Error('IndexedDB transaction aborted.'));
+            } else {
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            }
+        });
+    }
+
+    open() {
+        if (!this.db) {
+            if (typeof indexedDB === 'undefined') {
+                return Promise.reject(new Error('IndexedDB is not available in this browser.'));
+            }
+            const request = indexedDB.open(this.name, 1);
+            request.onupgradeneeded = () => {
+                const db = request.result;
+                db.createObjectStore('snapshots', { keyPath: 'id', autoIncrement: true });
+                db.createObjectStore('session');
+            };
+            this.db = SnapshotStore.promisify(request);
+            this.db.catch(() => { this.db = null; }); // Let a later call try again
+        }
+        return this.db;
+    }
+
+    // Runs `work(store)` in one transaction and resolves with its request's result once committed
+    async run(storeName, mode, work) {
+        const db = await this.open();
+        const transaction = db.transaction(storeName, mode);
+        const request = work(transaction.objectStore(storeName));
+        const [result] = await Promise.all([request && SnapshotStore.promisify(request), SnapshotStore.promisify(transaction)]);
+        return result;
+    }
+
+    // Oldest first
+    async list() {
+        const snapshots = await this.run('snapshots', 'readonly', store => store.getAll());
+        return snapshots.sort((a, b) => a.createdAt - b.createdAt);
+    }
+
+    // Resolves with the new snapshot's id
+    add(snapshot) {
+        return this.run('snapshots', 'readwrite', store => store.add(snapshot));
+    }
+
+    delete(id) {
+        return this.run('snapshots', 'readwrite', store => store.delete(id));
+    }
+
+    clear() {
+        return this.run('snapshots', 'readwrite', store => store.clear());
+    }
+
+    getSession(key) {
+        return this.run('session', 'readonly', store => store.get(key));
+    }
+
+    setSession(key, value) {
+        return this.run('session', 'readwrite', store => store.put(value, key));
+    }
+}
@@ -0,0 +1,79 @@
+// imagify-jpeg.js output decoded by sharp (libjpeg-turbo), a decoder independent of it (`npm test`).
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const sharp = require('sharp');
+const ImagifyJpeg = require('../imagify-jpeg.js');
+const ImagifyMetrics = require('../imagify-metrics.js');
+
+// Gradients plus a sawtooth in blue, opaque
+function testImage(width, height) {
+  const data = new Uint8ClampedArray(width * height * 4);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const i = (y * width + x) * 4;
+      data.set([Math.round(255 * x / Math.max(1, width - 1)), Math.round(255 * y / Math.max(1, height - 1)), 96 + (x * 3 + y * 5) % 64, 255], i);
+    }
+  }
+  return { data, width, height };
+}
+
+// SOF0/SOF2 of a JPEG: baseline or progressive, size and each component's HxV sampling factors.
+// sharp cannot tell 4:2:2 from 4:2:0, so the factors are read here.
+function frameHeader(jpeg) {
+  for (let i = 2; i + 3 < jpeg.length; i += 2 + ((jpeg[i + 2] << 8) | jpeg[i + 3])) {
+    const marker = jpeg[i + 1];
+    if (marker === 0xC0 || marker === 0xC2) {
+      const sampling = Array.from({ length: jpeg[i + 9] }, (_, c) => `${jpeg[i + 11 + c * 3] >> 4}x${jpeg[i + 11 + c * 3] & 15}`);
+      return { progressive: marker === 0xC2, height: (jpeg[i + 5] << 8) | jpeg[i + 6], width: (jpeg[i + 7] << 8) | jpeg[i + 8], sampling };
+    }
+  }
+  return null;
+}
+
+const LUMA_SAMPLING = { '4:4:4': '1x1', '4:2:2': '2x1', '4:2:0': '2x2' };
+
+async function decode(jpeg, width, height) {
+  const image = sharp(Buffer.from(jpeg));
+  const metadata = await image.metadata();
+  return { metadata, pixels: { data: new Uint8ClampedArray(await image.ensureAlpha().raw().toBuffer()), width, height } };
+}
+
+test('every subsampling, scan mode and Huffman mode decodes, odd sizes included', async () => {
+  for (const [width, height] of [[17, 9], [1, 1], [40, 33], [64, 48]]) {
+    const source = testImage(width, height);
+    for (const subsampling of ImagifyJpeg.SUBSAMPLING_MODES) {
+      const decodedVariants = [];
+      for (const progressive of [false, true]) {
+        for (const optimizeHuffman of [false, true]) {
+          const label = `${width}×${height} ${subsampling} ${progressive ? 'progressive' : 'baseline'} ${optimizeHuffman ? 'optimized' : 'Annex K'} Huffman`;
+          const jpeg = ImagifyJpeg.encode(source, { quality: 90, subsampling, progressive, optimizeHuffman });
+          assert.deepEqual(frameHeader(jpeg), { progressive, width, height, sampling: [LUMA_SAMPLING[subsampling], '1x1', '1x1'] }, label);
+
+          const { metadata, pixels } = await decode(jpeg, width, height);
+          assert.equal(metadata.format, 'jpeg', label);
+          assert.equal(metadata.isProgressive, progressive, label);
+          assert.deepEqual([metadata.width, metadata.height], [width, height], label);
+          assert.ok(ImagifyMetrics.calculatePSNR(source, pixels) > 30, `${label}: PSNR ${ImagifyMetrics.calculatePSNR(source, pixels)}`);
+          decodedVariants.push(pixels.data);
+        }
+      }
+      // Scans and Huffman tables only change how the same coefficients are coded
+      decodedVariants.forEach(data => assert.deepEqual(data, decodedVariants[0], `${width}×${height} ${subsampling}`));
+    }
+  }
+});
+
+test('custom quantization tables are what the decoder dequantizes with', async () => {
+  const source = testImage(17, 9);
+  const ones = { luma: new Array(64).fill(1), chroma: new Array(64).fill(1) };
+  // Quality 50 uses the tables as given; all ones leaves only rounding and color conversion
+  const fine = await decode(ImagifyJpeg.encode(source, { quality: 50, subsampling: '4:4:4', quantTables: ones }), 17, 9);
+  const standard = await decode(ImagifyJpeg.encode(source, { quality: 50, subsampling: '4:4:4' }), 17, 9);
+  assert.ok(ImagifyMetrics.calculatePSNR(source, fine.pixels) > 45);
+  assert.ok(ImagifyMetrics.calculatePSNR(source, standard.pixels) < 40);
+});
+
+test('images JPEG cannot store are refused', () => {
+  assert.throws(() => ImagifyJpeg.encode({ data: new Uint8ClampedArray(0), width: 0, height: 4 }), /cannot store/);
+  assert.throws(() => ImagifyJpeg.encode({ data: new Uint8ClampedArray(4), width: 65536, height: 1 }), /cannot store/);
+});
@@ -0,0 +1,127 @@
+// imagify-metrics.js against published and independently computed reference values (`npm test`).
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const ImagifyMetrics = require('../imagify-metrics.js');
+
+const assertClose = (actual, expected, tolerance, label) => {
+  assert.ok(Math.abs(actual - expected) <= tolerance, `${label}: ${actual} is not within ${tolerance} of ${expected}`);
+};
+
+// Sharma, Wu & Dalal (2005), "The CIEDE2000 color-difference formula: implementation notes,
+// supplementary test data, and mathematical observations", Table 1: L1 a1 b1, L2 a2 b2, ΔE00
+const SHARMA_PAIRS = [
+  [50.0000, 2.6772, -79.7751, 50.0000, 0.0000, -82.7485, 2.0425],
+  [50.0000, 3.1571, -77.2803, 50.0000, 0.0000, -82.7485, 2.8615],
+  [50.0000, 2.8361, -74.0200, 50.0000, 0.0000, -82.7485, 3.4412],
+  [50.0000, -1.3802, -84.2814, 50.0000, 0.0000, -82.7485, 1.0000],
+  [50.0000, -1.1848, -84.8006, 50.0000, 0.0000, -82.7485, 1.0000],
+  [50.0000, -0.9009, -85.5211, 50.0000, 0.0000, -82.7485, 1.0000],
+  [50.0000, 0.0000, 0.0000, 50.0000, -1.0000, 2.0000, 2.3669],
+  [50.0000, -1.0000, 2.0000, 50.0000, 0.0000, 0.0000, 2.3669],
+  [50.0000, 2.4900, -0.0010, 50.0000, -2.4900, 0.0009, 7.1792],
+  [50.0000, 2.4900, -0.0010, 50.0000, -2.4900, 0.0010, 7.1792],
+  [50.0000, 2.4900, -0.0010, 50.0000, -2.4900, 0.0011, 7.2195],
+  [50.0000, 2.4900, -0.0010, 50.0000, -2.4900, 0.0012, 7.2195],
+  [50.0000, -0.0010, 2.4900, 50.0000, 0.0009, -2.4900, 4.8045],
+  [50.0000, -0.0010, 2.4900, 50.0000, 0.0010, -2.4900, 4.8045],
+  [50.0000, -0.0010, 2.4900, 50.0000, 0.0011, -2.4900, 4.7461],
+  [50.0000, 2.5000, 0.0000, 50.0000, 0.0000, -2.5000, 4.3065],
+  [50.0000, 2.5000, 0.0000, 73.0000, 25.0000, -18.0000, 27.1492],
+  [50.0000, 2.5000, 0.0000, 61.0000, -5.0000, 29.0000, 22.8977],
+  [50.0000, 2.5000, 0.0000, 56.0000, -27.0000, -3.0000, 31.9030],
+  [50.0000, 2.5000, 0.0000, 58.0000, 24.0000, 15.0000, 19.4535],
+  [50.0000, 2.5000, 0.0000, 50.0000, 3.1736, 0.5854, 1.0000],
+  [50.0000, 2.5000, 0.0000, 50.0000, 3.2972, 0.0000, 1.0000],
+  [50.0000, 2.5000, 0.0000, 50.0000, 1.8634, 0.5757, 1.0000],
+  [50.0000, 2.5000, 0.0000, 50.0000, 3.2592, 0.3350, 1.0000],
+  [60.2574, -34.0099, 36.2677, 60.4626, -34.1751, 39.4387, 1.2644],
+  [63.0109, -31.0961, -5.8663, 62.8187, -29.7946, -4.0864, 1.2630],
+  [61.2901, 3.7196, -5.3901, 61.4292, 2.2480, -4.9620, 1.8731],
+  [35.0831, -44.1164, 3.7933, 35.0232, -40.0716, 1.5901, 1.8645],
+  [22.7233, 20.0904, -46.6940, 23.0331, 14.9730, -42.5619, 2.0373],
+  [36.4612, 47.8580, 18.3852, 36.2715, 50.5065, 21.2231, 1.4146],
+  [90.8027, -2.0831, 1.4410, 91.1528, -1.6435, 0.0447, 1.4441],
+  [90.9257, -0.5406, -0.9208, 88.6381, -0.8985, -0.7239, 1.5381],
+  [6.7747, -0.2908, -2.4247, 5.8714, -0.0985, -2.2286, 0.6377],
+  [2.0776, 0.0795, -1.1350, 0.9033, -0.0636, -0.5514, 0.9082]
+];
+
+test('CIEDE2000 matches the Sharma test pairs in both argument orders', () => {
+  SHARMA_PAIRS.forEach(([L1, a1, b1, L2, a2, b2, expected], i) => {
+    // The table is rounded to four decimals
+    assertClose(ImagifyMetrics.ciede2000(L1, a1, b1, L2, a2, b2), expected, 5e-5, `pair ${i + 1}`);
+    assertClose(ImagifyMetrics.ciede2000(L2, a2, b2, L1, a1, b1), expected, 5e-5, `pair ${i + 1} swapped`);
+  });
+});
+
+// Fixed 224×192 test image and a distorted copy, built from integer arithmetic only so any other tool
+// reproduces them exactly. 192 px halves evenly four times, giving MS-SSIM all five scales.
+const WIDTH = 224, HEIGHT = 192;
+function testImages() {
+  const original = new Uint8ClampedArray(WIDTH * HEIGHT * 4);
+  const distorted = new Uint8ClampedArray(WIDTH * HEIGHT * 4);
+  for (let y = 0; y < HEIGHT; y++) {
+    for (let x = 0; x < WIDTH; x++) {
+      const rgb = [
+        (x * x + 3 * y + ((x * y) >> 3)) % 200 + 40 * (((x >> 4) + (y >> 4)) % 2),
+        (2 * x + (y * y) % 97 + ((x ^ y) & 63)) % 256,
+        (x + 2 * y) % 256
+      ];
+      const i = (y * WIDTH + x) * 4;
+      rgb.forEach((value, k) => {
+        original[i + k] = value;
+        // Clamped by the array, like min(255, max(0, ...)) elsewhere
+        distorted[i + k] = value + (x * 7 + y * 13 + k * 5) % 11 - 5 + 8 * ((((x >> 3) + (y >> 3)) % 3) - 1);
+      });
+      original[i + 3] = distorted[i + 3] = 255;
+    }
+  }
+  return [{ data: original, width: WIDTH, height: HEIGHT }, { data: distorted, width: WIDTH, height: HEIGHT }];
+}
+
+// Reference outputs for testImages(), from scikit-image 0.26: peak_signal_noise_ratio(data_range=255) on
+// the RGB planes (together and one by one) and on the Y/Cb/Cr differences, and
+// structural_similarity(gaussian_weights=True, sigma=1.5, use_sample_covariance=False, data_range=255)
+// on BT.601 luma. MS-SSIM is a numpy transcription of Wang's msssim.m, whose single-scale step matches
+// that skimage SSIM to 1e-15.
+const REFERENCE = {
+  psnr: 31.00496118476945,
+  channelPsnr: {
+    r: 30.958450633425436,
+    g: 31.027340108193357,
+    b: 31.02946933748501,
+    y: 31.702834763533325,
+    cb: 41.919154363908824,
+    cr: 40.57710597942143
+  },
+  ssim: 0.9835600882432421,
+  msssim: 0.9596387533735771
+};
+
+test('PSNR and per-channel PSNR match scikit-image', () => {
+  const [original, distorted] = testImages();
+  assertClose(ImagifyMetrics.calculatePSNR(original, distorted), REFERENCE.psnr, 1e-9, 'PSNR');
+  const channels = ImagifyMetrics.calculateChannelPSNR(original, distorted);
+  for (const [channel, expected] of Object.entries(REFERENCE.channelPsnr)) {
+    assertClose(channels[channel], expected, 1e-9, `PSNR ${channel}`);
+  }
+});
+
+test('SSIM matches scikit-image with Gaussian weights', () => {
+  const [original, distorted] = testImages();
+  assertClose(ImagifyMetrics.calculateSSIM(original, distorted), REFERENCE.ssim, 1e-9, 'SSIM');
+});
+
+test('MS-SSIM matches msssim.m', () => {
+  const [original, distorted] = testImages();
+  // The standard weights sum to 1.0001 and are renormalized here, which moves the result by about 4e-6
+  assertClose(ImagifyMetrics.calculateMSSSIM(original, distorted), REFERENCE.msssim, 1e-5, 'MS-SSIM');
+});
+
+test('identical images score as identical', () => {
+  const [original] = testImages();
+  assert.equal(ImagifyMetrics.calculatePSNR(original, original), 100);
+  assertClose(ImagifyMetrics.calculateSSIM(original, original), 1, 1e-12, 'SSIM');
+  assertClose(ImagifyMetrics.calculateMSSSIM(original, original), 1, 1e-12, 'MS-SSIM');
+  assert.ok(Object.values(ImagifyMetrics.calculateChannelPSNR(original, original)).every(psnr => psnr === 100));
+});
@@ -0,0 +1,59 @@
+// imagify-palette.js PNG-8 output decoded by sharp, a PNG reader independent of it (`npm test`).
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const sharp = require('sharp');
+const ImagifyPalette = require('../imagify-palette.js');
+
+// sharp's metadata and the RGBA pixels of a PNG; palettes without tRNS decode as opaque
+async function decode(png) {
+  const image = sharp(Buffer.from(png));
+  return { metadata: await image.metadata(), data: await image.ensureAlpha().raw().toBuffer() };
+}
+
+const pixel = (bytes, index) => Array.from(bytes.subarray(index * 4, index * 4 + 4));
+
+test('PLTE and tRNS decode to the exact palette colors at every bit depth and odd widths', async () => {
+  for (const [length, bitDepth] of [[2, 1], [3, 2], [4, 2], [5, 4], [16, 4], [17, 8], [256, 8]]) {
+    // Every third entry translucent (the first fully transparent), so tRNS has to reach past opaque ones
+    const palette = Uint8Array.from({ length: length * 4 }, (_, i) => {
+      const entry = i >> 2;
+      return [(entry * 53) & 255, (entry * 101 + 7) & 255, (entry * 197 + 13) & 255, entry % 3 === 0 ? (entry * 37) & 255 : 255][i & 3];
+    });
+    for (const [width, height] of [[17, 9], [1, 1], [8, 3]]) {
+      const indices = Uint8Array.from({ length: width * height }, (_, p) => ((p % width) * 7 + Math.floor(p / width) * 3) % length);
+      const { metadata, data } = await decode(await ImagifyPalette.encodePng({ width, height, palette, indices }));
+      const label = `${length} colors, ${width}×${height}`;
+      assert.equal(metadata.isPalette, true, label);
+      assert.equal(metadata.bitsPerSample, bitDepth, label);
+      assert.deepEqual([metadata.width, metadata.height], [width, height], label);
+      indices.forEach((index, p) => assert.deepEqual(pixel(data, p), pixel(palette, index), `${label}, pixel ${p}`));
+    }
+  }
+});
+
+test('an image with fewer colors than allowed round-trips exactly, transparency included', async () => {
+  const colors = [[0, 0, 0, 0], [200, 40, 40, 128], [10, 200, 90, 64], [250, 250, 250, 255], [30, 60, 220, 255], [120, 120, 20, 255]];
+  const width = 23, height = 11;
+  const data = new Uint8ClampedArray(width * height * 4);
+  for (let p = 0; p < width * height; p++) data.set(colors[(p * 5 + Math.floor(p / width)) % colors.length], p * 4);
+  const rgba = { data, width, height };
+
+  for (const dither of [false, true]) {
+    const quantized = ImagifyPalette.quantize(rgba, { colors: 256, quality: 100, dither });
+    assert.equal(quantized.palette.length / 4, colors.length, `dither ${dither}`);
+    const decoded = await decode(await ImagifyPalette.encodePng(quantized));
+    assert.deepEqual(decoded.data, Buffer.from(data), `dither ${dither}`);
+  }
+});
+
+test('the colors setting is used in full whatever the quality, unless the error target is met sooner', () => {
+  const width = 64, height = 48;
+  const data = new Uint8ClampedArray(width * height * 4);
+  for (let p = 0; p < width * height; p++) data.set([(p % width) * 4, Math.floor(p / width) * 5, 96 + (p * 3) % 64, 255], p * 4);
+  const rgba = { data, width, height };
+  const paletteSize = options => ImagifyPalette.quantize(rgba, options).palette.length / 4;
+
+  for (const quality of [100, 50, 20]) assert.equal(paletteSize({ colors: 16, quality }), 16, `quality ${quality}`);
+  assert.equal(paletteSize({ colors: 256, quality: 100 }), 256);
+  assert.ok(paletteSize({ colors: 256, quality: 20 }) < 256);
+});
@@ -0,0 +1,181 @@
+// index.js over HTTP: error codes, /img caching and redirects, and the job queue (`npm test`).
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const zlib = require('zlib');
+const sharp = require('sharp');
+const { readZip } = require('./zip-reader.js');
+
+// index.js reads its settings when it is loaded: scratch directories, a 0.01 megapixel cap so
+// IMAGE_TOO_LARGE needs no big fixture, and a POST budget the tests before the rate limit one stay under
+const ROOT = fs.mkdtempSync(path.join(os.tmpdir(), 'imagify-server-'));
+const IMAGES_DIR = path.join(ROOT, 'images');
+const RATE_LIMIT = 30;
+Object.assign(process.env, {
+  IMAGIFY_JOBS_DIR: path.join(ROOT, 'jobs'),
+  IMAGIFY_IMAGES_DIR: IMAGES_DIR,
+  IMAGIFY_IMAGE_CACHE_DIR: path.join(ROOT, 'cache'),
+  IMAGIFY_MAX_PIXELS: '10000',
+  IMAGIFY_RATE_LIMIT: String(RATE_LIMIT)
+});
+const { start } = require('../index.js');
+
+const png = (width, height) => sharp({ create: { width, height, channels: 3, background: '#3366cc' } }).png().toBuffer();
+
+let server;
+let base;
+before(async () => {
+  fs.mkdirSync(IMAGES_DIR);
+  fs.writeFileSync(path.join(IMAGES_DIR, 'photo.png'), await png(40, 30));
+  ({ server } = await start(0));
+  base = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => {
+  server.close();
+  server.closeAllConnections();
+  fs.rmSync(ROOT, { recursive: true, force: true });
+});
+
+// POSTs a multipart form; `parts` are [name, value] or [name, Blob, fileName]
+function post(route, parts) {
+  const body = new FormData();
+  parts.forEach(([name, value, fileName]) => (fileName ? body.append(name, value, fileName) : body.append(name, value)));
+  return fetch(base + route, { method: 'POST', body });
+}
+
+async function expectError(response, status, code) {
+  const body = await response.json();
+  assert.equal(response.status, status, JSON.stringify(body));
+  assert.equal(body.code, code);
+  return body;
+}
+
+test('a non-image named and declared as PNG is refused with 415 UNSUPPORTED_TYPE', async () => {
+  const renamed = new Blob(['just some text, not pixels'], { type: 'image/png' });
+  await expectError(await post('/api/compress', [['image', renamed, 'photo.png']]), 415, 'UNSUPPORTED_TYPE');
+});
+
+test('images over IMAGIFY_MAX_PIXELS are refused with 413 IMAGE_TOO_LARGE, uploaded or produced', async () => {
+  const large = new Blob([await png(200, 100)], { type: 'image/png' });
+  await expectError(await post('/api/compress', [['image', large, 'large.png']]), 413, 'IMAGE_TOO_LARGE');
+
+  // fill may upscale: 40×30 into 200×100 would produce the same 20,000 pixels
+  const small = new Blob([await png(40, 30)], { type: 'image/png' });
+  const upscaled = await post('/api/compress', [['image', small, 'small.png'], ['maxWidth', '200'], ['maxHeight', '100'], ['fit', 'fill']]);
+  await expectError(upscaled, 413, 'IMAGE_TOO_LARGE');
+});
+
+test('settings that do not parse are 400 INVALID_SETTING naming the field', async () => {
+  const image = new Blob([await png(40, 30)], { type: 'image/png' });
+  const cases = [
+    ['quality', 'high'],
+    ['format', 'bmp'],
+    ['maxWidth', '-5'],
+    ['maxWidth', 'abc'],
+    ['maxHeight', '0'],
+    ['fit', 'stretch'],
+    ['filter', 'sharpest'],
+    ['background', 'red'],
+    ['colors', '1']
+  ];
+  for (const [field, value] of cases) {
+    const body = await expectError(await post('/api/compress', [['image', image, 'photo.png'], [field, value]]), 400, 'INVALID_SETTING');
+    assert.equal(body.field, field, `${field}=${value}`);
+  }
+
+  for (const [field, value] of [['w', 'abc'], ['h', '5000'], ['q', 'x'], ['fmt', 'bmp'], ['fit', 'stretch']]) {
+    const body = await expectError(await fetch(`${base}/img/photo.png?${field}=${value}`), 400, 'INVALID_SETTING');
+    assert.equal(body.field, field, `${field}=${value}`);
+  }
+});
+
+test('/img answers 304 to a request naming the current ETag', async () => {
+  const url = `${base}/img/photo.png?w=20&fmt=webp`;
+  const first = await fetch(url);
+  assert.equal(first.status, 200);
+  assert.equal(first.headers.get('Content-Type'), 'image/webp');
+  assert.equal((await sharp(Buffer.from(await first.arrayBuffer())).metadata()).width, 20);
+  const etag = first.headers.get('ETag');
+  assert.ok(etag);
+
+  // As a browser revalidates; without a Cache-Control header fetch() adds no-cache, which forbids a 304
+  const revalidate = { 'If-None-Match': etag, 'Cache-Control': 'max-age=0' };
+  const revalidated = await fetch(url, { headers: revalidate });
+  assert.equal(revalidated.status, 304);
+  assert.equal(revalidated.headers.get('ETag'), etag);
+
+  const otherVariant = await fetch(`${base}/img/photo.png?w=10&fmt=webp`, { headers: revalidate });
+  assert.equal(otherVariant.status, 200);
+  await otherVariant.arrayBuffer();
+});
+
+test('an image requested at its own path redirects to /img with 301, other image paths do not', async () => {
+  const redirected = await fetch(`${base}/photo.png?w=20`, { redirect: 'manual' });
+  assert.equal(redirected.status, 301);
+  assert.equal(redirected.headers.get('Location'), '/img/photo.png?w=20');
+
+  const missing = await fetch(`${base}/missing.png`, { redirect: 'manual' });
+  assert.equal(missing.status, 404);
+  await missing.arrayBuffer();
+  await expectError(await fetch(`${base}/api/photo.png`, { redirect: 'manual' }), 404, 'NOT_FOUND');
+});
+
+test('/api/compare scores identical images as identical', async () => {
+  const image = await png(40, 30);
+  const response = await post('/api/compare', [
+    ['reference', new Blob([image], { type: 'image/png' }), 'reference.png'],
+    ['candidate', new Blob([image], { type: 'image/png' }), 'candidate.png']
+  ]);
+  assert.equal(response.status, 200);
+  const result = await response.json();
+  assert.equal(result.psnr, 100);
+  assert.equal(result.ssim, 1);
+});
+
+test('a job is accepted with 202, runs to done and downloads as a ZIP of its outputs', async () => {
+  const accepted = await post('/api/jobs', [
+    ['images', new Blob([await png(40, 30)], { type: 'image/png' }), 'first.png'],
+    ['images', new Blob([await png(30, 40)], { type: 'image/png' }), 'second.png'],
+    ['quality', '70'],
+    ['format', 'webp']
+  ]);
+  assert.equal(accepted.status, 202);
+  const location = accepted.headers.get('Location');
+  assert.equal(location, `/api/jobs/${(await accepted.json()).id}`);
+
+  let job;
+  for (let tries = 0; tries < 200; tries++) {
+    job = await (await fetch(base + location)).json();
+    if (job.status === 'done') break;
+    await new Promise(resolve => setTimeout(resolve, 50));
+  }
+  assert.equal(job.status, 'done');
+  assert.deepEqual(job.progress, { total: 2, completed: 2, failed: 0, percent: 100 });
+
+  const download = await fetch(base + job.download);
+  assert.equal(download.status, 200);
+  assert.equal(download.headers.get('Content-Type'), 'application/zip');
+  const entries = await readZip(Buffer.from(await download.arrayBuffer()));
+  assert.deepEqual(entries.map(entry => entry.name), job.files.map(file => file.result.fileName));
+  for (const [index, entry] of entries.entries()) {
+    assert.equal(entry.crc32, zlib.crc32(entry.data), entry.name);
+    const { format, width, height } = await sharp(entry.data).metadata();
+    assert.deepEqual({ format, width, height }, { format: 'webp', width: index ? 30 : 40, height: index ? 40 : 30 });
+  }
+});
+
+// Last: it spends the rest of this client's POST budget
+test('POSTs over IMAGIFY_RATE_LIMIT a minute are answered 429 with retryAfter', async () => {
+  let response;
+  for (let count = 0; count <= RATE_LIMIT; count++) {
+    response = await post('/api/compress', []);
+    if (response.status === 429) break;
+    await response.arrayBuffer();
+  }
+  const body = await expectError(response, 429, 'RATE_LIMITED');
+  assert.ok(Number.isInteger(body.retryAfter) && body.retryAfter >= 1 && body.retryAfter <= 60);
+  assert.equal(response.headers.get('Retry-After'), String(body.retryAfter));
+});
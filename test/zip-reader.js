@@ -0,0 +1,30 @@
+// Reads ZIP archives for the tests with yauzl, an implementation independent of zip-writer.js.
+// Not a test file itself; node --test runs it too, finding nothing to report.
+const yauzl = require('yauzl');
+
+// Entries of the archive in `buffer`, in order: { name, crc32 (from the central directory), modified, data }
+function readZip(buffer) {
+  return new Promise((resolve, reject) => {
+    yauzl.fromBuffer(buffer, { lazyEntries: true }, (error, zip) => {
+      if (error) return reject(error);
+      const entries = [];
+      zip.on('error', reject);
+      zip.on('end', () => resolve(entries));
+      zip.on('entry', entry => {
+        zip.openReadStream(entry, (streamError, stream) => {
+          if (streamError) return reject(streamError);
+          const chunks = [];
+          stream.on('data', chunk => chunks.push(chunk));
+          stream.on('error', reject);
+          stream.on('end', () => {
+            entries.push({ name: entry.fileName, crc32: entry.crc32, modified: entry.getLastModDate(), data: Buffer.concat(chunks) });
+            zip.readEntry();
+          });
+        });
+      });
+      zip.readEntry();
+    });
+  });
+}
+
+module.exports = { readZip };
@@ -0,0 +1,51 @@
+// zip-writer.js archives read back with yauzl, CRCs checked against zlib's (`npm test`).
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const zlib = require('zlib');
+const ZipWriter = require('../zip-writer.js');
+const { readZip } = require('./zip-reader.js');
+
+const archive = async zip => readZip(Buffer.from(await zip.toBlob().arrayBuffer()));
+const bytes = (length, seed) => Uint8Array.from({ length }, (_, i) => (i * 31 + seed * 17 + (i >> 3)) & 255);
+
+test('entries read back with their names, bytes and CRC-32s', async () => {
+  const files = [
+    ['photo_compressed_q80.jpg', bytes(5000, 1)],
+    ['nested/dir/photo.webp', bytes(1234, 2)],
+    ['empty.png', new Uint8Array(0)],
+    ['café 写真.png', bytes(77, 3)]
+  ];
+  const zip = new ZipWriter();
+  files.forEach(([name, data]) => zip.addFile(name, data));
+
+  const entries = await archive(zip);
+  assert.deepEqual(entries.map(entry => entry.name), files.map(([name]) => name));
+  entries.forEach((entry, i) => {
+    const data = files[i][1];
+    assert.deepEqual(new Uint8Array(entry.data), data, entry.name);
+    assert.equal(entry.crc32, zlib.crc32(data), entry.name);
+    assert.equal(ZipWriter.crc32(data), zlib.crc32(data), entry.name);
+  });
+});
+
+test('repeated names are numbered before the extension and paths are made relative', async () => {
+  const names = ['a.jpg', 'a.jpg', 'a.jpg', 'dir\\b.png', '/abs/c.png', 'dir.v2/file', 'dir.v2/file'];
+  const expected = ['a.jpg', 'a (2).jpg', 'a (3).jpg', 'dir/b.png', 'abs/c.png', 'dir.v2/file', 'dir.v2/file (2)'];
+  const zip = new ZipWriter();
+  assert.deepEqual(names.map((name, i) => zip.addFile(name, bytes(10, i))), expected);
+  assert.deepEqual((await archive(zip)).map(entry => entry.name), expected);
+});
+
+test('modification times survive to the two seconds MS-DOS dates resolve', async () => {
+  const zip = new ZipWriter();
+  zip.addFile('file.jpg', bytes(10, 0), new Date(2024, 4, 17, 13, 45, 31));
+  await zip.addBlob('blob.jpg', new File([bytes(10, 1)], 'blob.jpg', { lastModified: new Date(2021, 0, 2, 3, 4, 6).getTime() }));
+  const [file, blob] = await archive(zip);
+  assert.equal(file.modified.getTime(), new Date(2024, 4, 17, 13, 45, 30).getTime());
+  assert.equal(blob.modified.getTime(), new Date(2021, 0, 2, 3, 4, 6).getTime());
+  assert.deepEqual(new Uint8Array(blob.data), bytes(10, 1));
+});
+
+test('addFile only takes bytes', () => {
+  assert.throws(() => new ZipWriter().addFile('a.txt', 'text'), /expects a Uint8Array/);
+});
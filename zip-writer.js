@@ -0,0 +1,135 @@
+//zip-writer.js//
+// Minimal ZIP archive builder used for batch downloads (in the browser and by the /api/jobs server).
+// Entries are STOREd (no deflate): the images inside are already compressed,
+// so deflating them again costs time without saving meaningful space.
+class ZipWriter {
+    constructor() {
+        this.entries = [];
+        this.usedNames = new Set();
+    }
+
+    // Lazily built CRC-32 lookup table shared by all writers (and imagify-palette.js's PNG chunks)
+    static get crcTable() {
+        if (!ZipWriter._crcTable) {
+            const table = new Uint32Array(256);
+            for (let n = 0; n < 256; n++) {
+                let c = n;
+                for (let k = 0; k < 8; k++) {
+                    c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+                }
+                table[n] = c >>> 0;
+            }
+            ZipWriter._crcTable = table;
+        }
+        return ZipWriter._crcTable;
+    }
+
+    static crc32(data) {
+        const table = ZipWriter.crcTable;
+        let crc = 0xFFFFFFFF;
+        for (let i = 0; i < data.length; i++) {
+            crc = table[(crc ^ data[i]) & 0xFF] ^ (crc >>> 8);
+        }
+        return (crc ^ 0xFFFFFFFF) >>> 0;
+    }
+
+    // MS-DOS packed date/time, which is what the ZIP headers store
+    static toDosDateTime(date) {
+        const year = Math.max(1980, date.getFullYear());
+        return {
+            time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+            date: ((year - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+        };
+    }
+
+    // Appends " (2)", " (3)"... before the extension when a name is already taken
+    uniqueName(name) {
+        let candidate = name.replace(/\\/g, '/').replace(/^\/+/, '');
+        if (this.usedNames.has(candidate)) {
+            const dot = candidate.lastIndexOf('.');
+            const base = dot > candidate.lastIndexOf('/') ? candidate.slice(0, dot) : candidate;
+            const ext = dot > candidate.lastIndexOf('/') ? candidate.slice(dot) : '';
+            let counter = 2;
+            while (this.usedNames.has(`${base} (${counter})${ext}`)) counter++;
+            candidate = `${base} (${counter})${ext}`;
+        }
+        this.usedNames.add(candidate);
+        return candidate;
+    }
+
+    addFile(name, data, modified = new Date()) {
+        if (!(data instanceof Uint8Array)) {
+            throw new Error('ZipWriter.addFile expects a Uint8Array.');
+        }
+        const fileName = this.uniqueName(name);
+        this.entries.push({
+            nameBytes: new TextEncoder().encode(fileName),
+            data,
+            crc: ZipWriter.crc32(data),
+            ...ZipWriter.toDosDateTime(modified)
+        });
+        return fileName;
+    }
+
+    async addBlob(name, blob, modified) {
+        const data = new Uint8Array(await blob.arrayBuffer());
+        return this.addFile(name, data, modified || (blob.lastModified ? new Date(blob.lastModified) : new Date()));
+    }
+
+    toBlob() {
+        const parts = [];
+        const centralDirectory = [];
+        let offset = 0;
+
+        for (const entry of this.entries) {
+            const local = new DataView(new ArrayBuffer(30));
+            local.setUint32(0, 0x04034B50, true);  // Local file header signature
+            local.setUint16(4, 20, true);          // Version needed to extract (2.0)
+            local.setUint16(6, 0x0800, true);      // Flags: names are UTF-8
+            local.setUint16(8, 0, true);           // Method: STORE
+            local.setUint16(10, entry.time, true);
+            local.setUint16(12, entry.date, true);
+            local.setUint32(14, entry.crc, true);
+            local.setUint32(18, entry.data.length, true); // Compressed size
+            local.setUint32(22, entry.data.length, true); // Uncompressed size
+            local.setUint16(26, entry.nameBytes.length, true);
+            local.setUint16(28, 0, true);          // Extra field length
+            parts.push(local.buffer, entry.nameBytes, entry.data);
+
+            const central = new DataView(new ArrayBuffer(46));
+            central.setUint32(0, 0x02014B50, true); // Central directory header signature
+            central.setUint16(4, 20, true);         // Version made by
+            central.setUint16(6, 20, true);         // Version needed to extract
+            central.setUint16(8, 0x0800, true);
+            central.setUint16(10, 0, true);
+            central.setUint16(12, entry.time, true);
+            central.setUint16(14, entry.date, true);
+            central.setUint32(16, entry.crc, true);
+            central.setUint32(20, entry.data.length, true);
+            central.setUint32(24, entry.data.length, true);
+            central.setUint16(28, entry.nameBytes.length, true);
+            // Extra, comment, disk number, internal and external attributes stay zero
+            central.setUint32(42, offset, true);    // Offset of the local header
+            centralDirectory.push(central.buffer, entry.nameBytes);
+
+            offset += 30 + entry.nameBytes.length + entry.data.length;
+            if (offset > 0xFFFFFFFF) {
+                throw new Error('Archive exceeds 4GB, which plain ZIP cannot address.');
+            }
+        }
+
+        const centralSize = centralDirectory.reduce((sum, part) => sum + part.byteLength, 0);
+        const end = new DataView(new ArrayBuffer(22));
+        end.setUint32(0, 0x06054B50, true);         // End of central directory signature
+        end.setUint16(8, this.entries.length, true);  // Entries on this disk
+        end.setUint16(10, this.entries.length, true); // Total entries
+        end.setUint32(12, centralSize, true);
+        end.setUint32(16, offset, true);              // Central directory offset
+
+        return new Blob([...parts, ...centralDirectory, end.buffer], { type: 'application/zip' });
+    }
+}
+
+if (typeof module === 'object' && module.exports) {
+    module.exports = ZipWriter;
+}